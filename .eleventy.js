@@ -19,6 +19,8 @@ module.exports = function(eleventyConfig) {
   eleventyConfig.addPassthroughCopy({ "src/css": "css" });
   eleventyConfig.addPassthroughCopy({ "src/js": "js" });
   eleventyConfig.addPassthroughCopy({ "src/assets": "assets" });
+  // Served from the root so it can control /workspace/
+  eleventyConfig.addPassthroughCopy({ "src/workspace-sw.js": "workspace-sw.js" });
 
   // ============================================
   // COLLECTIONS - Auto-generated from site.json sections
@@ -0,0 +1,32 @@
+const { getBuildProvider } = require('./lib/build-provider');
+
+/**
+ * Netlify Scheduled Function: Stale Build Branch Cleanup
+ *
+ * Deletes `build/*` branches older than BUILD_BRANCH_RETENTION_DAYS
+ * (default 14) that have no open pull request. Scheduled in netlify.toml;
+ * `npm run cleanup-branches` runs the same cleanup by hand.
+ */
+exports.handler = async (event, context) => {
+  try {
+    const result = await getBuildProvider('github').cleanupStaleBranches({
+      olderThanDays: parseInt(process.env.BUILD_BRANCH_RETENTION_DAYS || '14', 10)
+    });
+
+    console.log(`Branch cleanup: ${result.deleted.length} deleted, ${result.kept.length} kept`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error('Branch cleanup error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Branch cleanup failed',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,147 @@
+const { getBuildStore } = require('./lib/build-store');
+const { getBuildProvider } = require('./lib/build-provider');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { finishBuild } = require('./lib/build-lifecycle');
+
+const CANCELLABLE_STATUSES = ['queued', 'building'];
+
+/**
+ * Netlify/Lambda Function: Build Cancellation Service
+ *
+ * Stops a queued or running build (cancelling its GitHub workflow run or
+ * local job) and marks the record cancelled.
+ *
+ * POST /api/build/{buildId}/cancel
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract buildId from path (/api/build/{buildId}/cancel)
+    const segments = event.path.split('/').filter(p => p);
+    const buildId = segments[segments.length - 1] === 'cancel'
+      ? segments[segments.length - 2]
+      : undefined;
+
+    if (!buildId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Build ID required' })
+      };
+    }
+
+    const store = getBuildStore();
+    const build = await store.get(buildId);
+
+    if (!build) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Build not found' })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, build.projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(build.status)) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `Build is already ${build.status}`,
+          status: build.status
+        })
+      };
+    }
+
+    let details;
+    try {
+      details = await getBuildProvider(build.provider || 'github').cancel(build);
+    } catch (err) {
+      // GitHub refuses to cancel runs that already finished
+      if (err.status === 409) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Build already finished', message: err.message })
+        };
+      }
+      throw err;
+    }
+
+    // Only if it is still running: a build that finished meanwhile keeps its
+    // result (and its own completion event)
+    const cancelledAt = new Date().toISOString();
+    const updated = await store.update(buildId, {
+      ...details,
+      status: 'cancelled',
+      cancelledAt,
+      completedAt: cancelledAt
+    }, { ifStatus: CANCELLABLE_STATUSES });
+
+    if (!updated) {
+      const current = await store.get(buildId);
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `Build is already ${current?.status}`,
+          status: current?.status
+        })
+      };
+    }
+
+    console.log(`[Build ${buildId}] Cancelled`);
+
+    await finishBuild(updated).catch(err => {
+      console.warn(`[Build ${buildId}] Build completion steps failed:`, err.message);
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        buildId,
+        projectId: build.projectId,
+        status: 'cancelled',
+        cancelledAt
+      })
+    };
+  } catch (error) {
+    console.error('Build cancel error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Build cancellation failed',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,215 @@
+const { v4: uuidv4 } = require('uuid');
+const { getBuildStore } = require('./lib/build-store');
+const { getBuildProvider } = require('./lib/build-provider');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { rateLimit, reserveBuild } = require('./lib/rate-limit');
+const { finishBuild } = require('./lib/build-lifecycle');
+const { isTerminalStatus } = require('./lib/build-summary');
+
+// Carried over from the original so the retry reports and publishes the same way.
+// Pull request state changes over time, so the provider's retry reports it fresh.
+const RETRY_FIELDS = [
+  'projectId', 'provider', 'authorEmail', 'title', 'slug', 'fileCount', 'files',
+  'fileSize', 'callbackUrl', 'serviceUrl', 'publish', 'branchName', 'commitSha'
+];
+
+/**
+ * Netlify/Lambda Function: Build Retry Service
+ *
+ * Re-runs a finished build from the sources it already committed (the
+ * original's `build/<buildId>` branch, or the local working copy). The
+ * retry is a new build record; the original is marked `retried` and points
+ * to it with `retriedBy`. When the provider cannot start the retry, the new
+ * record fails and the original is restored, so it can be retried again.
+ *
+ * POST /api/build/{buildId}/retry
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract buildId from path (/api/build/{buildId}/retry)
+    const segments = event.path.split('/').filter(p => p);
+    const originalId = segments[segments.length - 1] === 'retry'
+      ? segments[segments.length - 2]
+      : undefined;
+
+    if (!originalId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Build ID required' })
+      };
+    }
+
+    const store = getBuildStore();
+    const original = await store.get(originalId);
+
+    if (!original) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Build not found' })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, original.projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
+
+    if (original.status === 'retried') {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: 'Build was already retried',
+          retriedBy: original.retriedBy
+        })
+      };
+    }
+
+    if (!isTerminalStatus(original.status)) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `Build is still ${original.status}; cancel it or wait for it to finish`,
+          status: original.status
+        })
+      };
+    }
+
+    if (!original.branchName && !original.workingCopy) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: 'Build never committed its sources, submit it again instead' })
+      };
+    }
+
+    const limited = await rateLimit(event, auth.principal, 'build', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
+
+    const quota = await reserveBuild(original.projectId, headers);
+    if (quota.response) {
+      return quota.response;
+    }
+
+    const buildId = uuidv4();
+    const timestamp = new Date().toISOString();
+    const provider = getBuildProvider(original.provider || 'github');
+    const build = {
+      ...Object.fromEntries(RETRY_FIELDS.map(field => [field, original[field]])),
+      buildId,
+      status: 'queued',
+      createdAt: timestamp,
+      retryOf: originalId,
+      attempt: (original.attempt || 1) + 1,
+      apiKeyId: auth.principal.keyId || undefined
+    };
+
+    // Claim the original before starting anything, so concurrent retries of
+    // it cannot both start a build, and webhook events for the new run
+    // resolve to the retry
+    const claimed = await store.update(
+      originalId,
+      { status: 'retried', retriedBy: buildId },
+      { ifNotSet: 'retriedBy' }
+    );
+    if (!claimed) {
+      await quota.release().catch(err => {
+        console.warn(`[Build ${buildId}] Releasing quota failed:`, err.message);
+      });
+      const current = await store.get(originalId);
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: 'Build was already retried',
+          retriedBy: current?.retriedBy
+        })
+      };
+    }
+
+    console.log(`[Build ${buildId}] Retrying build ${originalId} (attempt ${build.attempt})`);
+
+    let details;
+    try {
+      await store.create(build);
+      details = await provider.retry(original, build);
+    } catch (err) {
+      await quota.release().catch(releaseErr => {
+        console.warn(`[Build ${buildId}] Releasing quota failed:`, releaseErr.message);
+      });
+      await store.update(originalId, { status: original.status, retriedBy: null }).catch(rollbackErr => {
+        console.error(`[Build ${originalId}] Restoring status after failed retry failed:`, rollbackErr.message);
+      });
+      const failed = await store.update(buildId, {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        error: err.message
+      }).catch(() => null);
+      await finishBuild(failed).catch(() => {});
+      throw err;
+    }
+
+    if (Object.keys(details).length > 0) {
+      await store.update(buildId, details).catch(err => {
+        console.warn(`[Build ${buildId}] Build record update failed:`, err.message);
+      });
+    }
+
+    const serviceUrl = process.env.SERVICE_URL || `https://${event.headers.host}`;
+
+    return {
+      statusCode: 202,
+      headers,
+      body: JSON.stringify({
+        status: 'queued',
+        buildId,
+        projectId: original.projectId,
+        provider: provider.name,
+        retryOf: originalId,
+        attempt: build.attempt,
+        branchName: original.branchName,
+        pollingUrl: `${serviceUrl}/api/build/${buildId}/status`
+      })
+    };
+  } catch (error) {
+    console.error('Build retry error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Build retry failed',
+        message: error.message
+      })
+    };
+  }
+};
@@ -1,25 +1,22 @@
-const AWS = require('aws-sdk');
-const { Octokit } = require('@octokit/rest');
-
-const octokit = new Octokit({ 
-  auth: process.env.GITHUB_TOKEN 
-});
-
-const dynamodb = new AWS.DynamoDB.DocumentClient({
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+const { getBuildStore } = require('./lib/build-store');
+const { getBuildProvider } = require('./lib/build-provider');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { getBuildQuota } = require('./lib/rate-limit');
+const { summarizeBuild, resolveBuildStatus, isTerminalStatus } = require('./lib/build-summary');
+const { finishBuild } = require('./lib/build-lifecycle');
 
 /**
  * Netlify/Lambda Function: Build Status Query Service
  * 
- * Queries build status from DynamoDB and GitHub Actions workflows.
+ * Queries build status from the build store and the provider that ran the
+ * build (GitHub Actions workflows or the local build runner).
  * 
  * GET /api/build/{buildId}/status
  */
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'GET, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -37,8 +34,16 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    // Extract buildId from path
-    const buildId = event.path.split('/').filter(p => p).pop();
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract buildId from path (/api/build/{buildId}/status)
+    const segments = event.path.split('/').filter(p => p);
+    const buildId = segments[segments.length - 1] === 'status'
+      ? segments[segments.length - 2]
+      : segments[segments.length - 1];
     
     if (!buildId) {
       return {
@@ -48,19 +53,9 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Get build metadata from DynamoDB (if available)
-    let buildData = null;
-    if (process.env.AWS_DYNAMODB_TABLE) {
-      try {
-        const result = await dynamodb.get({
-          TableName: process.env.AWS_DYNAMODB_TABLE,
-          Key: { buildId }
-        }).promise();
-        buildData = result.Item;
-      } catch (err) {
-        console.warn(`DynamoDB query failed for ${buildId}:`, err.message);
-      }
-    }
+    // Get build metadata from the build store
+    const store = getBuildStore();
+    const buildData = await store.get(buildId);
 
     if (!buildData) {
       return {
@@ -70,83 +65,51 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Query GitHub Actions for workflow status
-    const owner = process.env.GITHUB_ORG || process.env.GITHUB_OWNER;
-    const repo = process.env.GITHUB_REPO;
+    const forbidden = authorizeProject(auth.principal, buildData.projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
 
-    let workflowStatus = 'unknown';
-    let workflowConclusion = null;
-    let workflowUrl = null;
+    // Query the build provider for workflow status
+    const provider = getBuildProvider(buildData.provider || 'github');
+    const workflow = await provider.getWorkflow(buildData);
+    const finalStatus = resolveBuildStatus(buildData, workflow);
 
-    if (owner && repo) {
+    // Persist status transitions so the record reflects the latest known state
+    let current = buildData;
+    if (finalStatus !== buildData.status) {
+      let updated = null;
       try {
-        // List recent workflow runs
-        const workflows = await octokit.actions.listWorkflowRunsForRepo({
-          owner,
-          repo,
-          per_page: 50
+        updated = await store.update(buildId, {
+          status: finalStatus,
+          workflowUrl: workflow.url,
+          completedAt: isTerminalStatus(finalStatus)
+            ? new Date().toISOString()
+            : undefined
         });
-
-        // Find the workflow for this build
-        const branchName = `build/${buildId}`;
-        const workflow = workflows.data.workflow_runs.find(w => 
-          w.head_branch === branchName
-        );
-
-        if (workflow) {
-          workflowStatus = workflow.status;
-          workflowConclusion = workflow.conclusion;
-          workflowUrl = workflow.html_url;
-        }
       } catch (err) {
-        console.warn(`GitHub workflow query failed for ${buildId}:`, err.message);
+        console.warn(`Build record update failed for ${buildId}:`, err.message);
       }
-    }
 
-    // Determine final status
-    let finalStatus = buildData.status || 'queued';
-    if (workflowStatus === 'completed') {
-      finalStatus = workflowConclusion === 'success' ? 'completed' : 'failed';
-    } else if (workflowStatus === 'in_progress') {
-      finalStatus = 'building';
+      current = (await finishBuild(updated).catch(err => {
+        console.warn(`[Build ${buildId}] Build completion steps failed:`, err.message);
+      })) || current;
     }
 
-    // Build URLs
-    const siteUrl = process.env.SITE_URL 
-      ? `${process.env.SITE_URL}/${buildData.projectId}/`
-      : null;
-    
-    const downloadUrl = process.env.SERVICE_URL
-      ? `${process.env.SERVICE_URL}/download/${buildId}`
-      : null;
+    let quota = null;
+    try {
+      quota = await getBuildQuota(buildData.projectId);
+    } catch (err) {
+      console.warn(`Quota lookup failed for ${buildData.projectId}:`, err.message);
+    }
 
-    const archiveUrl = process.env.AWS_BUCKET_NAME
-      ? `s3://${process.env.AWS_BUCKET_NAME}/archives/${buildData.projectId}/${buildId}/`
-      : null;
+    const serviceUrl = process.env.SERVICE_URL
+      || (event.headers?.host ? `https://${event.headers.host}` : null);
 
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({
-        buildId,
-        projectId: buildData.projectId,
-        status: finalStatus,
-        title: buildData.title,
-        slug: buildData.slug,
-        createdAt: buildData.createdAt,
-        authorEmail: buildData.authorEmail,
-        fileSize: buildData.fileSize,
-        workflow: {
-          status: workflowStatus,
-          conclusion: workflowConclusion,
-          url: workflowUrl
-        },
-        urls: {
-          site: siteUrl,
-          download: downloadUrl,
-          archive: archiveUrl
-        }
-      })
+      body: JSON.stringify(summarizeBuild(current, { workflow, quota, serviceUrl }))
     };
   } catch (error) {
     console.error('Status check error:', error);
@@ -1,23 +1,95 @@
-const { Octokit } = require('@octokit/rest');
 const { v4: uuidv4 } = require('uuid');
-const AWS = require('aws-sdk');
+const { getBuildStore } = require('./lib/build-store');
+const { getBuildProvider } = require('./lib/build-provider');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { rateLimit, reserveBuild } = require('./lib/rate-limit');
+const { validateWebhookUrl } = require('./lib/build-notifications');
+const { finishBuild } = require('./lib/build-lifecycle');
 
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN
-});
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_FILES_PER_BUILD = 200;
+const PUBLISH_MODES = ['branch', 'pull-request'];
 
-const dynamodb = new AWS.DynamoDB.DocumentClient({
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+/**
+ * Normalize a submitted path to forward slashes without a leading `./`.
+ */
+function normalizePath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Normalize the request into a map of content-relative paths to markdown.
+ * Accepts either `files` (path → content) or the legacy single `markdown`.
+ */
+function collectFiles({ files, markdown, metadata }) {
+  if (files && typeof files === 'object' && !Array.isArray(files)) {
+    return files;
+  }
+  if (markdown) {
+    return { [`${metadata?.slug || 'index'}.md`]: markdown };
+  }
+  return null;
+}
+
+/**
+ * Validate each submitted path: relative, `.md`, and made of slug segments.
+ * Returns a list of { path, message } errors (empty when all are valid).
+ */
+function validateFiles(files) {
+  const errors = [];
+  const seen = new Set();
+
+  Object.entries(files).forEach(([filePath, content]) => {
+    const normalized = normalizePath(filePath);
+    const segments = normalized.replace(/\.md$/, '').split('/');
+
+    if (typeof content !== 'string' || content.length === 0) {
+      errors.push({ path: filePath, message: 'File content must be a non-empty string' });
+    } else if (!normalized.endsWith('.md')) {
+      errors.push({ path: filePath, message: 'Only .md files can be built' });
+    } else if (!segments.every(segment => SLUG_PATTERN.test(segment))) {
+      errors.push({
+        path: filePath,
+        message: 'Path segments must be lowercase slugs (a-z, 0-9 and single hyphens)'
+      });
+    } else if (seen.has(normalized)) {
+      errors.push({ path: filePath, message: 'Duplicate file path' });
+    }
+
+    seen.add(normalized);
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve the requested publishing options against the environment defaults
+ * (PUBLISH_MODE and PUBLISH_AUTO_MERGE).
+ */
+function resolvePublish(requested = {}) {
+  return {
+    mode: requested.mode || process.env.PUBLISH_MODE || 'branch',
+    autoMerge: requested.autoMerge ?? process.env.PUBLISH_AUTO_MERGE === 'true'
+  };
+}
 
 /**
  * Netlify/Lambda Function: Build Trigger Service
  * 
- * Accepts validated markdown, creates a GitHub branch, commits content,
- * and triggers a GitHub Actions workflow to build the site.
+ * Accepts validated markdown files and hands them to the configured build
+ * provider: by default they are committed to a new GitHub branch as a single
+ * tree/commit and a GitHub Actions workflow builds the site; with
+ * BUILD_PROVIDER=local the site is built in-process from a working copy.
  * 
  * POST /api/build
- * Body: { markdown: string, projectId: string, metadata: object }
+ * Body: { files: { [path]: string }, projectId: string, metadata: object, callbackUrl?: string }
+ *   or: { markdown: string, projectId: string, metadata: object, callbackUrl?: string }
+ *
+ * When `callbackUrl` is given, the build-status payload is POSTed to it once
+ * the build completes or fails (see lib/build-notifications).
+ *
+ * `publish: { mode: 'pull-request', autoMerge: true }` opens a pull request
+ * from the build branch and merges it when the build succeeds.
  */
 exports.handler = async (event, context) => {
   const headers = {
@@ -40,130 +112,191 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { markdown, projectId, metadata } = JSON.parse(event.body);
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const {
+      markdown,
+      files: submittedFiles,
+      projectId,
+      metadata,
+      callbackUrl,
+      publish: requestedPublish
+    } = JSON.parse(event.body);
+    const files = collectFiles({ files: submittedFiles, markdown, metadata });
 
-    if (!markdown || !projectId) {
+    if (!files || !projectId) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({ 
-          error: 'Missing required fields: markdown, projectId' 
+          error: 'Missing required fields: files (or markdown), projectId' 
         })
       };
     }
 
-    const buildId = uuidv4();
-    const branchName = `build/${buildId}`;
-    const timestamp = new Date().toISOString();
-    const slug = metadata?.slug || 'index';
-    const title = metadata?.title || 'Untitled';
+    if (!SLUG_PATTERN.test(projectId)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid projectId: use lowercase letters, numbers and single hyphens'
+        })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
 
-    console.log(`[Build ${buildId}] Starting build for project ${projectId}`);
-
-    // Store build metadata in DynamoDB (if configured)
-    if (process.env.AWS_DYNAMODB_TABLE) {
-      try {
-        await dynamodb.put({
-          TableName: process.env.AWS_DYNAMODB_TABLE,
-          Item: {
-            buildId,
-            projectId,
-            status: 'queued',
-            createdAt: timestamp,
-            authorEmail: metadata?.author || 'unknown',
-            title,
-            slug,
-            fileSize: markdown.length,
-            ttl: Math.floor(Date.now() / 1000) + (7 * 365 * 24 * 60 * 60) // 7 years
-          }
-        }).promise();
-        console.log(`[Build ${buildId}] Metadata stored in DynamoDB`);
-      } catch (err) {
-        console.warn(`[Build ${buildId}] DynamoDB storage failed:`, err.message);
-        // Continue anyway - DynamoDB is optional
+    if (callbackUrl !== undefined) {
+      const urlError = typeof callbackUrl === 'string'
+        ? validateWebhookUrl(callbackUrl)
+        : 'must be a string';
+      if (urlError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Invalid callbackUrl: ${urlError}` })
+        };
+      }
+      if (!process.env.WEBHOOK_SIGNING_SECRET) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'callbackUrl is not available: WEBHOOK_SIGNING_SECRET is not configured' })
+        };
       }
     }
 
-    // GitHub integration
-    const owner = process.env.GITHUB_ORG || process.env.GITHUB_OWNER;
-    const repo = process.env.GITHUB_REPO;
+    const limited = await rateLimit(event, auth.principal, 'build', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
 
-    if (!owner || !repo) {
-      throw new Error('GitHub configuration missing: GITHUB_ORG and GITHUB_REPO required');
+    const fileCount = Object.keys(files).length;
+    if (fileCount === 0 || fileCount > MAX_FILES_PER_BUILD) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: `A build must contain between 1 and ${MAX_FILES_PER_BUILD} files`
+        })
+      };
+    }
+
+    const fileErrors = validateFiles(files);
+    if (fileErrors.length > 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid files',
+          errors: fileErrors
+        })
+      };
     }
 
-    // Get main branch SHA
-    const mainRef = await octokit.git.getRef({
-      owner,
-      repo,
-      ref: 'heads/main'
-    });
+    const provider = getBuildProvider();
+    const publish = resolvePublish(requestedPublish || {});
+    const publishErrors = [];
 
-    console.log(`[Build ${buildId}] Got main branch SHA: ${mainRef.data.object.sha.substring(0, 7)}`);
+    if (!PUBLISH_MODES.includes(publish.mode)) {
+      publishErrors.push(`publish.mode must be one of: ${PUBLISH_MODES.join(', ')}`);
+    } else if (publish.mode === 'pull-request' && provider.name !== 'github') {
+      publishErrors.push(`publish.mode "pull-request" is not supported by the ${provider.name} build provider`);
+    }
+    if (typeof publish.autoMerge !== 'boolean') {
+      publishErrors.push('publish.autoMerge must be a boolean');
+    }
 
-    // Create feature branch
-    await octokit.git.createRef({
-      owner,
-      repo,
-      ref: `refs/heads/${branchName}`,
-      sha: mainRef.data.object.sha
-    });
+    if (publishErrors.length > 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid publish options', details: publishErrors })
+      };
+    }
 
-    console.log(`[Build ${buildId}] Created branch: ${branchName}`);
+    const quota = await reserveBuild(projectId, headers);
+    if (quota.response) {
+      return quota.response;
+    }
 
-    // Create/update markdown file in content directory
-    const filePath = `content/${projectId}/${slug}.md`;
-    
-    // Check if file exists
-    let existingFile;
+    const buildId = uuidv4();
+    const timestamp = new Date().toISOString();
+    const slug = metadata?.slug || 'index';
+    const title = metadata?.title || 'Untitled';
+    const repoFiles = Object.fromEntries(Object.entries(files).map(([filePath, content]) =>
+      [`content/${projectId}/${normalizePath(filePath)}`, content]
+    ));
+    const filePaths = Object.keys(repoFiles);
+    const fileSize = Object.values(files).reduce((total, content) => total + content.length, 0);
+    const serviceUrl = process.env.SERVICE_URL || `https://${event.headers.host}`;
+
+    console.log(`[Build ${buildId}] Starting ${provider.name} build for project ${projectId} (${fileCount} files)`);
+
+    // Store build metadata
+    const store = getBuildStore();
     try {
-      existingFile = await octokit.repos.getContent({
-        owner,
-        repo,
-        path: filePath,
-        ref: branchName
+      await store.create({
+        buildId,
+        projectId,
+        provider: provider.name,
+        status: 'queued',
+        createdAt: timestamp,
+        authorEmail: metadata?.author || 'unknown',
+        title,
+        slug,
+        fileCount,
+        files: filePaths,
+        fileSize,
+        apiKeyId: auth.principal.keyId || undefined,
+        callbackUrl,
+        serviceUrl,
+        publish
       });
+      console.log(`[Build ${buildId}] Metadata stored`);
     } catch (err) {
-      // File doesn't exist, that's fine
-      existingFile = null;
-    }
-
-    await octokit.repos.createOrUpdateFileContents({
-      owner,
-      repo,
-      path: filePath,
-      message: `build: ${title} [${buildId}]`,
-      content: Buffer.from(markdown).toString('base64'),
-      branch: branchName,
-      sha: existingFile?.data?.sha, // Required for updates
-      author: {
-        name: metadata?.authorName || 'Twelvety Service',
-        email: metadata?.author || 'service@twelvety.dev'
-      }
-    });
-
-    console.log(`[Build ${buildId}] Committed file: ${filePath}`);
+      console.warn(`[Build ${buildId}] Build record storage failed:`, err.message);
+      // Continue anyway - the build itself does not depend on the record
+    }
 
-    // Trigger GitHub Actions workflow
+    let details;
     try {
-      await octokit.actions.createWorkflowDispatch({
-        owner,
-        repo,
-        workflow_id: 'build.yml',
-        ref: branchName,
-        inputs: {
-          buildId,
-          projectId
-        }
+      details = await provider.start({
+        buildId,
+        projectId,
+        files: repoFiles,
+        title,
+        metadata,
+        timestamp,
+        publish,
+        pollingUrl: `${serviceUrl}/api/build/${buildId}/status`
       });
-      console.log(`[Build ${buildId}] Triggered workflow dispatch`);
     } catch (err) {
-      console.error(`[Build ${buildId}] Workflow dispatch failed:`, err.message);
-      // This might fail if workflow doesn't exist yet, but the push should trigger it anyway
+      await quota.release().catch(releaseErr => {
+        console.warn(`[Build ${buildId}] Releasing quota failed:`, releaseErr.message);
+      });
+      const failed = await store.update(buildId, {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        error: err.message
+      }).catch(() => null);
+      await finishBuild(failed).catch(() => {});
+      throw err;
+    }
+
+    if (Object.keys(details).length > 0) {
+      await store.update(buildId, details).catch(err => {
+        console.warn(`[Build ${buildId}] Build record update failed:`, err.message);
+      });
     }
 
-    const serviceUrl = process.env.SERVICE_URL || `https://${event.headers.host}`;
-    
     return {
       statusCode: 202,
       headers,
@@ -171,13 +304,20 @@ exports.handler = async (event, context) => {
         status: 'queued',
         buildId,
         projectId,
-        branchName,
-        filePath,
+        provider: provider.name,
+        branchName: details.branchName,
+        commitSha: details.commitSha,
+        publish,
+        pullRequest: details.pullRequest || null,
+        files: filePaths,
         estimatedTime: 5,
         pollingUrl: `${serviceUrl}/api/build/${buildId}/status`,
+        callbackUrl: callbackUrl || null,
         metadata: {
           title,
           slug,
+          fileCount,
+          fileSize,
           createdAt: timestamp
         }
       })
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const { getBuildStore } = require('./lib/build-store');
+const { authenticate, authorizeProject } = require('./lib/auth');
+
+const FORMATS = {
+  zip: {
+    archiver: ['zip', { zlib: { level: 9 } }],
+    contentType: 'application/zip',
+    extension: 'zip'
+  },
+  'tar.gz': {
+    archiver: ['tar', { gzip: true, gzipOptions: { level: 9 } }],
+    contentType: 'application/gzip',
+    extension: 'tar.gz'
+  }
+};
+
+// Largest build output (uncompressed) that is packaged at all; the archive is
+// written to the function's temp directory, which is 512 MB on Lambda
+const MAX_OUTPUT_BYTES = parseInt(process.env.DOWNLOAD_MAX_BYTES || String(256 * 1024 * 1024), 10);
+// Largest archive returned in the response body: base64 makes it a third
+// bigger, and Netlify rejects responses over 6 MB
+const MAX_INLINE_BYTES = 4 * 1024 * 1024;
+const SIGNED_URL_TTL_SECONDS = 300;
+
+function getS3() {
+  // Lazily required so local downloads work without the AWS SDK configured
+  const AWS = require('aws-sdk');
+  return new AWS.S3({ region: process.env.AWS_REGION || 'us-east-1' });
+}
+
+/**
+ * List every file under `dir` as { name, path, size }, names relative to `dir`.
+ */
+async function listDirectory(dir, prefix = '') {
+  const entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listDirectory(dir, relative));
+    } else if (entry.isFile()) {
+      const filePath = path.join(dir, relative);
+      files.push({ name: relative, path: filePath, size: (await fs.promises.stat(filePath)).size });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * List every object under the build's S3 archive prefix as { name, key, size }.
+ */
+async function listS3Archive(s3, bucket, prefix) {
+  const files = [];
+  let continuationToken;
+
+  do {
+    const page = await s3.listObjectsV2({
+      Bucket: bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }).promise();
+
+    for (const object of page.Contents || []) {
+      const name = object.Key.slice(prefix.length);
+      if (name) {
+        files.push({ name, key: object.Key, size: object.Size });
+      }
+    }
+
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return files;
+}
+
+/**
+ * The files of the build's output: the local working copy when available,
+ * otherwise the S3 archive written by the build workflow. Empty when the
+ * output cannot be found.
+ */
+async function listOutput(build) {
+  if (build.outputDir && fs.existsSync(build.outputDir)) {
+    return listDirectory(build.outputDir);
+  }
+  if (process.env.AWS_BUCKET_NAME) {
+    return listS3Archive(getS3(), process.env.AWS_BUCKET_NAME, `archives/${build.projectId}/${build.buildId}/`);
+  }
+  return [];
+}
+
+/**
+ * Append `stream` to the archive and wait until archiver has consumed it,
+ * so only one S3 object is in flight at a time.
+ */
+function appendAndDrain(archive, stream, name, written) {
+  return new Promise((resolve, reject) => {
+    const onEntry = entry => {
+      if (entry.name === name) {
+        archive.off('entry', onEntry);
+        resolve();
+      }
+    };
+    archive.on('entry', onEntry);
+    stream.once('error', reject);
+    written.catch(reject);
+    archive.append(stream, { name });
+  });
+}
+
+/**
+ * Write the archive of `files` to `target`, streaming both local files and
+ * S3 objects through to disk so memory use does not grow with the size of
+ * the site.
+ */
+async function writeArchive(files, format, target) {
+  const archive = archiver(...FORMATS[format].archiver);
+  const written = pipeline(archive, fs.createWriteStream(target));
+  // Awaited once every file is queued; until then a failure must not go unhandled
+  written.catch(() => {});
+
+  try {
+    const s3 = files.some(file => file.key) ? getS3() : null;
+    for (const file of files) {
+      if (file.path) {
+        archive.file(file.path, { name: file.name });
+      } else {
+        const body = s3.getObject({ Bucket: process.env.AWS_BUCKET_NAME, Key: file.key }).createReadStream();
+        await appendAndDrain(archive, body, file.name, written);
+      }
+    }
+    archive.finalize();
+  } catch (err) {
+    archive.abort();
+    throw err;
+  }
+
+  await written;
+}
+
+/**
+ * Whether the S3 object exists.
+ */
+async function s3ObjectExists(s3, bucket, key) {
+  try {
+    await s3.headObject({ Bucket: bucket, Key: key }).promise();
+    return true;
+  } catch (err) {
+    if (err.code === 'NotFound') return false;
+    throw err;
+  }
+}
+
+/**
+ * Netlify/Lambda Function: Build Artifact Download Service
+ *
+ * Packages the built `_site` output of a completed build into an archive.
+ * Output is read from the local build's working copy when available,
+ * otherwise from the S3 archive written by the build workflow.
+ *
+ * The archive is written to a temp file rather than held in memory. With
+ * AWS_BUCKET_NAME it is stored under `downloads/` (once per build and
+ * format) and the response redirects to a short-lived signed URL; without
+ * it, archives up to MAX_INLINE_BYTES are returned in the response body.
+ * Output larger than DOWNLOAD_MAX_BYTES is refused with 413.
+ *
+ * GET /download/{buildId}?format=zip|tar.gz
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract buildId from path (/download/{buildId})
+    const buildId = event.path.split('/').filter(p => p).pop();
+    const format = event.queryStringParameters?.format || 'zip';
+
+    if (!FORMATS[format]) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: `Unsupported format: ${format}`,
+          supportedFormats: Object.keys(FORMATS)
+        })
+      };
+    }
+
+    const build = buildId ? await getBuildStore().get(buildId) : null;
+
+    if (!build) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Build not found' })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, build.projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
+
+    if (build.status !== 'completed') {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: 'Build is not completed',
+          status: build.status
+        })
+      };
+    }
+
+    // Completed builds are immutable, so the ETag only depends on identity
+    const etag = `"${crypto.createHash('sha1')
+      .update(`${buildId}:${format}:${build.completedAt || build.createdAt}`)
+      .digest('hex')}"`;
+
+    if (event.headers?.['if-none-match'] === etag) {
+      return {
+        statusCode: 304,
+        headers: { ...headers, ETag: etag },
+        body: ''
+      };
+    }
+
+    const filename = `${build.projectId}-${buildId.substring(0, 8)}.${FORMATS[format].extension}`;
+    const bucket = process.env.AWS_BUCKET_NAME;
+    const downloadKey = `downloads/${build.projectId}/${buildId}.${FORMATS[format].extension}`;
+
+    const redirectToDownload = async () => ({
+      statusCode: 302,
+      headers: {
+        ...headers,
+        Location: await getS3().getSignedUrlPromise('getObject', {
+          Bucket: bucket,
+          Key: downloadKey,
+          Expires: SIGNED_URL_TTL_SECONDS,
+          ResponseContentDisposition: `attachment; filename="${filename}"`
+        }),
+        'Cache-Control': 'private, no-store'
+      },
+      body: ''
+    });
+
+    // Completed builds never change, so an archive stored earlier is reused
+    if (bucket && await s3ObjectExists(getS3(), bucket, downloadKey)) {
+      return redirectToDownload();
+    }
+
+    const files = await listOutput(build);
+
+    if (files.length === 0) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Build output not found' })
+      };
+    }
+
+    const outputSize = files.reduce((total, file) => total + file.size, 0);
+    if (outputSize > MAX_OUTPUT_BYTES) {
+      return {
+        statusCode: 413,
+        headers,
+        body: JSON.stringify({
+          error: 'Build output is too large to download',
+          size: outputSize,
+          limit: MAX_OUTPUT_BYTES
+        })
+      };
+    }
+
+    const tempFile = path.join(os.tmpdir(), `twelvety-download-${buildId}-${crypto.randomUUID()}.${FORMATS[format].extension}`);
+    try {
+      await writeArchive(files, format, tempFile);
+      const { size } = await fs.promises.stat(tempFile);
+
+      if (bucket) {
+        await getS3().upload({
+          Bucket: bucket,
+          Key: downloadKey,
+          Body: fs.createReadStream(tempFile),
+          ContentType: FORMATS[format].contentType
+        }).promise();
+        return redirectToDownload();
+      }
+
+      if (size > MAX_INLINE_BYTES) {
+        return {
+          statusCode: 413,
+          headers,
+          body: JSON.stringify({
+            error: 'Archive is too large to return directly; configure AWS_BUCKET_NAME to download it',
+            size,
+            limit: MAX_INLINE_BYTES
+          })
+        };
+      }
+
+      const archive = await fs.promises.readFile(tempFile);
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': FORMATS[format].contentType,
+          'Content-Length': String(archive.length),
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'private, max-age=86400',
+          ETag: etag
+        },
+        body: archive.toString('base64'),
+        isBase64Encoded: true
+      };
+    } finally {
+      await fs.promises.rm(tempFile, { force: true });
+    }
+  } catch (error) {
+    console.error('Download error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Download failed',
+        message: error.message
+      })
+    };
+  }
+};
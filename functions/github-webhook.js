@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { getBuildStore } = require('./lib/build-store');
+const { getBuildProvider } = require('./lib/build-provider');
+const { finishBuild } = require('./lib/build-lifecycle');
+const { resolveBuildStatus } = require('./lib/build-summary');
+
+const BUILD_BRANCH_PATTERN = /^build\/([A-Za-z0-9-]+)$/;
+const MAX_RETRY_HOPS = 20;
+
+/**
+ * Verify GitHub's X-Hub-Signature-256 header against the raw request body.
+ */
+function verifySignature(rawBody, signature, secret) {
+  if (!signature || !signature.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Map a workflow run onto the build record fields it determines.
+ */
+function recordChangesForRun(run) {
+  const changes = {
+    workflow: {
+      runId: run.id,
+      runAttempt: run.run_attempt,
+      status: run.status,
+      conclusion: run.conclusion,
+      url: run.html_url
+    },
+    workflowUrl: run.html_url
+  };
+
+  if (run.run_started_at) {
+    changes.startedAt = run.run_started_at;
+  }
+
+  changes.status = resolveBuildStatus({ status: 'queued' }, run);
+
+  if (run.status === 'completed') {
+    changes.completedAt = run.updated_at;
+    if (run.run_started_at) {
+      changes.durationMs = new Date(run.updated_at) - new Date(run.run_started_at);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Netlify/Lambda Function: GitHub Webhook Receiver
+ *
+ * Receives `workflow_run` events for build branches and writes the run's
+ * status, conclusion and timings onto the build record, so build status
+ * lookups are a single record read.
+ *
+ * POST /api/webhooks/github
+ * Headers: X-GitHub-Event, X-Hub-Signature-256 (GITHUB_WEBHOOK_SECRET)
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('Webhook received but GITHUB_WEBHOOK_SECRET is not configured');
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: 'Webhook receiver not configured' })
+    };
+  }
+
+  try {
+    const rawBody = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64')
+      : Buffer.from(event.body || '', 'utf-8');
+    const signature = event.headers?.['x-hub-signature-256'] || event.headers?.['X-Hub-Signature-256'];
+
+    if (!verifySignature(rawBody, signature, secret)) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized', code: 'invalid_signature', message: 'Webhook signature does not match' })
+      };
+    }
+
+    const eventName = event.headers?.['x-github-event'] || event.headers?.['X-GitHub-Event'];
+    const payload = JSON.parse(rawBody.toString('utf-8'));
+
+    if (eventName === 'ping') {
+      return { statusCode: 200, headers, body: JSON.stringify({ status: 'pong' }) };
+    }
+
+    if (eventName !== 'workflow_run' || !payload.workflow_run) {
+      return { statusCode: 202, headers, body: JSON.stringify({ status: 'ignored', event: eventName }) };
+    }
+
+    const run = payload.workflow_run;
+    const match = BUILD_BRANCH_PATTERN.exec(run.head_branch || '');
+
+    if (!match) {
+      return { statusCode: 202, headers, body: JSON.stringify({ status: 'ignored', reason: 'Not a build branch' }) };
+    }
+
+    const store = getBuildStore();
+    let build = await store.get(match[1]);
+
+    if (!build) {
+      console.warn(`[Build ${match[1]}] Webhook for unknown build (run ${run.id})`);
+      return { statusCode: 202, headers, body: JSON.stringify({ status: 'ignored', reason: 'Unknown build' }) };
+    }
+
+    // Retries re-run the same branch, so its runs belong to the latest retry
+    for (let hops = 0; build.status === 'retried' && build.retriedBy && hops < MAX_RETRY_HOPS; hops++) {
+      build = (await store.get(build.retriedBy)) || build;
+    }
+
+    const buildId = build.buildId;
+
+    if (build.retryOf && run.created_at && run.created_at < build.createdAt) {
+      return { statusCode: 202, headers, body: JSON.stringify({ status: 'ignored', reason: 'Run predates retry' }) };
+    }
+
+    if (build.status === 'cancelled') {
+      // A run that started after the build was cancelled is stopped here
+      if (run.status !== 'completed') {
+        await getBuildProvider('github').cancel({ ...build, workflow: { runId: run.id } }).catch(err => {
+          console.warn(`[Build ${buildId}] Cancelling run ${run.id} failed:`, err.message);
+        });
+      }
+      return { statusCode: 202, headers, body: JSON.stringify({ status: 'ignored', reason: 'Build cancelled' }) };
+    }
+
+    // Deliveries can arrive out of order: never move an attempt backwards
+    const previous = build.workflow;
+    const isOlderAttempt = previous && (run.run_attempt || 1) < (previous.runAttempt || 1);
+    const isRegression = previous
+      && previous.runId === run.id
+      && (previous.runAttempt || 1) === (run.run_attempt || 1)
+      && previous.status === 'completed'
+      && run.status !== 'completed';
+
+    if (isOlderAttempt || isRegression) {
+      return { statusCode: 202, headers, body: JSON.stringify({ status: 'ignored', reason: 'Stale event' }) };
+    }
+
+    const changes = recordChangesForRun(run);
+    const updated = await store.update(buildId, changes);
+
+    console.log(`[Build ${buildId}] Workflow run ${run.id} ${payload.action}: ${changes.status}`);
+
+    await finishBuild(updated).catch(err => {
+      console.warn(`[Build ${buildId}] Build completion steps failed:`, err.message);
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ status: 'updated', buildId, buildStatus: changes.status })
+    };
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Webhook processing failed',
+        message: error.message
+      })
+    };
+  }
+};
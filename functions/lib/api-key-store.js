@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serialize, writeFileAtomic } = require('./file-store');
+
+/**
+ * API Key Store
+ *
+ * Persists hashed API keys (the plaintext key is never stored). Follows the
+ * same adapter pattern as the build store:
+ *
+ *   create(record)              → record
+ *   getByHash(keyHash)          → record | null
+ *   update(keyHash, changes)    → record | null
+ *   listByProject(projectId)    → record[]
+ *
+ * Records look like { keyHash, keyId, projectId, label, createdAt,
+ * expiresAt?, revokedAt? }.
+ *
+ * The adapter is selected with API_KEY_STORE ("dynamodb" or "file"). When
+ * unset, DynamoDB is used if AWS_DYNAMODB_KEYS_TABLE is configured, otherwise
+ * keys are kept in a JSON file at API_KEY_STORE_FILE.
+ */
+
+class DynamoApiKeyStore {
+  constructor({ tableName, region, projectIndex }) {
+    const AWS = require('aws-sdk');
+
+    this.tableName = tableName;
+    this.projectIndex = projectIndex;
+    this.client = new AWS.DynamoDB.DocumentClient({ region });
+  }
+
+  async create(record) {
+    await this.client.put({
+      TableName: this.tableName,
+      Item: record,
+      ConditionExpression: 'attribute_not_exists(keyHash)'
+    }).promise();
+
+    return record;
+  }
+
+  async getByHash(keyHash) {
+    const result = await this.client.get({
+      TableName: this.tableName,
+      Key: { keyHash }
+    }).promise();
+
+    return result.Item || null;
+  }
+
+  async update(keyHash, changes) {
+    const entries = Object.entries(changes)
+      .filter(([key, value]) => key !== 'keyHash' && value !== undefined);
+
+    try {
+      const result = await this.client.update({
+        TableName: this.tableName,
+        Key: { keyHash },
+        UpdateExpression: `SET ${entries.map((_, i) => `#k${i} = :v${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(keyHash)',
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([key], i) => [`#k${i}`, key])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+
+      return result.Attributes;
+    } catch (err) {
+      if (err.code === 'ConditionalCheckFailedException') return null;
+      throw err;
+    }
+  }
+
+  async listByProject(projectId) {
+    const items = [];
+    let startKey;
+
+    do {
+      const result = await this.client.query({
+        TableName: this.tableName,
+        IndexName: this.projectIndex,
+        KeyConditionExpression: 'projectId = :projectId',
+        ExpressionAttributeValues: { ':projectId': projectId },
+        ExclusiveStartKey: startKey
+      }).promise();
+
+      items.push(...(result.Items || []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return items;
+  }
+}
+
+class FileApiKeyStore {
+  constructor({ file }) {
+    this.file = file;
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  async write(keys) {
+    await writeFileAtomic(this.file, JSON.stringify(keys, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  async create(record) {
+    return serialize(this.file, async () => {
+      const keys = await this.read();
+      if (keys[record.keyHash]) {
+        throw new Error('API key already exists');
+      }
+      keys[record.keyHash] = record;
+      await this.write(keys);
+      return record;
+    });
+  }
+
+  async getByHash(keyHash) {
+    const keys = await this.read();
+    return keys[keyHash] || null;
+  }
+
+  async update(keyHash, changes) {
+    return serialize(this.file, async () => {
+      const keys = await this.read();
+      if (!keys[keyHash]) return null;
+
+      keys[keyHash] = { ...keys[keyHash], ...changes, keyHash };
+      await this.write(keys);
+      return keys[keyHash];
+    });
+  }
+
+  async listByProject(projectId) {
+    const keys = await this.read();
+    return Object.values(keys).filter(record => record.projectId === projectId);
+  }
+}
+
+let store = null;
+
+/**
+ * Create a store from environment configuration.
+ */
+function createApiKeyStore(env = process.env) {
+  const backend = env.API_KEY_STORE || (env.AWS_DYNAMODB_KEYS_TABLE ? 'dynamodb' : 'file');
+
+  if (backend === 'dynamodb') {
+    if (!env.AWS_DYNAMODB_KEYS_TABLE) {
+      throw new Error('API_KEY_STORE=dynamodb requires AWS_DYNAMODB_KEYS_TABLE');
+    }
+    return new DynamoApiKeyStore({
+      tableName: env.AWS_DYNAMODB_KEYS_TABLE,
+      region: env.AWS_REGION || 'us-east-1',
+      projectIndex: env.AWS_DYNAMODB_KEYS_PROJECT_INDEX || 'projectId-index'
+    });
+  }
+
+  if (backend === 'file') {
+    return new FileApiKeyStore({
+      file: env.API_KEY_STORE_FILE || path.join(os.tmpdir(), 'twelvety-api-keys.json')
+    });
+  }
+
+  throw new Error(`Unknown API_KEY_STORE backend: ${backend}`);
+}
+
+/**
+ * Shared store instance, created on first use and reused across invocations.
+ */
+function getApiKeyStore() {
+  if (!store) {
+    store = createApiKeyStore();
+  }
+  return store;
+}
+
+module.exports = {
+  getApiKeyStore,
+  createApiKeyStore,
+  DynamoApiKeyStore,
+  FileApiKeyStore
+};
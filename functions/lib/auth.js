@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { getApiKeyStore } = require('./api-key-store');
+
+/**
+ * API Key Authentication
+ *
+ * Requests authenticate with `Authorization: Bearer <api key>`. Keys belong
+ * to a single project and are stored only as hashes (HMAC-SHA256 with
+ * API_KEY_PEPPER when set, plain SHA-256 otherwise).
+ *
+ * Set AUTH_DISABLED=true to accept anonymous requests (local development).
+ *
+ * Error bodies are shared by every function:
+ *   401 { error: 'Unauthorized', code, message }
+ *   403 { error: 'Forbidden', code, message }
+ */
+
+const KEY_PREFIX = 'twk_';
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+
+function hashApiKey(apiKey, pepper = process.env.API_KEY_PEPPER) {
+  return pepper
+    ? crypto.createHmac('sha256', pepper).update(apiKey).digest('hex')
+    : crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function isKeyActive(record, now = new Date()) {
+  if (!record || record.revokedAt) return false;
+  return !record.expiresAt || new Date(record.expiresAt) > now;
+}
+
+/**
+ * Create a key for a project. The plaintext key is only returned here.
+ */
+async function createApiKey(projectId, { label, expiresAt } = {}) {
+  const apiKey = generateApiKey();
+  const record = {
+    keyHash: hashApiKey(apiKey),
+    keyId: crypto.randomBytes(6).toString('hex'),
+    projectId,
+    label: label || 'default',
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt || undefined
+  };
+
+  await getApiKeyStore().create(record);
+  return { apiKey, record };
+}
+
+/**
+ * Issue a new key and schedule the project's other active keys to expire
+ * after a grace period, so clients can switch over without downtime.
+ */
+async function rotateApiKey(projectId, { graceSeconds = DEFAULT_ROTATION_GRACE_SECONDS, label } = {}) {
+  const store = getApiKeyStore();
+  const existing = (await store.listByProject(projectId)).filter(record => isKeyActive(record));
+  const created = await createApiKey(projectId, { label });
+  const expiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+
+  for (const record of existing) {
+    if (!record.expiresAt || record.expiresAt > expiresAt) {
+      await store.update(record.keyHash, { expiresAt });
+    }
+  }
+
+  return { ...created, expiring: existing.map(record => record.keyId), expiresAt };
+}
+
+/**
+ * Revoke a project's key by its public keyId. Returns false if not found.
+ */
+async function revokeApiKey(projectId, keyId) {
+  const store = getApiKeyStore();
+  const record = (await store.listByProject(projectId)).find(r => r.keyId === keyId);
+  if (!record) return false;
+
+  await store.update(record.keyHash, { revokedAt: new Date().toISOString() });
+  return true;
+}
+
+function authError(statusCode, headers, code, message) {
+  const extraHeaders = statusCode === 401
+    ? { 'WWW-Authenticate': `Bearer realm="twelvety", error="${code}"` }
+    : {};
+
+  return {
+    statusCode,
+    headers: { ...headers, ...extraHeaders },
+    body: JSON.stringify({
+      error: statusCode === 401 ? 'Unauthorized' : 'Forbidden',
+      code,
+      message
+    })
+  };
+}
+
+/**
+ * Resolve the caller from the Authorization header.
+ * Returns { principal } on success or { response } with a 401 to return.
+ */
+async function authenticate(event, headers) {
+  if (process.env.AUTH_DISABLED === 'true') {
+    return { principal: { anonymous: true, projectId: null, keyId: null } };
+  }
+
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+
+  if (!match) {
+    return {
+      response: authError(401, headers, 'missing_api_key', 'Provide an API key as "Authorization: Bearer <key>"')
+    };
+  }
+
+  const record = await getApiKeyStore().getByHash(hashApiKey(match[1]));
+
+  if (!record) {
+    return { response: authError(401, headers, 'invalid_api_key', 'API key is not valid') };
+  }
+
+  if (record.revokedAt) {
+    return { response: authError(401, headers, 'revoked_api_key', 'API key has been revoked') };
+  }
+
+  if (!isKeyActive(record)) {
+    return { response: authError(401, headers, 'expired_api_key', 'API key has expired') };
+  }
+
+  return {
+    principal: { anonymous: false, projectId: record.projectId, keyId: record.keyId }
+  };
+}
+
+/**
+ * Check that the principal may act on `projectId`.
+ * Returns a 403 response to send, or null when allowed.
+ */
+function authorizeProject(principal, projectId, headers) {
+  if (principal.anonymous || principal.projectId === projectId) {
+    return null;
+  }
+
+  return authError(403, headers, 'project_scope', `API key is not authorized for project "${projectId}"`);
+}
+
+module.exports = {
+  authenticate,
+  authorizeProject,
+  authError,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  hashApiKey,
+  isKeyActive
+};
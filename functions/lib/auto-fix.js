@@ -0,0 +1,237 @@
+const { locateValue, locateInsertion } = require('./error-locations');
+
+/**
+ * Auto Fix
+ *
+ * Machine-applicable fixes for common frontmatter errors. A fix is
+ * { description, value, edits }, where each edit replaces the
+ * { line, column, endLine, endColumn } range (1-based, endColumn exclusive,
+ * like error locations) with `text`:
+ *
+ *   - `enum` / `const`  the closest allowed value
+ *   - `format: date`    the date rewritten as YYYY-MM-DD
+ *   - `maxLength`       the text cut at a word boundary to fit
+ *   - `uniqueItems`     the list without duplicates (tags are also lowercased
+ *                       and hyphenated first)
+ *   - `required`        the property added with its schema `default` or `const`
+ *
+ * Only the offending value is rewritten, so the rest of the YAML keeps its
+ * formatting. The workspace editor offers these fixes from the
+ * js/vendor/workspace-lib.js bundle of this module.
+ */
+
+const MONTH_NAME = /[a-z]/i;
+const YAML_RESERVED = /^(true|false|yes|no|on|off|null|~)$/i;
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function closest(value, options) {
+  const text = String(value).trim().toLowerCase();
+  return options
+    .map(option => ({ option, distance: levenshtein(text, String(option).toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance)[0]?.option;
+}
+
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * `2024/3/7`, `2024.03.07`, `2024-03-07T10:00:00Z` and dates with a month
+ * name (`March 7, 2024`) become `2024-03-07`. All-numeric dates in other
+ * orders (`03/07/2024`) are ambiguous and are left alone.
+ */
+function normalizeDate(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+
+  const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (match) {
+    return formatDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  const parsed = new Date(text);
+  if (MONTH_NAME.test(text) && !Number.isNaN(parsed.getTime())) {
+    return formatDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+  return null;
+}
+
+function truncate(text, limit) {
+  const cut = text.slice(0, Math.max(limit - 1, 0));
+  const space = cut.lastIndexOf(' ');
+  return `${(space > limit / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+// Plain YAML when it reads back as the same string, JSON-quoted otherwise.
+// Starting with a letter keeps indicators (`[]{}#&*!|>'"%@`) out of first
+// position, and no `,` so the value also survives inside a flow list.
+function yamlScalar(value) {
+  if (typeof value !== 'string') return String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const plain = /^[A-Za-z][\w ./()+-]*$/.test(value) && !/\s$/.test(value) && !YAML_RESERVED.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function yamlFlow(items) {
+  return `[${items.map(yamlScalar).join(', ')}]`;
+}
+
+/**
+ * The `default` or `const` of a property, looking through `allOf` so the
+ * per-section schemas resolve to the site.json base schema.
+ */
+function propertyDefault(schema, name) {
+  if (!schema || typeof schema !== 'object') return undefined;
+
+  const property = schema.properties?.[name];
+  if (property && property.default !== undefined) return property.default;
+  if (property && property.const !== undefined) return property.const;
+
+  for (const part of schema.allOf || []) {
+    const value = propertyDefault(part, name);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function valueAt(frontmatter, segments) {
+  return segments.reduce((value, segment) => (value == null ? undefined : value[segment]), frontmatter);
+}
+
+/**
+ * Suggest a fix for one Ajv error (`instancePath`, `keyword`, `params`).
+ * `frontmatter` is the parsed data the error came from; `schema` is only
+ * needed for `required`. Returns the fix, or null when there is none.
+ */
+function suggestFix(markdown, error, { frontmatter = {}, schema = null } = {}) {
+  const pointer = error.instancePath || '';
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const current = valueAt(frontmatter, segments);
+  const params = error.params || {};
+
+  const replace = (value, text, description) => {
+    const at = locateValue(markdown, pointer);
+    if (!at) return null;
+    return {
+      description,
+      value,
+      edits: [{
+        line: at.line,
+        column: at.column,
+        endLine: at.endLine,
+        endColumn: at.endColumn,
+        text: at.block ? ` ${text}` : text
+      }]
+    };
+  };
+
+  switch (error.keyword) {
+    case 'enum': {
+      if (current === undefined || !Array.isArray(params.allowedValues)) return null;
+      const value = closest(current, params.allowedValues);
+      return value === undefined ? null : replace(value, yamlScalar(value), `Replace "${current}" with "${value}"`);
+    }
+
+    case 'const': {
+      if (params.allowedValue === undefined) return null;
+      const value = params.allowedValue;
+      return replace(value, yamlScalar(value), `Replace with "${value}"`);
+    }
+
+    case 'format': {
+      if (params.format !== 'date') return null;
+      const value = normalizeDate(current);
+      return value ? replace(value, value, `Rewrite "${current}" as ${value}`) : null;
+    }
+
+    case 'maxLength': {
+      if (typeof current !== 'string') return null;
+      const value = truncate(current, params.limit);
+      return replace(value, yamlScalar(value), `Shorten to ${value.length} characters`);
+    }
+
+    case 'uniqueItems': {
+      if (!Array.isArray(current)) return null;
+      const items = segments.length === 1 && segments[0] === 'tags' ? current.map(normalizeTag) : current;
+      const seen = new Set();
+      const value = items.filter(item => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      if (value.some(item => typeof item === 'object' && item !== null)) return null;
+      return replace(value, yamlFlow(value), `Remove ${current.length - value.length} duplicate item(s)`);
+    }
+
+    case 'required': {
+      if (segments.length > 0) return null;
+      const name = params.missingProperty;
+      const value = propertyDefault(schema, name);
+      const at = value === undefined ? null : locateInsertion(markdown);
+      if (!at) return null;
+
+      const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
+      return {
+        description: `Add ${name}: ${value}`,
+        value,
+        edits: [{ ...at, text: `${name}: ${yamlScalar(value)}${newline}` }]
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply the edits of several fixes to the markdown, last position first so
+ * earlier offsets stay valid. Edits overlapping one already applied are skipped.
+ */
+function applyFixes(markdown, fixes) {
+  const lines = markdown.split('\n');
+  const offsets = [0];
+  lines.forEach(line => offsets.push(offsets[offsets.length - 1] + line.length + 1));
+  const offsetOf = (line, column) => offsets[line - 1] + column - 1;
+
+  const edits = fixes
+    .flatMap(fix => (fix ? fix.edits : []))
+    .map(edit => ({ ...edit, start: offsetOf(edit.line, edit.column), end: offsetOf(edit.endLine, edit.endColumn) }))
+    .sort((a, b) => b.start - a.start || b.end - a.end);
+
+  let result = markdown;
+  let limit = Infinity;
+  edits.forEach(edit => {
+    if (edit.end > limit) return;
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    limit = edit.start;
+  });
+
+  return result;
+}
+
+module.exports = { suggestFix, applyFixes };
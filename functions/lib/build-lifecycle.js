@@ -0,0 +1,50 @@
+const { getBuildStore } = require('./build-store');
+const { getBuildProvider } = require('./build-provider');
+const { notifyBuildFinished } = require('./build-notifications');
+const { isTerminalStatus } = require('./build-summary');
+
+/**
+ * Build Lifecycle
+ *
+ * Runs the steps that follow a build reaching a final status: the
+ * provider's `complete` hook (e.g. auto-merging a pull request), then the
+ * completion notifications. Called wherever a record's status becomes
+ * terminal; returns the latest record.
+ *
+ * Status polling, the GitHub webhook, cancellation and the local provider
+ * can all see the same final status, so the record is claimed first by
+ * setting `notifiedAt` only if it is unset. Callers that lose the claim
+ * return without running the steps again.
+ */
+async function finishBuild(build) {
+  if (!build || !isTerminalStatus(build.status)) {
+    return build;
+  }
+
+  const claimed = await getBuildStore().update(
+    build.buildId,
+    { notifiedAt: new Date().toISOString() },
+    { ifNotSet: 'notifiedAt' }
+  );
+  if (!claimed) {
+    return build;
+  }
+
+  let finished = claimed;
+  const provider = getBuildProvider(build.provider || 'github');
+
+  if (provider.complete) {
+    const changes = await provider.complete(finished);
+    if (changes) {
+      finished = (await getBuildStore().update(build.buildId, changes)) || finished;
+    }
+  }
+
+  await notifyBuildFinished(finished).catch(err => {
+    console.warn(`[Build ${build.buildId}] Completion notification failed:`, err.message);
+  });
+
+  return finished;
+}
+
+module.exports = { finishBuild };
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const { v4: uuidv4 } = require('uuid');
+const { getBuildProvider } = require('./build-provider');
+const { getBuildQuota } = require('./rate-limit');
+const { getWebhookStore } = require('./webhook-store');
+const { summarizeBuild, isTerminalStatus } = require('./build-summary');
+
+/**
+ * Build Completion Notifications
+ *
+ * When a build reaches completed, failed or cancelled, the build-status
+ * payload is POSTed to the build's `callbackUrl` and to every webhook
+ * registered for the project. Each POST is a delivery in the webhook store's delivery log:
+ * the first attempt is made immediately, failed attempts are retried with
+ * exponential backoff by the webhook-retry function until WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Requests carry X-Twelvety-Event, X-Twelvety-Delivery and
+ * X-Twelvety-Signature-256 (`sha256=` HMAC of the body, keyed with the
+ * webhook's secret, or WEBHOOK_SIGNING_SECRET for callback URLs).
+ *
+ * Receivers must be public: URLs need https, and a host that resolves to a
+ * private, loopback or link-local address is refused when the delivery is
+ * attempted (so a DNS change after registration does not get around it).
+ * Deliveries connect to the address that was checked, so a second answer
+ * from DNS (rebinding) is never used.
+ * With NODE_ENV=development, http and loopback receivers are allowed for
+ * local testing.
+ */
+
+const WEBHOOK_EVENTS = ['build.completed', 'build.failed', 'build.cancelled'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '60', 10);
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const LOOPBACK_ADDRESSES = new net.BlockList();
+LOOPBACK_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_ADDRESSES.addAddress('::1', 'ipv6');
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],       // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],   // carrier-grade NAT
+  ['169.254.0.0', 16],  // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15]    // benchmarking, used inside some provider networks
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('64:ff9b::', 96, 'ipv6'); // NAT64, reaches any IPv4 address
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');     // unique local
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');    // link-local
+
+function isDevelopment() {
+  return process.env.NODE_ENV === 'development';
+}
+
+/**
+ * Whether an IP address is private, loopback or link-local. Loopback is
+ * allowed in development. IPv4-mapped IPv6 addresses are checked as IPv4.
+ */
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const type = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+
+  if (LOOPBACK_ADDRESSES.check(ip, type)) return !isDevelopment();
+  return PRIVATE_ADDRESSES.check(ip, type);
+}
+
+/**
+ * Check a callback or webhook URL. Returns an error message, or null when
+ * the URL is acceptable: https (http to localhost in development) and not
+ * an IP literal in a private range. Host names are checked on delivery.
+ */
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'must be an absolute URL';
+  }
+
+  const local = LOCAL_HOSTNAMES.includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local && isDevelopment())) {
+    return 'must use https';
+  }
+
+  const address = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if ((local && !isDevelopment()) || (net.isIP(address) && isBlockedAddress(address))) {
+    return 'must not point to a private, loopback or link-local address';
+  }
+  return null;
+}
+
+/**
+ * `dns.lookup` for delivery connections: fails when any address of the host
+ * is private, loopback or link-local, and otherwise hands the checked
+ * addresses to the connection.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`Receiver ${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Host names are resolved (and checked) once per connection, by publicLookup
+const receiverAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Throw when the URL's host is an IP address that is private, loopback or
+ * link-local. Connections to IP addresses do not go through publicLookup.
+ */
+function assertPublicAddress(value) {
+  const { hostname } = new URL(value);
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`Receiver ${hostname} is a non-public address`);
+  }
+}
+
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(MAX_RETRY_DELAY_SECONDS, RETRY_BASE_SECONDS * 2 ** (attempts - 1));
+}
+
+/**
+ * POST a delivery once and record the attempt in its history.
+ * Returns the updated delivery record.
+ */
+async function attemptDelivery(delivery) {
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    assertPublicAddress(delivery.url);
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Twelvety-Webhooks/1.0',
+        'X-Twelvety-Event': delivery.event,
+        'X-Twelvety-Delivery': delivery.deliveryId,
+        'X-Twelvety-Signature-256': delivery.signature
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      dispatcher: receiverAgent,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `Receiver responded ${response.status}`;
+    }
+  } catch (err) {
+    // fetch reports connection errors, including publicLookup's, as its cause
+    error = err.cause?.message || err.message;
+  }
+
+  const now = new Date();
+  const attempts = (delivery.attempts || 0) + 1;
+  const history = [...(delivery.history || []), {
+    attempt: attempts,
+    attemptedAt: new Date(startedAt).toISOString(),
+    statusCode,
+    error,
+    durationMs: now.getTime() - startedAt
+  }];
+
+  let changes;
+  if (!error) {
+    changes = { status: 'delivered', deliveredAt: now.toISOString(), nextAttemptAt: null };
+  } else if (attempts >= MAX_ATTEMPTS) {
+    changes = { status: 'failed', nextAttemptAt: null };
+  } else {
+    changes = {
+      status: 'pending',
+      nextAttemptAt: new Date(now.getTime() + retryDelaySeconds(attempts) * 1000).toISOString()
+    };
+  }
+
+  console.log(`[Build ${delivery.buildId}] Delivery ${delivery.deliveryId} attempt ${attempts}: ${changes.status}${error ? ` (${error})` : ''}`);
+
+  return getWebhookStore().updateDelivery(delivery.deliveryId, {
+    ...changes,
+    attempts,
+    history,
+    lastError: error
+  });
+}
+
+/**
+ * Queue and attempt deliveries for a build that reached a terminal status.
+ * Call it once per build: finishBuild claims the record (`notifiedAt`)
+ * first, so concurrent callers never deliver twice.
+ * Returns the delivery records.
+ */
+async function notifyBuildFinished(build) {
+  if (!build || !isTerminalStatus(build.status)) {
+    return [];
+  }
+
+  const event = `build.${build.status}`;
+  const webhooks = await getWebhookStore().listWebhooks(build.projectId);
+  const targets = webhooks
+    .filter(webhook => (webhook.events || WEBHOOK_EVENTS).includes(event))
+    .map(webhook => ({ url: webhook.url, secret: webhook.secret, webhookId: webhook.webhookId }));
+
+  if (build.callbackUrl) {
+    if (process.env.WEBHOOK_SIGNING_SECRET) {
+      targets.unshift({ url: build.callbackUrl, secret: process.env.WEBHOOK_SIGNING_SECRET, webhookId: null });
+    } else {
+      console.warn(`[Build ${build.buildId}] Skipping callbackUrl: WEBHOOK_SIGNING_SECRET is not configured`);
+    }
+  }
+
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const workflow = await getBuildProvider(build.provider || 'github').getWorkflow(build);
+  let quota = null;
+  try {
+    quota = await getBuildQuota(build.projectId);
+  } catch (err) {
+    console.warn(`Quota lookup failed for ${build.projectId}:`, err.message);
+  }
+
+  const payload = JSON.stringify({
+    event,
+    ...summarizeBuild(build, {
+      workflow,
+      quota,
+      serviceUrl: process.env.SERVICE_URL || build.serviceUrl || null
+    })
+  });
+
+  const createdAt = new Date().toISOString();
+  const store = getWebhookStore();
+  const deliveries = [];
+
+  // One at a time: the file store rewrites a single JSON file on every change
+  for (const target of targets) {
+    const delivery = await store.createDelivery({
+      deliveryId: uuidv4(),
+      projectId: build.projectId,
+      buildId: build.buildId,
+      webhookId: target.webhookId,
+      url: target.url,
+      event,
+      payload,
+      signature: signPayload(payload, target.secret),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: createdAt,
+      history: [],
+      createdAt
+    });
+
+    deliveries.push(await attemptDelivery(delivery));
+  }
+
+  return deliveries;
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed.
+ * Returns counts of the outcomes.
+ */
+async function retryDueDeliveries({ limit = 25 } = {}) {
+  const due = await getWebhookStore().listDueDeliveries(new Date().toISOString(), limit);
+  const counts = { attempted: due.length, delivered: 0, pending: 0, failed: 0 };
+
+  for (const delivery of due) {
+    const updated = await attemptDelivery(delivery);
+    if (updated) {
+      counts[updated.status] += 1;
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateWebhookUrl,
+  signPayload,
+  attemptDelivery,
+  notifyBuildFinished,
+  retryDueDeliveries
+};
@@ -0,0 +1,54 @@
+const { GitHubBuildProvider } = require('./github-build-provider');
+const { createLocalBuildProvider } = require('./local-build-provider');
+
+/**
+ * Build Provider Selection
+ *
+ * Providers share one interface:
+ *
+ *   start(build)            → fields to merge into the build record
+ *   getWorkflow(record)     → { status, conclusion, url }
+ *   cancel(record)          → fields to merge; stops the running build
+ *   retry(original, record) → fields to merge; re-runs the original's sources
+ *   complete(record)        → fields to merge, or null (optional; called once
+ *                             the build reaches a final status)
+ *
+ * BUILD_PROVIDER selects "github" (default, GitHub Actions dispatch) or
+ * "local" (in-process Eleventy build). Records remember the provider that
+ * started them, so status lookups keep working if the default changes.
+ */
+
+const providers = {};
+
+function createBuildProvider(name, env = process.env) {
+  if (name === 'github') {
+    return new GitHubBuildProvider({
+      token: env.GITHUB_TOKEN,
+      owner: env.GITHUB_ORG || env.GITHUB_OWNER,
+      repo: env.GITHUB_REPO,
+      baseBranch: env.GITHUB_BASE_BRANCH || 'main',
+      mergeMethod: env.PUBLISH_MERGE_METHOD || 'squash'
+    });
+  }
+
+  if (name === 'local') {
+    return createLocalBuildProvider(env);
+  }
+
+  throw new Error(`Unknown BUILD_PROVIDER: ${name}`);
+}
+
+/**
+ * Shared provider instance by name (defaults to BUILD_PROVIDER).
+ */
+function getBuildProvider(name = process.env.BUILD_PROVIDER || 'github') {
+  if (!providers[name]) {
+    providers[name] = createBuildProvider(name);
+  }
+  return providers[name];
+}
+
+module.exports = {
+  getBuildProvider,
+  createBuildProvider
+};
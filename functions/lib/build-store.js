@@ -0,0 +1,315 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serialize, writeFileAtomic } = require('./file-store');
+
+/**
+ * Build Record Store
+ *
+ * Shared persistence for build records used by the build functions.
+ * Two adapters implement the same interface:
+ *
+ *   create(record)             → record
+ *   get(buildId)               → record | null
+ *   update(buildId, changes, { ifNotSet, ifStatus }) → record | null
+ *   list({ projectId, status, from, to, limit, cursor }) → { items, nextCursor }
+ *   delete(buildId)            → boolean
+ *
+ * `update` returns null when the record does not exist, when `ifNotSet`
+ * names a field the record already has (a null value counts as unset; used
+ * to claim a record once), or when the record's status is not one of
+ * `ifStatus`. The check and the write are atomic.
+ * `list` returns newest first; `status` is a list of statuses to include and
+ * `from`/`to` are inclusive ISO timestamps compared against `createdAt`.
+ *
+ * The adapter is selected with BUILD_STORE ("dynamodb" or "file"). When unset,
+ * DynamoDB is used if AWS_DYNAMODB_TABLE is configured, otherwise records are
+ * written as JSON files under BUILD_STORE_DIR (defaults to the OS temp dir).
+ * File writes and updates of one record are queued through file-store.js.
+ */
+
+const RECORD_TTL_SECONDS = 7 * 365 * 24 * 60 * 60; // 7 years
+const DEFAULT_LIST_LIMIT = 20;
+
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+class DynamoBuildStore {
+  constructor({ tableName, region, projectIndex }) {
+    // Lazily required so the file adapter works without the AWS SDK configured
+    const AWS = require('aws-sdk');
+
+    this.tableName = tableName;
+    this.projectIndex = projectIndex;
+    this.client = new AWS.DynamoDB.DocumentClient({ region });
+  }
+
+  async create(record) {
+    const item = {
+      ...record,
+      ttl: Math.floor(Date.now() / 1000) + RECORD_TTL_SECONDS
+    };
+
+    await this.client.put({
+      TableName: this.tableName,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(buildId)'
+    }).promise();
+
+    return item;
+  }
+
+  async get(buildId) {
+    const result = await this.client.get({
+      TableName: this.tableName,
+      Key: { buildId }
+    }).promise();
+
+    return result.Item || null;
+  }
+
+  async update(buildId, changes, { ifNotSet, ifStatus } = {}) {
+    const entries = Object.entries({ ...changes, updatedAt: new Date().toISOString() })
+      .filter(([key, value]) => key !== 'buildId' && value !== undefined);
+    const conditions = ['attribute_exists(buildId)'];
+    const names = Object.fromEntries(entries.map(([key], i) => [`#k${i}`, key]));
+    const values = Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value]));
+
+    if (ifNotSet) {
+      conditions.push('(attribute_not_exists(#ifNotSet) OR attribute_type(#ifNotSet, :nullType))');
+      names['#ifNotSet'] = ifNotSet;
+      values[':nullType'] = 'NULL';
+    }
+    if (ifStatus) {
+      conditions.push(`#ifStatus IN (${ifStatus.map((_, i) => `:ifStatus${i}`).join(', ')})`);
+      names['#ifStatus'] = 'status';
+      ifStatus.forEach((status, i) => { values[`:ifStatus${i}`] = status; });
+    }
+
+    try {
+      const result = await this.client.update({
+        TableName: this.tableName,
+        Key: { buildId },
+        UpdateExpression: `SET ${entries.map((_, i) => `#k${i} = :v${i}`).join(', ')}`,
+        ConditionExpression: conditions.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+
+      return result.Attributes;
+    } catch (err) {
+      if (err.code === 'ConditionalCheckFailedException') return null;
+      throw err;
+    }
+  }
+
+  async list({ projectId, status, from, to, limit = DEFAULT_LIST_LIMIT, cursor } = {}) {
+    const names = {};
+    const values = {};
+    const conditions = [];
+    const filters = [];
+
+    if (projectId) {
+      names['#projectId'] = 'projectId';
+      values[':projectId'] = projectId;
+      conditions.push('#projectId = :projectId');
+    }
+
+    if (from || to) {
+      names['#createdAt'] = 'createdAt';
+      values[':from'] = from || '0000';
+      values[':to'] = to || '9999';
+      // createdAt is the index sort key, so it is a key condition when querying
+      (projectId ? conditions : filters).push('#createdAt BETWEEN :from AND :to');
+    }
+
+    if (status && status.length > 0) {
+      names['#status'] = 'status';
+      status.forEach((value, i) => { values[`:status${i}`] = value; });
+      filters.push(`#status IN (${status.map((_, i) => `:status${i}`).join(', ')})`);
+    }
+
+    const params = {
+      TableName: this.tableName,
+      Limit: limit,
+      ExclusiveStartKey: decodeCursor(cursor) || undefined,
+      FilterExpression: filters.length > 0 ? filters.join(' AND ') : undefined,
+      ExpressionAttributeNames: Object.keys(names).length > 0 ? names : undefined,
+      ExpressionAttributeValues: Object.keys(values).length > 0 ? values : undefined
+    };
+
+    const result = projectId
+      ? await this.client.query({
+        ...params,
+        IndexName: this.projectIndex,
+        KeyConditionExpression: conditions.join(' AND '),
+        ScanIndexForward: false
+      }).promise()
+      : await this.client.scan(params).promise();
+
+    return {
+      items: result.Items || [],
+      nextCursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null
+    };
+  }
+
+  async delete(buildId) {
+    const result = await this.client.delete({
+      TableName: this.tableName,
+      Key: { buildId },
+      ReturnValues: 'ALL_OLD'
+    }).promise();
+
+    return Boolean(result.Attributes);
+  }
+}
+
+class FileBuildStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  recordPath(buildId) {
+    // Build IDs are UUIDs; reject anything that could escape the directory
+    if (!/^[A-Za-z0-9_-]+$/.test(buildId)) {
+      throw new Error(`Invalid build ID: ${buildId}`);
+    }
+    return path.join(this.directory, `${buildId}.json`);
+  }
+
+  async write(record) {
+    await writeFileAtomic(this.recordPath(record.buildId), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  async create(record) {
+    return serialize(this.recordPath(record.buildId), async () => {
+      if (await this.get(record.buildId)) {
+        throw new Error(`Build ${record.buildId} already exists`);
+      }
+      return this.write(record);
+    });
+  }
+
+  async get(buildId) {
+    try {
+      const content = await fs.promises.readFile(this.recordPath(buildId), 'utf-8');
+      return JSON.parse(content);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async update(buildId, changes, { ifNotSet, ifStatus } = {}) {
+    return serialize(this.recordPath(buildId), async () => {
+      const existing = await this.get(buildId);
+      if (!existing
+        || (ifNotSet && existing[ifNotSet] != null)
+        || (ifStatus && !ifStatus.includes(existing.status))) return null;
+
+      return this.write({
+        ...existing,
+        ...changes,
+        buildId,
+        updatedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  async list({ projectId, status, from, to, limit = DEFAULT_LIST_LIMIT, cursor } = {}) {
+    let names = [];
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const records = await Promise.all(names
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.get(name.replace(/\.json$/, ''))));
+
+    const matching = records
+      .filter(record => record
+        && (!projectId || record.projectId === projectId)
+        && (!status || status.length === 0 || status.includes(record.status))
+        && (!from || (record.createdAt || '') >= from)
+        && (!to || (record.createdAt || '') <= to))
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+    const offset = decodeCursor(cursor)?.offset || 0;
+    const items = matching.slice(offset, offset + limit);
+    const nextOffset = offset + items.length;
+
+    return {
+      items,
+      nextCursor: nextOffset < matching.length ? encodeCursor({ offset: nextOffset }) : null
+    };
+  }
+
+  async delete(buildId) {
+    try {
+      await fs.promises.unlink(this.recordPath(buildId));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+}
+
+let store = null;
+
+/**
+ * Create a store from environment configuration.
+ */
+function createBuildStore(env = process.env) {
+  const backend = env.BUILD_STORE || (env.AWS_DYNAMODB_TABLE ? 'dynamodb' : 'file');
+
+  if (backend === 'dynamodb') {
+    if (!env.AWS_DYNAMODB_TABLE) {
+      throw new Error('BUILD_STORE=dynamodb requires AWS_DYNAMODB_TABLE');
+    }
+    return new DynamoBuildStore({
+      tableName: env.AWS_DYNAMODB_TABLE,
+      region: env.AWS_REGION || 'us-east-1',
+      projectIndex: env.AWS_DYNAMODB_PROJECT_INDEX || 'projectId-createdAt-index'
+    });
+  }
+
+  if (backend === 'file') {
+    return new FileBuildStore({
+      directory: env.BUILD_STORE_DIR || path.join(os.tmpdir(), 'twelvety-builds')
+    });
+  }
+
+  throw new Error(`Unknown BUILD_STORE backend: ${backend}`);
+}
+
+/**
+ * Shared store instance, created on first use and reused across invocations.
+ */
+function getBuildStore() {
+  if (!store) {
+    store = createBuildStore();
+  }
+  return store;
+}
+
+module.exports = {
+  getBuildStore,
+  createBuildStore,
+  DynamoBuildStore,
+  FileBuildStore
+};
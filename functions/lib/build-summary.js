@@ -0,0 +1,87 @@
+/**
+ * Build Summary
+ *
+ * Shapes a build record into the public status payload. build-status returns
+ * it and completion webhooks send it, so both always carry the same fields.
+ */
+
+// Final outcomes of a build. A final build can later be marked `retried`
+// when it is re-run as a new build.
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Combine the recorded status with the provider's workflow run.
+ * Cancelled and retried are decided by the service, so they always win.
+ */
+function resolveBuildStatus(build, workflow) {
+  if (build.status === 'cancelled' || build.status === 'retried') {
+    return build.status;
+  }
+  if (workflow.status === 'completed') {
+    if (workflow.conclusion === 'cancelled') return 'cancelled';
+    return workflow.conclusion === 'success' ? 'completed' : 'failed';
+  }
+  if (workflow.status === 'in_progress') {
+    return 'building';
+  }
+  return build.status || 'queued';
+}
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Build the status payload for a record.
+ * `serviceUrl` is the public base URL of the functions (for download links).
+ */
+function summarizeBuild(build, { workflow, quota = null, serviceUrl = null }) {
+  const siteUrl = process.env.SITE_URL
+    ? `${process.env.SITE_URL}/${build.projectId}/`
+    : null;
+
+  const downloadUrl = serviceUrl
+    ? `${serviceUrl}/download/${build.buildId}`
+    : null;
+
+  const archiveUrl = process.env.AWS_BUCKET_NAME
+    ? `s3://${process.env.AWS_BUCKET_NAME}/archives/${build.projectId}/${build.buildId}/`
+    : null;
+
+  return {
+    buildId: build.buildId,
+    projectId: build.projectId,
+    status: resolveBuildStatus(build, workflow),
+    title: build.title,
+    slug: build.slug,
+    createdAt: build.createdAt,
+    authorEmail: build.authorEmail,
+    fileSize: build.fileSize,
+    error: build.error || null,
+    fileCount: build.fileCount || 1,
+    files: build.files || [],
+    attempt: build.attempt || 1,
+    retryOf: build.retryOf || null,
+    retriedBy: build.retriedBy || null,
+    cancelledAt: build.cancelledAt || null,
+    pullRequest: build.pullRequest || null,
+    workflow: {
+      status: workflow.status,
+      conclusion: workflow.conclusion,
+      url: workflow.url
+    },
+    urls: {
+      site: siteUrl,
+      download: downloadUrl,
+      archive: archiveUrl
+    },
+    quota
+  };
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  resolveBuildStatus,
+  isTerminalStatus,
+  summarizeBuild
+};
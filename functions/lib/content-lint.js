@@ -0,0 +1,290 @@
+/**
+ * Content Lint
+ *
+ * Checks the markdown body (everything after the frontmatter) against the
+ * `contentLint` rules in src/_data/site.json. Each rule is "error",
+ * "warning" or "off", or { "severity": ..., ...options }:
+ *
+ *   single-h1          exactly one `#` heading
+ *   h1-matches-title   the H1 text equals the frontmatter `title`
+ *   heading-increment  headings only go down one level at a time
+ *   image-alt          images have alt text
+ *   empty-link         links have text and a destination
+ *   no-html            no raw HTML tags (reported once per opening tag)
+ *   max-lines          at most `max` body lines
+ *   max-words          at most `max` body words
+ *
+ * Issues use the validation error shape ({ path, message, keyword, params,
+ * line, column, endLine, endColumn }) plus `severity`. Fenced code blocks and
+ * inline code are ignored. The workspace lints with this module too,
+ * bundled into js/vendor/workspace-lib.js.
+ *
+ * findReferences lists the body's links and images for lib/reference-check.
+ */
+
+const SEVERITIES = ['error', 'warning'];
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(([^)]*)\)/g;
+const LINK_PATTERN = /(?<!!)\[([^\]]*)\]\(([^)]*)\)/g;
+const HTML_IMG_PATTERN = /<img\b[^>]*>/gi;
+const HTML_TAG_PATTERN = /<([a-zA-Z][\w-]*)(?:\s[^<>]*)?\/?>/g;
+const DEFINITION_PATTERN = /^ {0,3}\[([^\]]+)\]:[ \t]*(\S+)/;
+const HTML_REFERENCE_PATTERN = /<(a|img)\b[^>]*?\s(?:href|src)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))[^>]*>/gi;
+
+/**
+ * Normalize a rule setting into { severity, options }, or null when off.
+ */
+function resolveRule(setting) {
+  if (!setting) return null;
+
+  const { severity, ...options } = typeof setting === 'string' ? { severity: setting } : setting;
+  return SEVERITIES.includes(severity) ? { severity, options } : null;
+}
+
+/**
+ * Index of the first body line (0 when there is no frontmatter).
+ */
+function bodyStart(lines) {
+  if (lines[0].trim() !== '---') return 0;
+
+  const close = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+  return close === -1 ? lines.length : close + 1;
+}
+
+/**
+ * Blank out inline code spans, keeping offsets intact.
+ */
+function stripInlineCode(line) {
+  return line.replace(/(`+)(.+?)\1/g, match => ' '.repeat(match.length));
+}
+
+/**
+ * Plain text of a heading, without emphasis, code or link markup.
+ */
+function headingText(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Body lines with code removed, and the headings found in them.
+ */
+function scanBody(lines, start) {
+  const body = [];
+  const headings = [];
+  let fence = null;
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(FENCE_PATTERN);
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    const text = stripInlineCode(line);
+    body.push({ index: i, text });
+
+    const heading = text.match(HEADING_PATTERN);
+    if (heading) {
+      headings.push({ index: i, level: heading[1].length, text: headingText(heading[2] || ''), length: line.trimEnd().length });
+      continue;
+    }
+
+    // Setext headings underline the previous paragraph line
+    const setext = text.match(SETEXT_PATTERN);
+    const previous = body[body.length - 2];
+    if (setext && previous && previous.index === i - 1 && previous.text.trim() && !previous.text.match(HEADING_PATTERN)) {
+      const prevLine = lines[i - 1];
+      headings.push({
+        index: i - 1,
+        level: setext[1][0] === '=' ? 1 : 2,
+        text: headingText(prevLine),
+        length: prevLine.trimEnd().length
+      });
+    }
+  }
+
+  return { body, headings };
+}
+
+function location(index, start, end) {
+  return {
+    line: index + 1,
+    column: start + 1,
+    endLine: index + 1,
+    endColumn: Math.max(end, start + 1) + 1
+  };
+}
+
+function issue(rule, severity, message, index, start, end, params = {}) {
+  return {
+    path: 'body',
+    message,
+    keyword: rule,
+    params,
+    severity,
+    ...location(index, start, end)
+  };
+}
+
+/**
+ * Link destination without its title or angle brackets.
+ */
+function destination(raw) {
+  const trimmed = raw.trim();
+  if (trimmed.startsWith('<')) {
+    const close = trimmed.indexOf('>');
+    return trimmed.slice(1, close === -1 ? undefined : close);
+  }
+  return trimmed.split(/\s+/)[0] || '';
+}
+
+/**
+ * Links and images in the body, outside code, as
+ * [{ kind: 'link' | 'image', href, line, column, endLine, endColumn }].
+ * Covers inline links, reference definitions and HTML `<a>`/`<img>`.
+ */
+function findReferences(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const { body } = scanBody(lines, bodyStart(lines));
+  const references = [];
+  const add = (kind, href, index, match) => {
+    if (href) {
+      references.push({ kind, href, ...location(index, match.index, match.index + match[0].length) });
+    }
+  };
+
+  body.forEach(({ index, text }) => {
+    for (const match of text.matchAll(IMAGE_PATTERN)) {
+      add('image', destination(match[2]), index, match);
+    }
+    for (const match of text.matchAll(LINK_PATTERN)) {
+      add('link', destination(match[2]), index, match);
+    }
+    for (const match of text.matchAll(HTML_REFERENCE_PATTERN)) {
+      add(match[1].toLowerCase() === 'img' ? 'image' : 'link', match[2] ?? match[3] ?? match[4], index, match);
+    }
+
+    const definition = text.match(DEFINITION_PATTERN);
+    if (definition) {
+      add('link', destination(definition[2]), index, { index: 0, 0: definition[0] });
+    }
+  });
+
+  return references.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Lint a markdown document. `rules` is the site.json `contentLint` object.
+ */
+function lintContent(markdown, { frontmatter = {}, rules = {} } = {}) {
+  const lines = markdown.split(/\r?\n/);
+  const start = bodyStart(lines);
+  const { body, headings } = scanBody(lines, start);
+  const issues = [];
+  const enabled = name => resolveRule(rules[name]);
+
+  const h1s = headings.filter(h => h.level === 1);
+
+  let rule = enabled('single-h1');
+  if (rule) {
+    if (h1s.length === 0) {
+      const at = Math.min(start, lines.length - 1);
+      issues.push(issue('single-h1', rule.severity, 'Document has no H1 heading', at, 0, lines[at].length));
+    }
+    h1s.slice(1).forEach(h => {
+      issues.push(issue('single-h1', rule.severity, 'Document has more than one H1 heading', h.index, 0, h.length));
+    });
+  }
+
+  rule = enabled('h1-matches-title');
+  if (rule && h1s.length > 0 && typeof frontmatter.title === 'string') {
+    const [h1] = h1s;
+    if (h1.text.toLowerCase() !== headingText(frontmatter.title).toLowerCase()) {
+      issues.push(issue('h1-matches-title', rule.severity, `H1 "${h1.text}" does not match title "${frontmatter.title}"`, h1.index, 0, h1.length, { title: frontmatter.title }));
+    }
+  }
+
+  rule = enabled('heading-increment');
+  if (rule) {
+    headings.forEach((h, i) => {
+      const previous = headings[i - 1];
+      if (previous && h.level > previous.level + 1) {
+        issues.push(issue('heading-increment', rule.severity, `Heading level jumps from H${previous.level} to H${h.level}`, h.index, 0, h.length, { from: previous.level, to: h.level }));
+      }
+    });
+  }
+
+  const imageAlt = enabled('image-alt');
+  const emptyLink = enabled('empty-link');
+  const noHtml = enabled('no-html');
+
+  body.forEach(({ index, text }) => {
+    if (imageAlt) {
+      for (const match of text.matchAll(IMAGE_PATTERN)) {
+        if (!match[1].trim()) {
+          issues.push(issue('image-alt', imageAlt.severity, 'Image has no alt text', index, match.index, match.index + match[0].length));
+        }
+      }
+      for (const match of text.matchAll(HTML_IMG_PATTERN)) {
+        if (!/\balt\s*=\s*("[^"]*\S[^"]*"|'[^']*\S[^']*'|[^\s"'>]+)/i.test(match[0])) {
+          issues.push(issue('image-alt', imageAlt.severity, 'Image has no alt text', index, match.index, match.index + match[0].length));
+        }
+      }
+    }
+
+    if (emptyLink) {
+      for (const match of text.matchAll(LINK_PATTERN)) {
+        if (!match[1].trim() || !match[2].trim()) {
+          const message = match[1].trim() ? 'Link has no destination' : 'Link has no text';
+          issues.push(issue('empty-link', emptyLink.severity, message, index, match.index, match.index + match[0].length));
+        }
+      }
+    }
+
+    if (noHtml) {
+      for (const match of text.matchAll(HTML_TAG_PATTERN)) {
+        issues.push(issue('no-html', noHtml.severity, `Raw HTML <${match[1]}> used`, index, match.index, match.index + match[0].length));
+      }
+    }
+  });
+
+  rule = enabled('max-lines');
+  const bodyLines = lines.slice(start);
+  while (bodyLines.length > 0 && !bodyLines[bodyLines.length - 1].trim()) bodyLines.pop();
+  if (rule && rule.options.max && bodyLines.length > rule.options.max) {
+    const at = start + rule.options.max;
+    issues.push(issue('max-lines', rule.severity, `Document has ${bodyLines.length} lines (max ${rule.options.max})`, at, 0, lines[at].length, { max: rule.options.max, count: bodyLines.length }));
+  }
+
+  rule = enabled('max-words');
+  if (rule && rule.options.max) {
+    let count = 0;
+    let over = null;
+    lines.slice(start).forEach((line, i) => {
+      count += line.split(/\s+/).filter(w => w.length > 0).length;
+      if (over === null && count > rule.options.max) over = start + i;
+    });
+    if (over !== null) {
+      issues.push(issue('max-words', rule.severity, `Document has ${count} words (max ${rule.options.max})`, over, 0, lines[over].length, { max: rule.options.max, count }));
+    }
+  }
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = { lintContent, findReferences };
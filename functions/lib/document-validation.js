@@ -0,0 +1,130 @@
+const matter = require('gray-matter');
+const {
+  getValidator,
+  isRemoteSchemaAllowed,
+  getRemoteValidator,
+  normalizeFrontmatter
+} = require('./schema-registry');
+const { locateError, locateYamlError } = require('./error-locations');
+const { lintContent } = require('./content-lint');
+const { suggestFix } = require('./auto-fix');
+const siteData = require('../../src/_data/site.json');
+
+/**
+ * Document Validation
+ *
+ * Validates markdown documents the way /api/validate does: the YAML
+ * frontmatter against a schema from the registry, then the body against the
+ * site.json contentLint rules. Shared by the single, batch and fix endpoints.
+ */
+
+function badRequest(headers, body) {
+  return { statusCode: 400, headers, body: JSON.stringify(body) };
+}
+
+/**
+ * Resolve the schema requested by `{ schema, section, schemaUrl }`: a
+ * section, a registered name, an allowlisted remote URL, or by default the
+ * site.json frontmatter schema. Returns { validate } or { response } (400).
+ */
+async function resolveValidator({ schema, section, schemaUrl }, headers) {
+  if (section) {
+    const validate = getValidator(`frontmatter-${section}`);
+    return validate ? { validate } : {
+      response: badRequest(headers, {
+        error: 'Unknown section',
+        code: 'unknown_section',
+        details: `No section "${section}" in site.json`
+      })
+    };
+  }
+
+  if (schema) {
+    const validate = getValidator(schema);
+    return validate ? { validate } : {
+      response: badRequest(headers, {
+        error: 'Unknown schema',
+        code: 'unknown_schema',
+        details: `No schema registered as "${schema}" (see GET /api/schemas)`
+      })
+    };
+  }
+
+  if (schemaUrl) {
+    if (!isRemoteSchemaAllowed(schemaUrl)) {
+      return {
+        response: badRequest(headers, {
+          error: 'Schema URL not allowed',
+          code: 'schema_url_not_allowed',
+          details: 'Reference a registered schema by name, or ask for the URL to be added to SCHEMA_REMOTE_ALLOWLIST'
+        })
+      };
+    }
+
+    try {
+      return { validate: await getRemoteValidator(schemaUrl) };
+    } catch (err) {
+      return { response: badRequest(headers, { error: 'Failed to fetch schema', details: err.message }) };
+    }
+  }
+
+  return { validate: getValidator('frontmatter') };
+}
+
+/**
+ * Validate one document. Returns { valid, frontmatter, content, errors,
+ * warnings }; `frontmatter` is null when the YAML does not parse. Schema
+ * errors that can be fixed automatically carry a `fix` (see lib/auto-fix).
+ */
+function validateDocument(markdown, validate) {
+  let frontmatter, content;
+  try {
+    const parsed = matter(markdown);
+    frontmatter = normalizeFrontmatter(parsed.data);
+    content = parsed.content;
+  } catch (err) {
+    return {
+      valid: false,
+      frontmatter: null,
+      content: null,
+      errors: [{
+        path: 'frontmatter',
+        message: 'Invalid YAML frontmatter syntax',
+        keyword: 'yaml',
+        severity: 'error',
+        ...locateYamlError(markdown, err),
+        details: err.message
+      }],
+      warnings: []
+    };
+  }
+
+  const schemaErrors = validate(frontmatter)
+    ? []
+    : validate.errors.map(err => {
+      const fix = suggestFix(markdown, err, { frontmatter, schema: validate.schema });
+      return {
+        path: err.instancePath || err.schemaPath,
+        message: err.message,
+        keyword: err.keyword,
+        params: err.params,
+        severity: 'error',
+        ...locateError(markdown, err),
+        ...(fix ? { fix } : {})
+      };
+    });
+
+  // Lint the body against the site.json contentLint rules
+  const issues = lintContent(markdown, { frontmatter, rules: siteData.contentLint });
+  const errors = [...schemaErrors, ...issues.filter(issue => issue.severity === 'error')];
+
+  return {
+    valid: errors.length === 0,
+    frontmatter,
+    content,
+    errors,
+    warnings: issues.filter(issue => issue.severity === 'warning')
+  };
+}
+
+module.exports = { resolveValidator, validateDocument };
@@ -0,0 +1,234 @@
+/**
+ * Error Locations
+ *
+ * Maps frontmatter validation errors back to the markdown they came from, as
+ * { line, column, endLine, endColumn } (1-based, endColumn exclusive):
+ *
+ *   - `/title`     the value of `title` (or the key when the value is empty)
+ *   - `/tags/1`    the second item of a flow (`[a, b]`) or block (`- b`) list
+ *   - root errors  (e.g. a missing required property) the opening `---`
+ *
+ * Also bundled for the workspace (scripts/build-workspace-lib-bundle.js), so
+ * keep it free of Node-only modules.
+ */
+
+const KEY_PATTERN = /^("([^"]*)"|'([^']*)'|[^\s#'"-][^:#]*?)\s*:(?=\s|$)/;
+const ITEM_PATTERN = /^(\s*)-(?:\s+|$)/;
+// `|` or `>` with optional indentation and chomping indicators, e.g. `>-`, `|2+`
+const BLOCK_SCALAR_PATTERN = /^[|>](?:[1-9][-+]?|[-+][1-9]?)?$/;
+
+/**
+ * Drop a trailing ` # comment` (outside quotes) and surrounding whitespace.
+ * Returns [start, end] offsets within `line`, starting the search at `from`.
+ */
+function trimValue(line, from) {
+  let start = from;
+  while (start < line.length && /\s/.test(line[start])) start++;
+
+  let end = line.length;
+  let quote = null;
+  for (let i = start; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && i > start && /\s/.test(line[i - 1])) {
+      end = i;
+      break;
+    }
+  }
+  while (end > start && /\s/.test(line[end - 1])) end--;
+
+  return [start, end];
+}
+
+/**
+ * Index the top-level keys of the frontmatter block.
+ * Returns { lines, keys, close } or null when there is no frontmatter.
+ */
+function indexFrontmatter(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  if (lines[0].trim() !== '---') return null;
+
+  const keys = {};
+  let current = null;
+  let i = 1;
+  for (; i < lines.length && lines[i].trim() !== '---'; i++) {
+    const line = lines[i];
+    const match = line.match(KEY_PATTERN);
+
+    if (match) {
+      const name = match[2] ?? match[3] ?? match[1].trim();
+      const [valueStart, valueEnd] = trimValue(line, match[0].length);
+      current = {
+        line: i,
+        key: [0, match[1].trimEnd().length],
+        colon: match[0].length,
+        value: valueEnd > valueStart ? [valueStart, valueEnd] : null,
+        children: []
+      };
+      keys[name] = current;
+    } else if (current && line.trim()) {
+      current.children.push(i);
+    }
+  }
+
+  return { lines, keys, close: i < lines.length ? i : -1 };
+}
+
+/**
+ * Offsets of each item in a flow sequence such as `[a, "b, c"]`.
+ */
+function flowItems(line, [start, end]) {
+  const items = [];
+  let quote = null;
+  let itemStart = start + 1;
+
+  for (let i = start + 1; i < end; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',' || char === ']') {
+      const [s, e] = trimValue(line.slice(0, i), itemStart);
+      if (e > s) items.push([s, e]);
+      itemStart = i + 1;
+      if (char === ']') break;
+    }
+  }
+
+  return items;
+}
+
+function itemRange(lines, entry, index) {
+  if (entry.value && lines[entry.line][entry.value[0]] === '[') {
+    const item = flowItems(lines[entry.line], entry.value)[index];
+    return item ? { line: entry.line, range: item } : null;
+  }
+
+  // Block sequence: the items at the shallowest `- ` indentation
+  const items = entry.children
+    .map(i => ({ i, match: lines[i].match(ITEM_PATTERN) }))
+    .filter(({ match }) => match);
+  const indent = Math.min(...items.map(({ match }) => match[1].length));
+  const item = items.filter(({ match }) => match[1].length === indent)[index];
+  if (!item) return null;
+
+  const range = trimValue(lines[item.i], item.match[0].length);
+  return { line: item.i, range: range[1] > range[0] ? range : [item.match[1].length, item.match[0].length] };
+}
+
+function parsePointer(pointer) {
+  return (pointer || '')
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function toLocation(line, [start, end]) {
+  return {
+    line: line + 1,
+    column: start + 1,
+    endLine: line + 1,
+    endColumn: Math.max(end, start + 1) + 1
+  };
+}
+
+/**
+ * Location of an Ajv error (`instancePath`, `keyword`, `params`) in markdown.
+ */
+function locateError(markdown, error) {
+  const index = indexFrontmatter(markdown);
+  if (!index) {
+    return toLocation(0, [0, markdown.split(/\r?\n/)[0].length]);
+  }
+
+  const { lines, keys } = index;
+  const opening = toLocation(0, [0, lines[0].trimEnd().length]);
+
+  const segments = parsePointer(error.instancePath);
+  if (error.keyword === 'additionalProperties' && error.params) {
+    segments.push(error.params.additionalProperty);
+  }
+
+  const entry = segments.length > 0 && Object.prototype.hasOwnProperty.call(keys, segments[0])
+    ? keys[segments[0]]
+    : null;
+  if (!entry) return opening;
+
+  if (segments.length > 1 && /^\d+$/.test(segments[1])) {
+    const item = itemRange(lines, entry, parseInt(segments[1], 10));
+    if (item) return toLocation(item.line, item.range);
+  }
+
+  const pointsAtKey = error.keyword === 'additionalProperties' || !entry.value;
+  return toLocation(entry.line, pointsAtKey ? entry.key : entry.value);
+}
+
+/**
+ * Location of a js-yaml syntax error thrown while parsing the frontmatter.
+ * The parsed text starts with the newline after the opening `---`, so its
+ * line numbers already line up with the markdown.
+ */
+function locateYamlError(markdown, error) {
+  const lines = markdown.split(/\r?\n/);
+  if (!error.mark) {
+    return toLocation(0, [0, lines[0].length]);
+  }
+
+  const line = Math.min(error.mark.line, lines.length - 1);
+  const text = lines[line];
+  const column = Math.min(error.mark.column, text.length);
+  return toLocation(line, [column, Math.max(text.trimEnd().length, column + 1)]);
+}
+
+/**
+ * Exact source range of a top-level value or list item (`/tags`, `/tags/1`),
+ * for replacing it. A value written as a block (a block list, a `|` or `>`
+ * scalar, or nothing after `key:`) spans from the colon to its last line and
+ * is marked `block: true`, so replacing it also replaces the indented lines.
+ * Null when the value is not in the source.
+ */
+function locateValue(markdown, instancePath) {
+  const index = indexFrontmatter(markdown);
+  const segments = parsePointer(instancePath);
+  const entry = index && segments.length > 0 && Object.prototype.hasOwnProperty.call(index.keys, segments[0])
+    ? index.keys[segments[0]]
+    : null;
+  if (!entry) return null;
+
+  if (segments.length === 2 && /^\d+$/.test(segments[1])) {
+    const item = itemRange(index.lines, entry, parseInt(segments[1], 10));
+    return item ? toLocation(item.line, item.range) : null;
+  }
+  if (segments.length !== 1) return null;
+
+  const value = entry.value && index.lines[entry.line].slice(...entry.value);
+  if (value && !BLOCK_SCALAR_PATTERN.test(value)) {
+    return toLocation(entry.line, entry.value);
+  }
+
+  const last = entry.children.length > 0 ? entry.children[entry.children.length - 1] : entry.line;
+  return {
+    line: entry.line + 1,
+    column: entry.colon + 1,
+    endLine: last + 1,
+    endColumn: index.lines[last].length + 1,
+    block: true
+  };
+}
+
+/**
+ * Empty range at the start of the closing `---`, for adding properties.
+ * Null when there is no complete frontmatter block.
+ */
+function locateInsertion(markdown) {
+  const index = indexFrontmatter(markdown);
+  if (!index || index.close === -1) return null;
+
+  return { line: index.close + 1, column: 1, endLine: index.close + 1, endColumn: 1 };
+}
+
+module.exports = { locateError, locateYamlError, locateValue, locateInsertion };
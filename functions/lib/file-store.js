@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Store Helpers
+ *
+ * Shared by the file adapters of the build, webhook and API key stores.
+ * Writes go to a temp file that is renamed over the target, so readers
+ * never see a partial file, and read-modify-write updates of one file run
+ * one after another within the process, so neither loses the other's change.
+ */
+
+const queues = new Map();
+
+/**
+ * Run `task` after every earlier task for `file` has settled.
+ */
+async function serialize(file, task) {
+  const key = path.resolve(file);
+  const previous = queues.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  queues.set(key, current);
+
+  try {
+    return await current;
+  } finally {
+    if (queues.get(key) === current) {
+      queues.delete(key);
+    }
+  }
+}
+
+/**
+ * Replace `file` with `content`. The temp name is unique per write, so
+ * concurrent writers (in this process or another) never share one.
+ */
+async function writeFileAtomic(file, content, options = 'utf-8') {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    await fs.promises.writeFile(temp, content, options);
+    await fs.promises.rename(temp, file);
+  } catch (err) {
+    await fs.promises.rm(temp, { force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  serialize,
+  writeFileAtomic
+};
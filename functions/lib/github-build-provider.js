@@ -0,0 +1,376 @@
+const { Octokit } = require('@octokit/rest');
+const { describePullRequest } = require('./pull-request');
+
+/**
+ * GitHub Actions Build Provider
+ *
+ * Commits the build's files to a `build/<buildId>` branch as a single
+ * tree/commit and dispatches the `build.yml` workflow on that branch.
+ * Progress is read back from the workflow run for the branch.
+ *
+ * In `pull-request` publishing mode a pull request is opened from the build
+ * branch into the base branch, and merged by `complete` once the build
+ * succeeds when auto-merge was requested.
+ */
+class GitHubBuildProvider {
+  constructor({ token, owner, repo, baseBranch = 'main', mergeMethod = 'squash' }) {
+    this.name = 'github';
+    this.owner = owner;
+    this.repo = repo;
+    this.baseBranch = baseBranch;
+    this.mergeMethod = mergeMethod;
+    this.octokit = new Octokit({ auth: token });
+  }
+
+  assertConfigured() {
+    if (!this.owner || !this.repo) {
+      throw new Error('GitHub configuration missing: GITHUB_ORG and GITHUB_REPO required');
+    }
+  }
+
+  /**
+   * Commit the files and trigger the workflow.
+   * Returns the fields to merge into the build record.
+   */
+  async start({ buildId, projectId, files, title, metadata, timestamp, publish, pollingUrl }) {
+    this.assertConfigured();
+
+    const { owner, repo, octokit } = this;
+    const branchName = `build/${buildId}`;
+    const filePaths = Object.keys(files);
+
+    // Get base branch SHA
+    const mainRef = await octokit.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${this.baseBranch}`
+    });
+
+    console.log(`[Build ${buildId}] Got ${this.baseBranch} branch SHA: ${mainRef.data.object.sha.substring(0, 7)}`);
+
+    // Create one blob per file, then a single tree and commit on top of the base branch
+    const mainCommit = await octokit.git.getCommit({
+      owner,
+      repo,
+      commit_sha: mainRef.data.object.sha
+    });
+
+    const blobs = await Promise.all(filePaths.map(filePath =>
+      octokit.git.createBlob({
+        owner,
+        repo,
+        content: Buffer.from(files[filePath]).toString('base64'),
+        encoding: 'base64'
+      })
+    ));
+
+    const tree = await octokit.git.createTree({
+      owner,
+      repo,
+      base_tree: mainCommit.data.tree.sha,
+      tree: filePaths.map((filePath, i) => ({
+        path: filePath,
+        mode: '100644',
+        type: 'blob',
+        sha: blobs[i].data.sha
+      }))
+    });
+
+    const fileCount = filePaths.length;
+    const commit = await octokit.git.createCommit({
+      owner,
+      repo,
+      message: `build: ${title} (${fileCount} file${fileCount === 1 ? '' : 's'}) [${buildId}]`,
+      tree: tree.data.sha,
+      parents: [mainRef.data.object.sha],
+      author: {
+        name: metadata?.authorName || 'Twelvety Service',
+        email: metadata?.author || 'service@twelvety.dev',
+        date: timestamp
+      }
+    });
+
+    console.log(`[Build ${buildId}] Committed ${fileCount} files: ${commit.data.sha.substring(0, 7)}`);
+
+    // Create feature branch pointing at the build commit
+    await octokit.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${branchName}`,
+      sha: commit.data.sha
+    });
+
+    console.log(`[Build ${buildId}] Created branch: ${branchName}`);
+
+    // Open the pull request before dispatching so a failure here fails the build
+    let pullRequest;
+    if (publish?.mode === 'pull-request') {
+      pullRequest = await this.openPullRequest({
+        buildId,
+        projectId,
+        files,
+        title,
+        metadata,
+        pollingUrl,
+        branchName,
+        autoMerge: Boolean(publish.autoMerge)
+      });
+      console.log(`[Build ${buildId}] Opened pull request #${pullRequest.number}`);
+    }
+
+    // Trigger GitHub Actions workflow
+    try {
+      await octokit.actions.createWorkflowDispatch({
+        owner,
+        repo,
+        workflow_id: 'build.yml',
+        ref: branchName,
+        inputs: {
+          buildId,
+          projectId
+        }
+      });
+      console.log(`[Build ${buildId}] Triggered workflow dispatch`);
+    } catch (err) {
+      console.error(`[Build ${buildId}] Workflow dispatch failed:`, err.message);
+      // This might fail if workflow doesn't exist yet, but the push should trigger it anyway
+    }
+
+    return {
+      branchName,
+      commitSha: commit.data.sha,
+      pullRequest
+    };
+  }
+
+  async openPullRequest({ branchName, autoMerge, ...build }) {
+    const { title, body } = describePullRequest({ ...build, autoMerge });
+
+    const pull = await this.octokit.pulls.create({
+      owner: this.owner,
+      repo: this.repo,
+      head: branchName,
+      base: this.baseBranch,
+      title,
+      body
+    });
+
+    return {
+      number: pull.data.number,
+      url: pull.data.html_url,
+      state: 'open',
+      autoMerge,
+      merged: false
+    };
+  }
+
+  /**
+   * Called once a build reaches a final status. Merges the build's pull
+   * request when auto-merge was requested and the build succeeded, then
+   * deletes the branch. Returns fields to merge into the record, or null.
+   */
+  async complete(build) {
+    const pullRequest = build.pullRequest;
+    if (!pullRequest?.autoMerge || pullRequest.merged || build.status !== 'completed') {
+      return null;
+    }
+
+    const { owner, repo, octokit } = this;
+
+    try {
+      const result = await octokit.pulls.merge({
+        owner,
+        repo,
+        pull_number: pullRequest.number,
+        merge_method: this.mergeMethod,
+        // Only merge the commit that was built
+        sha: build.commitSha
+      });
+
+      console.log(`[Build ${build.buildId}] Merged pull request #${pullRequest.number}`);
+
+      await octokit.git.deleteRef({ owner, repo, ref: `heads/${build.branchName}` }).catch(err => {
+        console.warn(`[Build ${build.buildId}] Branch cleanup failed:`, err.message);
+      });
+
+      const { mergeError, ...pull } = pullRequest;
+      return {
+        pullRequest: {
+          ...pull,
+          state: 'merged',
+          merged: true,
+          mergedAt: new Date().toISOString(),
+          mergeCommitSha: result.data.sha
+        }
+      };
+    } catch (err) {
+      console.error(`[Build ${build.buildId}] Auto-merge of #${pullRequest.number} failed:`, err.message);
+      return { pullRequest: { ...pullRequest, mergeError: err.message } };
+    }
+  }
+
+  /**
+   * Delete `build/*` branches whose last commit is more than `olderThanDays`
+   * old. Branches with an open pull request are kept for review.
+   * Returns { deleted, kept } branch names.
+   */
+  async cleanupStaleBranches({ olderThanDays, dryRun = false }) {
+    this.assertConfigured();
+
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const { owner, repo, octokit } = this;
+    const refs = await octokit.paginate(octokit.git.listMatchingRefs, {
+      owner,
+      repo,
+      ref: 'heads/build/'
+    });
+    const openPulls = await octokit.paginate(octokit.pulls.list, {
+      owner,
+      repo,
+      state: 'open',
+      per_page: 100
+    });
+    const reviewBranches = new Set(openPulls.map(pull => pull.head.ref));
+    const result = { deleted: [], kept: [] };
+
+    for (const ref of refs) {
+      const branchName = ref.ref.replace(/^refs\/heads\//, '');
+
+      if (reviewBranches.has(branchName)) {
+        result.kept.push(branchName);
+        continue;
+      }
+
+      const commit = await octokit.git.getCommit({ owner, repo, commit_sha: ref.object.sha });
+      if (new Date(commit.data.committer.date).getTime() > cutoff) {
+        result.kept.push(branchName);
+        continue;
+      }
+
+      if (!dryRun) {
+        await octokit.git.deleteRef({ owner, repo, ref: `heads/${branchName}` });
+      }
+      result.deleted.push(branchName);
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the latest workflow run on the build's branch. Retries reuse their
+   * original's branch, so only runs created since the retry are considered.
+   */
+  async findRun(build) {
+    const workflows = await this.octokit.actions.listWorkflowRunsForRepo({
+      owner: this.owner,
+      repo: this.repo,
+      branch: build.branchName || `build/${build.buildId}`,
+      created: build.retryOf ? `>=${build.createdAt}` : undefined,
+      per_page: 1
+    });
+
+    return workflows.data.workflow_runs[0] || null;
+  }
+
+  /**
+   * Look up the workflow run for a build record.
+   * Returns { status, conclusion, url } using GitHub's run vocabulary.
+   *
+   * Records updated by the GitHub webhook already carry the run, so this
+   * only queries the API for builds the webhook has not reported yet.
+   */
+  async getWorkflow(build) {
+    if (build.workflow) {
+      return {
+        status: build.workflow.status,
+        conclusion: build.workflow.conclusion,
+        url: build.workflow.url
+      };
+    }
+
+    const workflow = { status: 'unknown', conclusion: null, url: null };
+
+    if (!this.owner || !this.repo) {
+      return workflow;
+    }
+
+    try {
+      const run = await this.findRun(build);
+
+      if (run) {
+        workflow.status = run.status;
+        workflow.conclusion = run.conclusion;
+        workflow.url = run.html_url;
+      }
+    } catch (err) {
+      console.warn(`GitHub workflow query failed for ${build.buildId}:`, err.message);
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Cancel the build's workflow run. Nothing is needed when the run has not
+   * started yet: the webhook cancels runs that start for a cancelled build.
+   */
+  async cancel(build) {
+    this.assertConfigured();
+
+    const runId = build.workflow?.runId || (await this.findRun(build))?.id;
+    if (!runId) {
+      return {};
+    }
+
+    await this.octokit.actions.cancelWorkflowRun({
+      owner: this.owner,
+      repo: this.repo,
+      run_id: runId
+    });
+
+    console.log(`[Build ${build.buildId}] Cancelled workflow run ${runId}`);
+    return {};
+  }
+
+  /**
+   * Re-run a finished build by dispatching the workflow again on the
+   * original's branch, which still holds the committed files. The pull
+   * request is read back first, since it may have been merged or closed
+   * since the original ran.
+   */
+  async retry(original, build) {
+    this.assertConfigured();
+
+    let pullRequest;
+    if (original.pullRequest) {
+      const { data: pull } = await this.octokit.pulls.get({
+        owner: this.owner,
+        repo: this.repo,
+        pull_number: original.pullRequest.number
+      });
+      pullRequest = {
+        number: pull.number,
+        url: pull.html_url,
+        state: pull.merged ? 'merged' : pull.state,
+        autoMerge: original.pullRequest.autoMerge,
+        merged: Boolean(pull.merged),
+        ...(pull.merged ? { mergedAt: pull.merged_at, mergeCommitSha: pull.merge_commit_sha } : {})
+      };
+    }
+
+    await this.octokit.actions.createWorkflowDispatch({
+      owner: this.owner,
+      repo: this.repo,
+      workflow_id: 'build.yml',
+      ref: original.branchName,
+      inputs: {
+        buildId: build.buildId,
+        projectId: build.projectId
+      }
+    });
+
+    console.log(`[Build ${build.buildId}] Re-dispatched workflow on ${original.branchName} (retry of ${original.buildId})`);
+    return pullRequest ? { pullRequest } : {};
+  }
+}
+
+module.exports = { GitHubBuildProvider };
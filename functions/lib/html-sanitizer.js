@@ -0,0 +1,242 @@
+/**
+ * HTML Sanitizer
+ *
+ * Allowlist sanitizer for rendered markdown previews. Every tag is parsed
+ * and written back out, so only known elements and attributes survive:
+ *
+ *   - elements outside ALLOWED_TAGS are removed, keeping their text;
+ *     script, style and other raw-text elements are removed with their content
+ *   - event handlers, `style` and any attribute not allowed for the element
+ *     are dropped
+ *   - `href`/`src` must be relative or use http(s), mailto or tel
+ *     (images may also use data:image URLs)
+ *   - `<iframe>` is only kept when its https `src` is on an allowed origin
+ *
+ * The allowed iframe origins come from the `sanitize` block in
+ * src/_data/site.json (see sanitizeOptions). The workspace preview runs this
+ * module from the js/vendor/workspace-lib.js bundle.
+ */
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite',
+  'code', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption',
+  'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd',
+  'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span',
+  'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'u', 'ul', 'var'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+const RAW_TEXT_TAGS = new Set([
+  'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'template'
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'title', 'lang', 'dir', 'role']);
+const TAG_ATTRIBUTES = {
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  iframe: ['src', 'width', 'height', 'loading', 'allowfullscreen'],
+  ol: ['start', 'reversed', 'type'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align', 'scope'],
+  details: ['open'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime']
+};
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp);base64,[a-z0-9+/=\s]*$/i;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t',
+  newline: '\n', sol: '/', num: '#', quest: '?', period: '.', lpar: '(', rpar: ')'
+};
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)/y;
+const ATTRIBUTE_PATTERN = /\s*([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+const TAG_END_PATTERN = /\s*\/?>/y;
+
+function decodeEntities(value) {
+  return value.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, dec, hex, name) => {
+    if (dec || hex) {
+      const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Relative URLs and SAFE_SCHEMES pass; anything that could hide another
+ * scheme (control characters, unknown entities before the path) does not.
+ */
+function isSafeUrl(value, tag) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const url = decodeEntities(value).replace(/[\u0000- \u007f]/g, '');
+  const head = url.split(/[/?#]/)[0];
+
+  if (tag === 'img' && DATA_IMAGE.test(url)) return true;
+  if (head.includes('&')) return false;
+
+  const scheme = head.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme ? !head.includes(':') : SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+function iframeOrigin(value) {
+  try {
+    const url = new URL(decodeEntities(value).trim());
+    return url.protocol === 'https:' ? url.origin : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function escapeAttribute(value) {
+  return value.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Parse the opening tag at `index` into { name, closing, attributes, end },
+ * or null when the `<` does not start a tag.
+ */
+function readTag(html, index) {
+  TAG_PATTERN.lastIndex = index;
+  const tag = TAG_PATTERN.exec(html);
+  if (!tag) return null;
+
+  const attributes = [];
+  let position = TAG_PATTERN.lastIndex;
+  for (;;) {
+    TAG_END_PATTERN.lastIndex = position;
+    if (TAG_END_PATTERN.test(html)) {
+      return { name: tag[2].toLowerCase(), closing: tag[1] === '/', attributes, end: TAG_END_PATTERN.lastIndex };
+    }
+
+    ATTRIBUTE_PATTERN.lastIndex = position;
+    const attribute = ATTRIBUTE_PATTERN.exec(html);
+    if (!attribute || ATTRIBUTE_PATTERN.lastIndex === position) return null;
+
+    attributes.push({
+      name: attribute[1].toLowerCase(),
+      value: attribute[2] ?? attribute[3] ?? attribute[4] ?? ''
+    });
+    position = ATTRIBUTE_PATTERN.lastIndex;
+  }
+}
+
+function writeTag(name, attributes, { iframeOrigins }) {
+  const allowed = TAG_ATTRIBUTES[name] || [];
+  const kept = attributes.filter(({ name: attr, value }) => {
+    if (!GLOBAL_ATTRIBUTES.has(attr) && !allowed.includes(attr) && !/^aria-[a-z]+$/.test(attr)) return false;
+    if (URL_ATTRIBUTES.has(attr)) return isSafeUrl(value, name);
+    if (attr === 'target') return ['_blank', '_self'].includes(value);
+    return true;
+  });
+
+  if (name === 'iframe') {
+    const src = kept.find(attr => attr.name === 'src');
+    if (!src || !iframeOrigins.includes(iframeOrigin(src.value))) return null;
+  }
+
+  // New windows get no handle back to the preview
+  const opensWindow = name === 'a' && kept.some(attr => attr.name === 'target' && attr.value === '_blank');
+  const final = opensWindow
+    ? [...kept.filter(attr => attr.name !== 'rel'), { name: 'rel', value: 'noopener noreferrer' }]
+    : kept;
+
+  const text = final
+    .map(({ name: attr, value }) => ` ${attr}="${escapeAttribute(value)}"`)
+    .join('');
+  return `<${name}${text}>`;
+}
+
+/**
+ * Sanitize rendered HTML. `iframeOrigins` lists the origins (such as
+ * "https://player.example.com") whose iframes are kept.
+ */
+function sanitizeHtml(html, { iframeOrigins = [] } = {}) {
+  const options = { iframeOrigins };
+  let output = '';
+  let index = 0;
+
+  while (index < html.length) {
+    const next = html.indexOf('<', index);
+    if (next === -1) {
+      output += html.slice(index);
+      break;
+    }
+    output += html.slice(index, next);
+
+    // Comments, doctypes and processing instructions are dropped
+    if (html.startsWith('<!--', next)) {
+      const end = html.indexOf('-->', next + 4);
+      index = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (/^<[!?]/.test(html.slice(next, next + 2))) {
+      const end = html.indexOf('>', next);
+      index = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const tag = readTag(html, next);
+    if (!tag) {
+      output += '&lt;';
+      index = next + 1;
+      continue;
+    }
+    index = tag.end;
+
+    if (tag.closing) {
+      if (ALLOWED_TAGS.has(tag.name) && !VOID_TAGS.has(tag.name)) {
+        output += `</${tag.name}>`;
+      }
+      continue;
+    }
+
+    if (RAW_TEXT_TAGS.has(tag.name)) {
+      // Skip everything up to the matching close tag (iframe fallback included)
+      const close = html.toLowerCase().indexOf(`</${tag.name}`, index);
+      index = close === -1 ? html.length : (html.indexOf('>', close) + 1 || html.length);
+
+      const iframe = tag.name === 'iframe' ? writeTag('iframe', tag.attributes, options) : null;
+      if (iframe) {
+        output += `${iframe}</iframe>`;
+      }
+      continue;
+    }
+
+    if (ALLOWED_TAGS.has(tag.name)) {
+      output += writeTag(tag.name, tag.attributes, options);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Sanitizer options for a document from the site.json `sanitize` block:
+ *
+ *   { "iframeOrigins": [...], "allowWebglEmbed": true,
+ *     "projects": { "<projectId>": { "iframeOrigins": [...], ... } } }
+ *
+ * Project settings replace the site-wide ones. With `allowWebglEmbed`, the
+ * origin of the document's `webglEmbed` URL may also be framed.
+ */
+function sanitizeOptions(config = {}, { projectId = null, frontmatter = {} } = {}) {
+  const settings = {
+    ...config,
+    ...((projectId && config.projects && config.projects[projectId]) || {})
+  };
+
+  const iframeOrigins = (settings.iframeOrigins || []).map(iframeOrigin).filter(Boolean);
+  if (settings.allowWebglEmbed && frontmatter && typeof frontmatter.webglEmbed === 'string') {
+    const origin = iframeOrigin(frontmatter.webglEmbed);
+    if (origin) iframeOrigins.push(origin);
+  }
+
+  return { iframeOrigins };
+}
+
+module.exports = { sanitizeHtml, sanitizeOptions };
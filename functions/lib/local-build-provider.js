@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { getBuildStore } = require('./build-store');
+
+// Copied into each working copy; everything else in the source tree is ignored
+const WORKING_COPY_ENTRIES = ['.eleventy.js', 'package.json', 'content', 'src'];
+
+const ELEVENTY_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Builds run one at a time so they do not compete for the server's CPU
+let buildQueue = Promise.resolve();
+
+/**
+ * The summary Eleventy prints on failure, without its "[11ty]" prefixes and
+ * the stack trace that follows
+ */
+function eleventyError(stderr = '') {
+  const lines = [];
+  for (const line of stderr.split('\n').map(text => text.replace(/^\[11ty\]\s*/, '').trim())) {
+    if (line.startsWith('Original error stack trace')) break;
+    if (line) lines.push(line);
+  }
+  return lines.length > 0 ? `Eleventy failed: ${lines.join(' ')}` : null;
+}
+
+/**
+ * Local Build Provider
+ *
+ * Writes the build's files into an isolated working copy of the site,
+ * then runs Eleventy in a child process started in that working copy (it
+ * resolves the site's paths from its working directory, which the server's
+ * own process must keep) and the search index generator in-process. Progress
+ * is recorded on the build record (queued → building → completed/failed,
+ * or cancelled) so build-status can report it without GitHub.
+ *
+ * Builds run in the background after `start` returns, so this provider is
+ * intended for long-lived local servers (e.g. `netlify dev`), not Lambda.
+ */
+class LocalBuildProvider {
+  constructor({ sourceDir, workDir }) {
+    this.name = 'local';
+    this.sourceDir = sourceDir;
+    this.workDir = workDir;
+    // Queued and running jobs by build ID, to stop them on cancel
+    this.jobs = new Map();
+  }
+
+  /**
+   * Queue the build and return immediately. The record is updated by the
+   * queued job itself, so there are no fields to merge here.
+   */
+  async start(build) {
+    this.enqueue(build);
+    return {};
+  }
+
+  /**
+   * Drop the job if it has not started, or stop its Eleventy process. The
+   * cancel endpoint marks the record cancelled.
+   */
+  async cancel(build) {
+    this.jobs.get(build.buildId)?.abort();
+    return {};
+  }
+
+  /**
+   * Rebuild the original's submitted files, read back from its working copy.
+   */
+  async retry(original, build) {
+    this.enqueue({ buildId: build.buildId, retryOf: original });
+    return {};
+  }
+
+  enqueue(job) {
+    const controller = new AbortController();
+    this.jobs.set(job.buildId, controller);
+
+    buildQueue = buildQueue
+      .then(() => this.run(job, controller.signal))
+      .catch(err => {
+        console.error(`[Build ${job.buildId}] Local build queue error:`, err.message);
+      })
+      .finally(() => {
+        if (this.jobs.get(job.buildId) === controller) {
+          this.jobs.delete(job.buildId);
+        }
+      });
+  }
+
+  async run({ buildId, files, retryOf }, signal) {
+    const { finishBuild } = require('./build-lifecycle');
+    const store = getBuildStore();
+    const workingCopy = path.join(this.workDir, buildId);
+
+    // Not when the build was cancelled while it waited in the queue
+    const started = !signal?.aborted && await store.update(buildId, {
+      status: 'building',
+      startedAt: new Date().toISOString(),
+      workingCopy
+    }, { ifStatus: ['queued'] });
+    if (!started) {
+      console.log(`[Build ${buildId}] Local build cancelled before it started`);
+      return;
+    }
+    console.log(`[Build ${buildId}] Local build started in ${workingCopy}`);
+
+    let outcome;
+    try {
+      await this.prepareWorkingCopy(workingCopy, files || await this.readSubmittedFiles(retryOf));
+      await this.runEleventy(workingCopy, signal);
+      signal?.throwIfAborted();
+
+      const { generateSearchIndex } = require('../../scripts/generate-search-index');
+      generateSearchIndex({ rootDir: workingCopy });
+
+      outcome = {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        outputDir: path.join(workingCopy, '_site')
+      };
+      console.log(`[Build ${buildId}] Local build completed`);
+    } catch (err) {
+      if (!signal?.aborted) {
+        console.error(`[Build ${buildId}] Local build failed:`, err.message);
+      }
+      outcome = {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        error: err.message
+      };
+    }
+
+    // A stopped job is recorded by the cancel endpoint, which may not have
+    // marked the record yet
+    const finished = !signal?.aborted && await store.update(buildId, outcome, { ifStatus: ['building'] });
+    if (!finished) {
+      console.log(`[Build ${buildId}] Local build was cancelled, discarding its result`);
+      return;
+    }
+
+    await finishBuild(finished).catch(err => {
+      console.warn(`[Build ${buildId}] Build completion steps failed:`, err.message);
+    });
+  }
+
+  async readSubmittedFiles(original) {
+    if (!original?.workingCopy) {
+      throw new Error(`Build ${original?.buildId} has no working copy to retry from`);
+    }
+
+    const entries = await Promise.all((original.files || []).map(async filePath => [
+      filePath,
+      await fs.promises.readFile(path.join(original.workingCopy, filePath), 'utf-8')
+    ]));
+
+    return Object.fromEntries(entries);
+  }
+
+  async prepareWorkingCopy(workingCopy, files) {
+    await fs.promises.rm(workingCopy, { recursive: true, force: true });
+    await fs.promises.mkdir(workingCopy, { recursive: true });
+
+    for (const entry of WORKING_COPY_ENTRIES) {
+      const source = path.join(this.sourceDir, entry);
+      if (fs.existsSync(source)) {
+        await fs.promises.cp(source, path.join(workingCopy, entry), { recursive: true });
+      }
+    }
+
+    // Share dependencies with the source tree instead of reinstalling them
+    await fs.promises.symlink(
+      path.join(this.sourceDir, 'node_modules'),
+      path.join(workingCopy, 'node_modules'),
+      'dir'
+    );
+
+    for (const [filePath, content] of Object.entries(files)) {
+      const target = path.join(workingCopy, filePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, content, 'utf-8');
+    }
+  }
+
+  async runEleventy(workingCopy, signal) {
+    try {
+      await promisify(execFile)(process.execPath, [require.resolve('@11ty/eleventy/cmd.js'), '--quiet'], {
+        cwd: workingCopy,
+        signal,
+        timeout: ELEVENTY_TIMEOUT_MS,
+        maxBuffer: 10 * 1024 * 1024
+      });
+    } catch (err) {
+      throw new Error(eleventyError(err.stderr) || err.message);
+    }
+  }
+
+  /**
+   * Map the recorded status onto GitHub's run vocabulary so build-status
+   * can treat both providers the same way.
+   */
+  async getWorkflow(build) {
+    const workflow = { status: 'queued', conclusion: null, url: null };
+
+    if (build.status === 'building') {
+      workflow.status = 'in_progress';
+    } else if (build.status === 'completed' || build.status === 'failed') {
+      workflow.status = 'completed';
+      workflow.conclusion = build.status === 'completed' ? 'success' : 'failure';
+    }
+
+    return workflow;
+  }
+}
+
+function createLocalBuildProvider(env = process.env) {
+  return new LocalBuildProvider({
+    sourceDir: env.LOCAL_BUILD_SOURCE || process.cwd(),
+    workDir: env.LOCAL_BUILD_DIR || path.join(os.tmpdir(), 'twelvety-local-builds')
+  });
+}
+
+module.exports = { LocalBuildProvider, createLocalBuildProvider };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const matter = require('gray-matter');
+const Eleventy = require('@11ty/eleventy');
+const { sanitizeHtml } = require('./html-sanitizer');
+
+/**
+ * Page Preview
+ *
+ * Renders one markdown document the way the site build does: through
+ * Eleventy with the project's .eleventy.js (filters, syntax highlighting),
+ * the src/_data site data and the content.njk layout. The document is
+ * written to a temporary input directory next to a link to src/, so the
+ * config's `../src/_layouts` and `../src/_includes` paths resolve unchanged.
+ *
+ * Two things differ from a build, because the document is untrusted here:
+ *   - the body is not run through Nunjucks (`templateEngineOverride: md`),
+ *     and Eleventy keys that are evaluated as templates (`permalink`,
+ *     `eleventyComputed`, `pagination`, ...) are dropped from the frontmatter
+ *   - the rendered body is passed through lib/html-sanitizer
+ * Collections only contain the previewed page.
+ */
+
+const ROOT = path.join(__dirname, '../..');
+const CONFIG_PATH = path.join(ROOT, '.eleventy.js');
+const LAYOUT = 'content.njk';
+
+// Frontmatter keys Eleventy evaluates or uses to pick templates
+const RESERVED_KEY = /^(eleventy.*|permalink|pagination|layout|templateEngineOverride|dynamicPermalink|renderData)$/;
+
+/**
+ * Rewrite the frontmatter so the page renders through content.njk as plain
+ * markdown at a fixed URL.
+ */
+function previewSource(markdown) {
+  const { data, content } = matter(markdown);
+  const safe = Object.fromEntries(Object.entries(data).filter(([key]) => !RESERVED_KEY.test(key)));
+
+  return matter.stringify(content, {
+    ...safe,
+    layout: LAYOUT,
+    permalink: '/preview/index.html',
+    templateEngineOverride: 'md'
+  });
+}
+
+/**
+ * Render a full HTML page for `markdown`. `filePath` (e.g. "guides/setup.md")
+ * only affects `page.inputPath`/`page.fileSlug`; `sanitize` is passed to
+ * sanitizeHtml for the body. Throws on YAML or template errors.
+ */
+async function renderPage(markdown, { filePath = 'preview.md', sanitize = {} } = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twelvety-preview-'));
+
+  try {
+    const inputDir = path.join(workDir, 'content');
+    const inputFile = path.join(inputDir, path.normalize(filePath).replace(/^(\.\.[/\\])+/, ''));
+    fs.mkdirSync(path.dirname(inputFile), { recursive: true });
+    fs.writeFileSync(inputFile, previewSource(markdown));
+    fs.symlinkSync(path.join(ROOT, 'src'), path.join(workDir, 'src'), 'dir');
+
+    const eleventy = new Eleventy(inputDir, path.join(workDir, '_site'), {
+      configPath: CONFIG_PATH,
+      quietMode: true,
+      config(eleventyConfig) {
+        eleventyConfig.amendLibrary('md', md => {
+          const render = md.render.bind(md);
+          md.render = (src, env) => sanitizeHtml(render(src, env), sanitize);
+        });
+      }
+    });
+
+    const pages = await eleventy.toJSON();
+    const page = pages.find(entry => path.resolve(entry.inputPath) === inputFile);
+    if (!page) {
+      throw new Error('Eleventy did not render the document');
+    }
+
+    return page.content;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { renderPage };
@@ -0,0 +1,79 @@
+const matter = require('gray-matter');
+const { getValidator, normalizeFrontmatter } = require('./schema-registry');
+
+/**
+ * Pull Request Descriptions
+ *
+ * Generates the title and body of the pull request opened for a build in
+ * `pull-request` publishing mode: the changed files and a summary of their
+ * frontmatter checked against the latest registered frontmatter schema.
+ */
+
+/**
+ * Check each file's frontmatter. Returns [{ path, title, errors }].
+ */
+function summarizeValidation(files) {
+  const validate = getValidator('frontmatter');
+
+  return Object.entries(files).map(([filePath, content]) => {
+    let data;
+    try {
+      data = normalizeFrontmatter(matter(content).data);
+    } catch (err) {
+      return { path: filePath, title: null, errors: [`Invalid YAML frontmatter: ${err.message}`] };
+    }
+
+    const errors = validate(data)
+      ? []
+      : validate.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+
+    return { path: filePath, title: data.title ?? null, errors };
+  });
+}
+
+/**
+ * Build the pull request title and markdown body for a build.
+ */
+function describePullRequest({ buildId, projectId, files, title, metadata, pollingUrl, autoMerge }) {
+  const results = summarizeValidation(files);
+  const invalid = results.filter(result => result.errors.length > 0);
+  const fileCount = results.length;
+
+  const lines = [
+    `Publishes ${fileCount} file${fileCount === 1 ? '' : 's'} for project \`${projectId}\`.`,
+    '',
+    `- **Build:** \`${buildId}\`${pollingUrl ? ` ([status](${pollingUrl}))` : ''}`,
+    `- **Author:** ${metadata?.author || 'unknown'}`,
+    `- **Auto-merge:** ${autoMerge ? 'when the build succeeds' : 'off'}`,
+    '',
+    '### Changed files',
+    '',
+    '| File | Title |',
+    '| --- | --- |',
+    // YAML titles may be numbers, dates or lists
+    ...results.map(result => `| \`${result.path}\` | ${String(result.title ?? '—').replace(/\|/g, '\\|')} |`),
+    '',
+    '### Validation',
+    ''
+  ];
+
+  if (invalid.length === 0) {
+    lines.push(`✅ All ${fileCount} files match the frontmatter schema.`);
+  } else {
+    lines.push(`⚠️ ${invalid.length} of ${fileCount} files do not match the frontmatter schema:`, '');
+    invalid.forEach(result => {
+      lines.push(`- \`${result.path}\``);
+      result.errors.forEach(error => lines.push(`  - ${error}`));
+    });
+  }
+
+  return {
+    title: `Publish ${projectId}: ${title}`,
+    body: lines.join('\n')
+  };
+}
+
+module.exports = {
+  summarizeValidation,
+  describePullRequest
+};
@@ -0,0 +1,368 @@
+/**
+ * Rate Limiting and Build Quotas
+ *
+ * Token buckets limit request bursts per API key (or client IP for anonymous
+ * requests), and a monthly counter caps builds per project. Counters live in
+ * a pluggable store:
+ *
+ *   takeToken(key, { capacity, refillPerSecond }) → { allowed, remaining, retryAfter }
+ *   increment(key, { ttlSeconds })                → count
+ *   reserve(key, { limit, ttlSeconds })           → count, or null at the limit
+ *   release(key)                                  → undo one increment/reserve
+ *   get(key)                                      → count
+ *
+ * RATE_LIMIT_STORE selects "memory" (per-process, for local use) or
+ * "dynamodb" (shared, for production). When unset, DynamoDB is used if
+ * AWS_DYNAMODB_RATE_LIMIT_TABLE is configured.
+ */
+
+const LIMITS = {
+  build: {
+    capacity: parseInt(process.env.RATE_LIMIT_BUILD_BURST || '5', 10),
+    refillPerSecond: parseInt(process.env.RATE_LIMIT_BUILD_PER_MINUTE || '2', 10) / 60
+  },
+  validate: {
+    capacity: parseInt(process.env.RATE_LIMIT_VALIDATE_BURST || '60', 10),
+    refillPerSecond: parseInt(process.env.RATE_LIMIT_VALIDATE_PER_MINUTE || '60', 10) / 60
+  }
+};
+
+// 0 disables the quota
+const MONTHLY_BUILD_QUOTA = parseInt(process.env.BUILD_QUOTA_MONTHLY || '100', 10);
+
+/**
+ * Refill a bucket for the time elapsed and try to take one token.
+ */
+function refillAndTake(bucket, { capacity, refillPerSecond }, now) {
+  const elapsed = Math.max(0, (now - bucket.updatedAt) / 1000);
+  const tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+
+  if (tokens >= 1) {
+    return { allowed: true, tokens: tokens - 1, retryAfter: 0 };
+  }
+
+  return {
+    allowed: false,
+    tokens,
+    retryAfter: Math.ceil((1 - tokens) / refillPerSecond)
+  };
+}
+
+class MemoryCounterStore {
+  constructor() {
+    this.buckets = new Map();
+    this.counters = new Map();
+  }
+
+  async takeToken(key, limit) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+    const result = refillAndTake(bucket, limit, now);
+
+    this.buckets.set(key, { tokens: result.tokens, updatedAt: now });
+    return { allowed: result.allowed, remaining: Math.floor(result.tokens), retryAfter: result.retryAfter };
+  }
+
+  async increment(key, { ttlSeconds } = {}) {
+    const now = Date.now();
+    const current = this.counters.get(key);
+    const count = current && current.expiresAt > now ? current.count + 1 : 1;
+
+    this.counters.set(key, {
+      count,
+      expiresAt: current && current.expiresAt > now
+        ? current.expiresAt
+        : now + (ttlSeconds || Infinity) * 1000
+    });
+    return count;
+  }
+
+  async reserve(key, { limit, ttlSeconds } = {}) {
+    // No await between the check and the increment, so it happens in one turn
+    const current = this.counters.get(key);
+    if (current && current.expiresAt > Date.now() && current.count >= limit) {
+      return null;
+    }
+    return this.increment(key, { ttlSeconds });
+  }
+
+  async release(key) {
+    const current = this.counters.get(key);
+    if (current && current.expiresAt > Date.now() && current.count > 0) {
+      current.count--;
+    }
+  }
+
+  async get(key) {
+    const current = this.counters.get(key);
+    return current && current.expiresAt > Date.now() ? current.count : 0;
+  }
+}
+
+class DynamoCounterStore {
+  constructor({ tableName, region }) {
+    const AWS = require('aws-sdk');
+
+    this.tableName = tableName;
+    this.client = new AWS.DynamoDB.DocumentClient({ region });
+  }
+
+  async takeToken(key, limit, attempt = 0) {
+    const now = Date.now();
+    const result = await this.client.get({
+      TableName: this.tableName,
+      Key: { counterKey: key }
+    }).promise();
+
+    const existing = result.Item;
+    const bucket = existing || { tokens: limit.capacity, updatedAt: now };
+    const outcome = refillAndTake(bucket, limit, now);
+
+    try {
+      // Optimistic concurrency: only write if nobody updated the bucket meanwhile
+      await this.client.put({
+        TableName: this.tableName,
+        Item: {
+          counterKey: key,
+          tokens: outcome.tokens,
+          updatedAt: now,
+          ttl: Math.floor(now / 1000) + Math.ceil(limit.capacity / limit.refillPerSecond) + 60
+        },
+        ConditionExpression: existing
+          ? 'updatedAt = :previous'
+          : 'attribute_not_exists(counterKey)',
+        ExpressionAttributeValues: existing ? { ':previous': existing.updatedAt } : undefined
+      }).promise();
+    } catch (err) {
+      if (err.code !== 'ConditionalCheckFailedException') {
+        throw err;
+      }
+      if (attempt < 3) {
+        return this.takeToken(key, limit, attempt + 1);
+      }
+      // Still contended: the bucket is busy, so limit this request
+      return { allowed: false, remaining: 0, retryAfter: 1 };
+    }
+
+    return { allowed: outcome.allowed, remaining: Math.floor(outcome.tokens), retryAfter: outcome.retryAfter };
+  }
+
+  async increment(key, { ttlSeconds } = {}) {
+    const result = await this.client.update({
+      TableName: this.tableName,
+      Key: { counterKey: key },
+      UpdateExpression: ttlSeconds
+        ? 'ADD #count :one SET #ttl = if_not_exists(#ttl, :ttl)'
+        : 'ADD #count :one',
+      ExpressionAttributeNames: ttlSeconds ? { '#count': 'count', '#ttl': 'ttl' } : { '#count': 'count' },
+      ExpressionAttributeValues: ttlSeconds
+        ? { ':one': 1, ':ttl': Math.floor(Date.now() / 1000) + ttlSeconds }
+        : { ':one': 1 },
+      ReturnValues: 'UPDATED_NEW'
+    }).promise();
+
+    return result.Attributes.count;
+  }
+
+  async reserve(key, { limit, ttlSeconds } = {}) {
+    try {
+      const result = await this.client.update({
+        TableName: this.tableName,
+        Key: { counterKey: key },
+        UpdateExpression: ttlSeconds
+          ? 'ADD #count :one SET #ttl = if_not_exists(#ttl, :ttl)'
+          : 'ADD #count :one',
+        // Checked and incremented in one write, so concurrent callers cannot both take the last slot
+        ConditionExpression: 'attribute_not_exists(#count) OR #count < :limit',
+        ExpressionAttributeNames: ttlSeconds ? { '#count': 'count', '#ttl': 'ttl' } : { '#count': 'count' },
+        ExpressionAttributeValues: ttlSeconds
+          ? { ':one': 1, ':limit': limit, ':ttl': Math.floor(Date.now() / 1000) + ttlSeconds }
+          : { ':one': 1, ':limit': limit },
+        ReturnValues: 'UPDATED_NEW'
+      }).promise();
+
+      return result.Attributes.count;
+    } catch (err) {
+      if (err.code === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async release(key) {
+    try {
+      await this.client.update({
+        TableName: this.tableName,
+        Key: { counterKey: key },
+        UpdateExpression: 'ADD #count :minusOne',
+        ConditionExpression: '#count > :zero',
+        ExpressionAttributeNames: { '#count': 'count' },
+        ExpressionAttributeValues: { ':minusOne': -1, ':zero': 0 }
+      }).promise();
+    } catch (err) {
+      if (err.code !== 'ConditionalCheckFailedException') {
+        throw err;
+      }
+    }
+  }
+
+  async get(key) {
+    const result = await this.client.get({
+      TableName: this.tableName,
+      Key: { counterKey: key }
+    }).promise();
+
+    return result.Item?.count || 0;
+  }
+}
+
+let store = null;
+
+/**
+ * Create a counter store from environment configuration.
+ */
+function createCounterStore(env = process.env) {
+  const backend = env.RATE_LIMIT_STORE || (env.AWS_DYNAMODB_RATE_LIMIT_TABLE ? 'dynamodb' : 'memory');
+
+  if (backend === 'dynamodb') {
+    if (!env.AWS_DYNAMODB_RATE_LIMIT_TABLE) {
+      throw new Error('RATE_LIMIT_STORE=dynamodb requires AWS_DYNAMODB_RATE_LIMIT_TABLE');
+    }
+    return new DynamoCounterStore({
+      tableName: env.AWS_DYNAMODB_RATE_LIMIT_TABLE,
+      region: env.AWS_REGION || 'us-east-1'
+    });
+  }
+
+  if (backend === 'memory') {
+    return new MemoryCounterStore();
+  }
+
+  throw new Error(`Unknown RATE_LIMIT_STORE backend: ${backend}`);
+}
+
+/**
+ * Shared store instance, created on first use and reused across invocations.
+ */
+function getCounterStore() {
+  if (!store) {
+    store = createCounterStore();
+  }
+  return store;
+}
+
+function clientIp(event) {
+  const headers = event.headers || {};
+  const forwarded = headers['x-forwarded-for'] || headers['X-Forwarded-For'];
+  return headers['x-nf-client-connection-ip']
+    || (forwarded ? forwarded.split(',')[0].trim() : null)
+    || headers['client-ip']
+    || 'unknown';
+}
+
+function tooManyRequests(headers, code, message, retryAfter) {
+  return {
+    statusCode: 429,
+    headers: { ...headers, 'Retry-After': String(retryAfter) },
+    body: JSON.stringify({
+      error: 'Too Many Requests',
+      code,
+      message,
+      retryAfter
+    })
+  };
+}
+
+/**
+ * Take a token for `endpoint` on behalf of the caller.
+ * Returns { response } with a 429 when limited, otherwise { headers } with
+ * rate limit headers to include in the reply.
+ */
+async function rateLimit(event, principal, endpoint, headers) {
+  const limit = LIMITS[endpoint];
+  const identity = principal?.keyId ? `key:${principal.keyId}` : `ip:${clientIp(event)}`;
+  const result = await getCounterStore().takeToken(`rate:${endpoint}:${identity}`, limit);
+
+  const rateHeaders = {
+    'X-RateLimit-Limit': String(limit.capacity),
+    'X-RateLimit-Remaining': String(Math.max(0, result.remaining))
+  };
+
+  if (!result.allowed) {
+    return {
+      response: tooManyRequests(
+        { ...headers, ...rateHeaders },
+        'rate_limited',
+        `Rate limit exceeded for ${endpoint}, retry in ${result.retryAfter}s`,
+        result.retryAfter
+      )
+    };
+  }
+
+  return { headers: rateHeaders };
+}
+
+function quotaPeriod(now = new Date()) {
+  const period = now.toISOString().slice(0, 7); // YYYY-MM
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { period, resetsAt };
+}
+
+/**
+ * Current monthly build usage for a project.
+ */
+async function getBuildQuota(projectId) {
+  const { period, resetsAt } = quotaPeriod();
+  const used = await getCounterStore().get(`quota:build:${projectId}:${period}`);
+
+  return {
+    limit: MONTHLY_BUILD_QUOTA || null,
+    used,
+    remaining: MONTHLY_BUILD_QUOTA ? Math.max(0, MONTHLY_BUILD_QUOTA - used) : null,
+    period,
+    resetsAt: resetsAt.toISOString()
+  };
+}
+
+/**
+ * Take one of the project's monthly builds before starting one. The check
+ * and the increment are a single store operation, so concurrent requests
+ * cannot overshoot the quota.
+ * Returns { response } with a 429 when the quota is used up, otherwise
+ * { release } to hand the build back if it does not start.
+ */
+async function reserveBuild(projectId, headers) {
+  const { period, resetsAt } = quotaPeriod();
+  const key = `quota:build:${projectId}:${period}`;
+  const ttlSeconds = Math.ceil((resetsAt - Date.now()) / 1000) + 24 * 60 * 60;
+  const counters = getCounterStore();
+
+  // Without a quota builds are still counted for the status response
+  const count = MONTHLY_BUILD_QUOTA
+    ? await counters.reserve(key, { limit: MONTHLY_BUILD_QUOTA, ttlSeconds })
+    : await counters.increment(key, { ttlSeconds });
+
+  if (count === null) {
+    const retryAfter = Math.ceil((resetsAt - Date.now()) / 1000);
+    return {
+      response: tooManyRequests(
+        headers,
+        'quota_exceeded',
+        `Monthly build quota of ${MONTHLY_BUILD_QUOTA} reached for project "${projectId}"`,
+        retryAfter
+      )
+    };
+  }
+
+  return { release: () => counters.release(key) };
+}
+
+module.exports = {
+  rateLimit,
+  getBuildQuota,
+  reserveBuild,
+  createCounterStore,
+  MemoryCounterStore,
+  DynamoCounterStore
+};
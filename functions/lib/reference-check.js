@@ -0,0 +1,192 @@
+const { findReferences } = require('./content-lint');
+const { locateError } = require('./error-locations');
+
+/**
+ * Reference Check
+ *
+ * Resolves the links, images and `parent` slugs of a project's pages
+ * against each other and the rest of the site, as the pages will be
+ * published under /<projectId>/. Relative links resolve the way a browser
+ * resolves them from the page's URL, so `setup.md` from `guides/intro.md`
+ * points at /<projectId>/guides/intro/setup.md, not at the setup page.
+ *
+ * Issues use the validation error shape, keyed by file path:
+ *
+ *   broken-link, broken-image  the target is not a project page or a site page/asset
+ *   broken-parent              `parent` names no known page (or several)
+ *   parent-cycle               following `parent` leads back to the page
+ *   orphan-page (warning)      nothing links to the page or names it as parent
+ *
+ * `site` lists the URL paths of existing `pages` and `assets`; with
+ * `assets: null` (unknown), images outside the project are not checked.
+ * The workspace runs these checks in the browser via js/vendor/workspace-lib.js.
+ */
+
+const BASE = 'https://site.invalid';
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+/**
+ * Page slug for a project file: `guides/setup.md` -> `guides/setup`,
+ * `guides/index.md` -> `guides`, `index.md` -> `index`.
+ */
+function pageSlug(filePath) {
+  return filePath.replace(/\.md$/, '').replace(/\/index$/, '');
+}
+
+function pageUrl(projectId, filePath) {
+  const slug = pageSlug(filePath);
+  const base = projectId ? `/${projectId}/` : '/';
+  return slug === 'index' ? base : `${base}${slug}/`;
+}
+
+/**
+ * Decoded URL path for `href` as seen from `fromUrl`, without query or hash.
+ * Null for external links and same-page anchors.
+ */
+function resolveHref(href, fromUrl) {
+  if (EXTERNAL_PATTERN.test(href) || href.startsWith('#')) return null;
+
+  try {
+    return decodeURI(new URL(href, BASE + fromUrl).pathname);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Index of the known pages: URL -> file path (null for site pages).
+ */
+function indexPages(files, projectId, site) {
+  const pages = new Map();
+  (site.pages || []).forEach(url => pages.set(url, null));
+  files.forEach(file => pages.set(pageUrl(projectId, file.path), file.path));
+  return pages;
+}
+
+function findPage(pages, target) {
+  const url = target.replace(/index\.html$/, '').replace(/([^/])$/, '$1/');
+  return pages.has(url) ? url : null;
+}
+
+/**
+ * Resolve a `parent` value to a page URL. Accepts a project page slug
+ * (`guides/setup`, `index`), the last segment of a unique project slug
+ * (`setup`), or a site page (`docs/quick-start`, `/docs/`).
+ */
+function resolveParent(parent, pages, files, projectId) {
+  const value = String(parent).trim().replace(/^\/+|\/+$/g, '');
+  const project = files.find(file => pageSlug(file.path) === value);
+  if (project) return { url: pageUrl(projectId, project.path) };
+  if (pages.has(`/${value}/`)) return { url: `/${value}/` };
+
+  const bySegment = files
+    .map(file => pageUrl(projectId, file.path))
+    .filter(url => url.split('/').filter(Boolean).pop() === value);
+  if (bySegment.length === 1) return { url: bySegment[0] };
+
+  return { url: null, ambiguous: bySegment.length > 1 };
+}
+
+function referenceIssue(keyword, path, message, location, params, severity = 'error') {
+  return { path, message, keyword, params, severity, ...location };
+}
+
+/**
+ * Check every project file. `files` is [{ path, content, frontmatter }].
+ * Returns { [path]: issues[] } with an entry for every file.
+ */
+function checkReferences(files, { projectId = null, site = {} } = {}) {
+  const pages = indexPages(files, projectId, site);
+  // Non-markdown project files (images) are published as they are
+  const projectPaths = new Set(files
+    .filter(file => !file.path.endsWith('.md'))
+    .map(file => `${projectId ? `/${projectId}` : ''}/${file.path}`));
+  const assets = site.assets ? new Set(site.assets) : null;
+  const incoming = new Map(files.map(file => [file.path, 0]));
+  const parents = new Map();
+  const results = Object.fromEntries(files.map(file => [file.path, []]));
+
+  files.forEach(file => {
+    const fromUrl = pageUrl(projectId, file.path);
+
+    findReferences(file.content).forEach(reference => {
+      const target = resolveHref(reference.href, fromUrl);
+      if (target === null) return;
+
+      const location = {
+        line: reference.line,
+        column: reference.column,
+        endLine: reference.endLine,
+        endColumn: reference.endColumn
+      };
+      const page = findPage(pages, target);
+
+      if (page) {
+        const linked = pages.get(page);
+        if (linked && linked !== file.path) {
+          incoming.set(linked, incoming.get(linked) + 1);
+        }
+        return;
+      }
+      if (projectPaths.has(target)) return;
+
+      if (reference.kind === 'image') {
+        if (assets && !assets.has(target)) {
+          results[file.path].push(referenceIssue('broken-image', 'body', `Image ${reference.href} not found`, location, { href: reference.href, target }));
+        }
+        return;
+      }
+
+      // A link to a .md source: suggest the page it is published as
+      const sourceUrl = target.endsWith('.md') ? target.replace(/\.md$/, '/').replace(/\/index\/$/, '/') : null;
+      const suggestion = sourceUrl && pages.has(sourceUrl) ? ` (link to the page URL ${sourceUrl} instead)` : '';
+      results[file.path].push(referenceIssue('broken-link', 'body', `Link ${reference.href} does not resolve to a page${suggestion}`, location, { href: reference.href, target }));
+    });
+
+    const parent = file.frontmatter && file.frontmatter.parent;
+    if (parent === undefined || parent === null || parent === '') return;
+
+    const resolved = resolveParent(parent, pages, files, projectId);
+    if (!resolved.url) {
+      const message = resolved.ambiguous
+        ? `Parent "${parent}" matches several pages; use the full slug`
+        : `Parent "${parent}" does not match any page`;
+      results[file.path].push(referenceIssue('broken-parent', '/parent', message, locateError(file.content, { instancePath: '/parent' }), { parent }));
+      return;
+    }
+
+    const parentFile = pages.get(resolved.url);
+    if (parentFile) {
+      parents.set(file.path, parentFile);
+      incoming.set(parentFile, incoming.get(parentFile) + 1);
+    }
+  });
+
+  // Walk each parent chain; a chain that returns to its start is a cycle
+  files.forEach(file => {
+    const chain = [file.path];
+    let current = parents.get(file.path);
+    while (current && !chain.includes(current)) {
+      chain.push(current);
+      current = parents.get(current);
+    }
+    if (current === file.path) {
+      const loop = [...chain, file.path].map(pageSlug).join(' → ');
+      results[file.path].push(referenceIssue('parent-cycle', '/parent', `Parent chain loops back to this page: ${loop}`, locateError(file.content, { instancePath: '/parent' }), { chain }));
+    }
+  });
+
+  if (files.length > 1) {
+    files.forEach(file => {
+      const hasParent = parents.has(file.path) || Boolean(file.frontmatter && file.frontmatter.parent);
+      if (pageSlug(file.path) !== 'index' && incoming.get(file.path) === 0 && !hasParent) {
+        results[file.path].push(referenceIssue('orphan-page', 'body', 'No other page in the project links to this page', locateError(file.content, {}), {}, 'warning'));
+      }
+    });
+  }
+
+  Object.values(results).forEach(issues => issues.sort((a, b) => a.line - b.line || a.column - b.column));
+  return results;
+}
+
+module.exports = { checkReferences, pageSlug };
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const siteData = require('../../src/_data/site.json');
+
+/**
+ * Schema Registry
+ *
+ * Named, versioned JSON schemas for frontmatter validation, referenced as
+ * `name@version` (or just `name` for the latest version).
+ *
+ *   - `frontmatter@<frontmatterSchemaVersion>` is seeded from
+ *     `frontmatterSchema` in src/_data/site.json.
+ *   - `frontmatter-<sectionId>` is registered for each site.json section:
+ *     the base schema, `category` fixed to the section, plus the section's
+ *     own optional `frontmatterSchema`.
+ *   - Further schemas, including retired versions, are JSON files named
+ *     `<name>@<version>.json` in SCHEMA_DIR (defaults to `schemas/`).
+ *
+ * Compiled validators are cached per schema, so each schema is compiled once
+ * per function instance. Remote schemas can still be used by URL, but only
+ * when the URL matches SCHEMA_REMOTE_ALLOWLIST (comma-separated URL
+ * prefixes); fetched schemas are cached for SCHEMA_REMOTE_TTL_SECONDS.
+ */
+
+const NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const SCHEMA_DIR = process.env.SCHEMA_DIR || path.join(__dirname, '../../schemas');
+const REMOTE_TTL_MS = parseInt(process.env.SCHEMA_REMOTE_TTL_SECONDS || '3600', 10) * 1000;
+const REMOTE_FETCH_TIMEOUT_MS = 5000;
+
+// `addUsedSchema: false` keeps versions that share an $id from clashing
+const ajv = new Ajv({ allErrors: true, addUsedSchema: false });
+addFormats(ajv);
+
+const validators = new Map();
+const remoteSchemas = new Map();
+let registry = null;
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Parse `name`, `name@latest` or `name@1.2.3`. Returns null when malformed.
+ */
+function parseSchemaRef(ref) {
+  if (typeof ref !== 'string') return null;
+
+  const [name, version = 'latest', ...rest] = ref.split('@');
+  if (rest.length > 0 || !NAME_PATTERN.test(name)) return null;
+  if (version !== 'latest' && !VERSION_PATTERN.test(version)) return null;
+
+  return { name, version };
+}
+
+/**
+ * Per-section schema: everything the base schema requires, in that section.
+ */
+function sectionSchema(section) {
+  return {
+    allOf: [
+      siteData.frontmatterSchema,
+      { type: 'object', properties: { category: { const: section.id } } },
+      ...(section.frontmatterSchema ? [section.frontmatterSchema] : [])
+    ]
+  };
+}
+
+/**
+ * YAML dates are parsed into Date objects; the schemas expect YYYY-MM-DD
+ * strings, which is also what the workspace validator sees.
+ */
+function normalizeFrontmatter(data) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) =>
+    [key, value instanceof Date ? value.toISOString().slice(0, 10) : value]
+  ));
+}
+
+/**
+ * Load every schema into { [name]: { [version]: { schema, source } } }.
+ * `source` is "file" for SCHEMA_DIR files and "site" for schemas derived
+ * from site.json, which can change without a version bump.
+ */
+function loadRegistry() {
+  const schemas = {};
+  const add = (name, version, schema, source) => {
+    schemas[name] = schemas[name] || {};
+    schemas[name][version] = { schema, source };
+  };
+
+  let files = [];
+  try {
+    files = fs.readdirSync(SCHEMA_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  files.filter(file => file.endsWith('.json')).forEach(file => {
+    const ref = parseSchemaRef(file.replace(/\.json$/, ''));
+    if (!ref || ref.version === 'latest') {
+      console.warn(`Ignoring schema file with invalid name: ${file}`);
+      return;
+    }
+    add(ref.name, ref.version, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf-8')), 'file');
+  });
+
+  const version = siteData.frontmatterSchemaVersion || '1.0.0';
+  add('frontmatter', version, siteData.frontmatterSchema, 'site');
+  (siteData.sections || []).forEach(section => {
+    add(`frontmatter-${section.id}`, version, sectionSchema(section), 'site');
+  });
+
+  return schemas;
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+/**
+ * List the registered schemas as [{ name, versions, latest }].
+ */
+function listSchemas() {
+  return Object.entries(getRegistry()).map(([name, versions]) => {
+    const sorted = Object.keys(versions).sort(compareVersions);
+    return { name, versions: sorted, latest: sorted[sorted.length - 1] };
+  });
+}
+
+/**
+ * Resolve a schema reference. Returns { name, version, ref, schema, source },
+ * or null when the name or version is unknown.
+ */
+function getSchema(ref) {
+  const parsed = parseSchemaRef(ref);
+  const versions = parsed && getRegistry()[parsed.name];
+  if (!versions) return null;
+
+  const version = parsed.version === 'latest'
+    ? Object.keys(versions).sort(compareVersions).pop()
+    : parsed.version;
+  if (!versions[version]) return null;
+
+  return {
+    name: parsed.name,
+    version,
+    ref: `${parsed.name}@${version}`,
+    schema: versions[version].schema,
+    source: versions[version].source
+  };
+}
+
+/**
+ * Compiled validator for a registered schema, or null when unknown.
+ * The resolved `{ name, version, ref }` is attached as `validate.schemaRef`.
+ */
+function getValidator(ref) {
+  const resolved = getSchema(ref);
+  if (!resolved) return null;
+
+  if (!validators.has(resolved.ref)) {
+    const validate = ajv.compile(resolved.schema);
+    validate.schemaRef = { name: resolved.name, version: resolved.version, ref: resolved.ref };
+    validators.set(resolved.ref, validate);
+  }
+  return validators.get(resolved.ref);
+}
+
+function getRemoteAllowlist() {
+  return (process.env.SCHEMA_REMOTE_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Whether a remote schema URL is on an allowlisted origin and path (https
+ * only). Paths match whole segments: `/schemas` allows `/schemas/a.json`
+ * but not `/schemas-private/a.json`.
+ */
+function isRemoteSchemaAllowed(schemaUrl) {
+  const url = parseUrl(schemaUrl);
+  if (!url || url.protocol !== 'https:') return false;
+
+  return getRemoteAllowlist().some(entry => {
+    const allowed = parseUrl(entry);
+    if (!allowed || url.origin !== allowed.origin) return false;
+
+    const prefix = allowed.pathname.endsWith('/') ? allowed.pathname : `${allowed.pathname}/`;
+    return url.pathname === allowed.pathname || url.pathname.startsWith(prefix);
+  });
+}
+
+/**
+ * Compiled validator for an allowlisted remote schema. The schema is fetched
+ * at most once per TTL; callers must check isRemoteSchemaAllowed first.
+ */
+async function getRemoteValidator(schemaUrl) {
+  const cached = remoteSchemas.get(schemaUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.validate;
+  }
+
+  const response = await fetch(schemaUrl, {
+    redirect: 'error',
+    signal: AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Schema fetch failed: ${response.status}`);
+  }
+
+  const schema = await response.json();
+  const validate = ajv.compile(schema);
+  validate.schemaRef = { name: null, version: null, ref: schemaUrl };
+
+  remoteSchemas.set(schemaUrl, { validate, expiresAt: Date.now() + REMOTE_TTL_MS });
+  return validate;
+}
+
+module.exports = {
+  parseSchemaRef,
+  normalizeFrontmatter,
+  listSchemas,
+  getSchema,
+  getValidator,
+  isRemoteSchemaAllowed,
+  getRemoteValidator
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const glob = require('glob');
+
+/**
+ * Site Manifest
+ *
+ * URL paths of the pages and assets the site already publishes, read from
+ * the `content/` tree and `src/assets` (CONTENT_DIR and ASSETS_DIR override
+ * them). Used to resolve links from submitted pages to the rest of the site.
+ * Read once per function instance.
+ */
+
+const CONTENT_DIR = process.env.CONTENT_DIR || path.join(__dirname, '../../content');
+const ASSETS_DIR = process.env.ASSETS_DIR || path.join(__dirname, '../../src/assets');
+
+// Templates with their own permalinks, not pages of the section tree
+const IGNORED_TEMPLATES = ['search-index.njk', 'site.json.njk'];
+
+let manifest = null;
+
+/**
+ * `docs/quick-start.md` -> `/docs/quick-start/`, `docs/index.njk` -> `/docs/`
+ */
+function pageUrl(file) {
+  const slug = file.replace(/\.(md|njk)$/, '').replace(/(^|\/)index$/, '');
+  return slug ? `/${slug}/` : '/';
+}
+
+function loadSiteManifest() {
+  const pages = glob.sync('**/*.{md,njk}', { cwd: CONTENT_DIR, posix: true })
+    .filter(file => !IGNORED_TEMPLATES.includes(file))
+    .map(pageUrl);
+
+  const assets = [
+    ...glob.sync('**/*', { cwd: CONTENT_DIR, nodir: true, posix: true, ignore: ['**/*.{md,njk}'] })
+      .map(file => `/${file}`),
+    ...glob.sync('**/*', { cwd: ASSETS_DIR, nodir: true, posix: true })
+      .map(file => `/assets/${file}`)
+  ];
+
+  return { pages: Array.from(new Set(pages)), assets };
+}
+
+function getSiteManifest() {
+  if (!manifest) {
+    manifest = loadSiteManifest();
+  }
+  return manifest;
+}
+
+module.exports = { getSiteManifest };
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serialize, writeFileAtomic } = require('./file-store');
+
+/**
+ * Webhook Store
+ *
+ * Persists project webhook registrations and the log of outgoing deliveries.
+ * Follows the same adapter pattern as the build store:
+ *
+ *   createWebhook(record)                      → record
+ *   listWebhooks(projectId)                    → record[]
+ *   deleteWebhook(projectId, webhookId)        → boolean
+ *   createDelivery(record)                     → record
+ *   getDelivery(deliveryId)                    → record | null
+ *   updateDelivery(deliveryId, changes)        → record | null
+ *   listDeliveries({ projectId, buildId, limit }) → record[] (newest first)
+ *   listDueDeliveries(now, limit)              → pending records due for retry
+ *
+ * Webhooks look like { webhookId, projectId, url, secret, events, createdAt }.
+ * Deliveries look like { deliveryId, projectId, buildId, webhookId?, url,
+ * event, payload, status, attempts, nextAttemptAt, history, createdAt }.
+ *
+ * The adapter is selected with WEBHOOK_STORE ("dynamodb" or "file"). When
+ * unset, DynamoDB is used if AWS_DYNAMODB_WEBHOOKS_TABLE is configured,
+ * otherwise everything is kept in a JSON file at WEBHOOK_STORE_FILE.
+ */
+
+const DELIVERY_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+const DEFAULT_DELIVERY_LIMIT = 50;
+
+class DynamoWebhookStore {
+  constructor({ webhooksTable, deliveriesTable, region, projectIndex, deliveryProjectIndex }) {
+    const AWS = require('aws-sdk');
+
+    this.webhooksTable = webhooksTable;
+    this.deliveriesTable = deliveriesTable;
+    this.projectIndex = projectIndex;
+    this.deliveryProjectIndex = deliveryProjectIndex;
+    this.client = new AWS.DynamoDB.DocumentClient({ region });
+  }
+
+  async createWebhook(record) {
+    await this.client.put({
+      TableName: this.webhooksTable,
+      Item: record,
+      ConditionExpression: 'attribute_not_exists(webhookId)'
+    }).promise();
+
+    return record;
+  }
+
+  async listWebhooks(projectId) {
+    const items = [];
+    let startKey;
+
+    do {
+      const result = await this.client.query({
+        TableName: this.webhooksTable,
+        IndexName: this.projectIndex,
+        KeyConditionExpression: 'projectId = :projectId',
+        ExpressionAttributeValues: { ':projectId': projectId },
+        ExclusiveStartKey: startKey
+      }).promise();
+
+      items.push(...(result.Items || []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return items;
+  }
+
+  async deleteWebhook(projectId, webhookId) {
+    try {
+      const result = await this.client.delete({
+        TableName: this.webhooksTable,
+        Key: { webhookId },
+        ConditionExpression: 'projectId = :projectId',
+        ExpressionAttributeValues: { ':projectId': projectId },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+
+      return Boolean(result.Attributes);
+    } catch (err) {
+      if (err.code === 'ConditionalCheckFailedException') return false;
+      throw err;
+    }
+  }
+
+  async createDelivery(record) {
+    const item = {
+      ...record,
+      ttl: Math.floor(Date.now() / 1000) + DELIVERY_TTL_SECONDS
+    };
+
+    await this.client.put({
+      TableName: this.deliveriesTable,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(deliveryId)'
+    }).promise();
+
+    return item;
+  }
+
+  async getDelivery(deliveryId) {
+    const result = await this.client.get({
+      TableName: this.deliveriesTable,
+      Key: { deliveryId }
+    }).promise();
+
+    return result.Item || null;
+  }
+
+  async updateDelivery(deliveryId, changes) {
+    const entries = Object.entries(changes)
+      .filter(([key, value]) => key !== 'deliveryId' && value !== undefined);
+
+    try {
+      const result = await this.client.update({
+        TableName: this.deliveriesTable,
+        Key: { deliveryId },
+        UpdateExpression: `SET ${entries.map((_, i) => `#k${i} = :v${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(deliveryId)',
+        ExpressionAttributeNames: Object.fromEntries(entries.map(([key], i) => [`#k${i}`, key])),
+        ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, value])),
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+
+      return result.Attributes;
+    } catch (err) {
+      if (err.code === 'ConditionalCheckFailedException') return null;
+      throw err;
+    }
+  }
+
+  async listDeliveries({ projectId, buildId, limit = DEFAULT_DELIVERY_LIMIT } = {}) {
+    const result = await this.client.query({
+      TableName: this.deliveriesTable,
+      IndexName: this.deliveryProjectIndex,
+      KeyConditionExpression: 'projectId = :projectId',
+      FilterExpression: buildId ? 'buildId = :buildId' : undefined,
+      ExpressionAttributeValues: buildId
+        ? { ':projectId': projectId, ':buildId': buildId }
+        : { ':projectId': projectId },
+      ScanIndexForward: false,
+      Limit: limit
+    }).promise();
+
+    return result.Items || [];
+  }
+
+  async listDueDeliveries(now, limit = DEFAULT_DELIVERY_LIMIT) {
+    // Pending deliveries are few and short-lived, so a filtered scan is enough
+    const items = [];
+    let startKey;
+
+    do {
+      const result = await this.client.scan({
+        TableName: this.deliveriesTable,
+        FilterExpression: '#status = :pending AND nextAttemptAt <= :now',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':pending': 'pending', ':now': now },
+        ExclusiveStartKey: startKey
+      }).promise();
+
+      items.push(...(result.Items || []));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey && items.length < limit);
+
+    return items.slice(0, limit);
+  }
+}
+
+class FileWebhookStore {
+  constructor({ file }) {
+    this.file = file;
+  }
+
+  async read() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.file, 'utf-8'));
+      return { webhooks: data.webhooks || {}, deliveries: data.deliveries || {} };
+    } catch (err) {
+      if (err.code === 'ENOENT') return { webhooks: {}, deliveries: {} };
+      throw err;
+    }
+  }
+
+  async write(data) {
+    // Webhook secrets are stored here, so keep the file private
+    await writeFileAtomic(this.file, JSON.stringify(data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  async createWebhook(record) {
+    return serialize(this.file, async () => {
+      const data = await this.read();
+      data.webhooks[record.webhookId] = record;
+      await this.write(data);
+      return record;
+    });
+  }
+
+  async listWebhooks(projectId) {
+    const data = await this.read();
+    return Object.values(data.webhooks).filter(record => record.projectId === projectId);
+  }
+
+  async deleteWebhook(projectId, webhookId) {
+    return serialize(this.file, async () => {
+      const data = await this.read();
+      if (data.webhooks[webhookId]?.projectId !== projectId) return false;
+
+      delete data.webhooks[webhookId];
+      await this.write(data);
+      return true;
+    });
+  }
+
+  async createDelivery(record) {
+    return serialize(this.file, async () => {
+      const data = await this.read();
+      data.deliveries[record.deliveryId] = record;
+      await this.write(data);
+      return record;
+    });
+  }
+
+  async getDelivery(deliveryId) {
+    const data = await this.read();
+    return data.deliveries[deliveryId] || null;
+  }
+
+  async updateDelivery(deliveryId, changes) {
+    return serialize(this.file, async () => {
+      const data = await this.read();
+      if (!data.deliveries[deliveryId]) return null;
+
+      data.deliveries[deliveryId] = { ...data.deliveries[deliveryId], ...changes, deliveryId };
+      await this.write(data);
+      return data.deliveries[deliveryId];
+    });
+  }
+
+  async listDeliveries({ projectId, buildId, limit = DEFAULT_DELIVERY_LIMIT } = {}) {
+    const data = await this.read();
+    return Object.values(data.deliveries)
+      .filter(record => record.projectId === projectId && (!buildId || record.buildId === buildId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  async listDueDeliveries(now, limit = DEFAULT_DELIVERY_LIMIT) {
+    const data = await this.read();
+    return Object.values(data.deliveries)
+      .filter(record => record.status === 'pending' && record.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+      .slice(0, limit);
+  }
+}
+
+let store = null;
+
+/**
+ * Create a store from environment configuration.
+ */
+function createWebhookStore(env = process.env) {
+  const backend = env.WEBHOOK_STORE || (env.AWS_DYNAMODB_WEBHOOKS_TABLE ? 'dynamodb' : 'file');
+
+  if (backend === 'dynamodb') {
+    if (!env.AWS_DYNAMODB_WEBHOOKS_TABLE || !env.AWS_DYNAMODB_DELIVERIES_TABLE) {
+      throw new Error('WEBHOOK_STORE=dynamodb requires AWS_DYNAMODB_WEBHOOKS_TABLE and AWS_DYNAMODB_DELIVERIES_TABLE');
+    }
+    return new DynamoWebhookStore({
+      webhooksTable: env.AWS_DYNAMODB_WEBHOOKS_TABLE,
+      deliveriesTable: env.AWS_DYNAMODB_DELIVERIES_TABLE,
+      region: env.AWS_REGION || 'us-east-1',
+      projectIndex: env.AWS_DYNAMODB_WEBHOOKS_PROJECT_INDEX || 'projectId-index',
+      deliveryProjectIndex: env.AWS_DYNAMODB_DELIVERIES_PROJECT_INDEX || 'projectId-createdAt-index'
+    });
+  }
+
+  if (backend === 'file') {
+    return new FileWebhookStore({
+      file: env.WEBHOOK_STORE_FILE || path.join(os.tmpdir(), 'twelvety-webhooks.json')
+    });
+  }
+
+  throw new Error(`Unknown WEBHOOK_STORE backend: ${backend}`);
+}
+
+/**
+ * Shared store instance, created on first use and reused across invocations.
+ */
+function getWebhookStore() {
+  if (!store) {
+    store = createWebhookStore();
+  }
+  return store;
+}
+
+module.exports = {
+  getWebhookStore,
+  createWebhookStore,
+  DynamoWebhookStore,
+  FileWebhookStore
+};
@@ -0,0 +1,124 @@
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { rateLimit } = require('./lib/rate-limit');
+const { renderPage } = require('./lib/page-preview');
+const { sanitizeOptions } = require('./lib/html-sanitizer');
+const { normalizeFrontmatter } = require('./lib/schema-registry');
+const matter = require('gray-matter');
+const siteData = require('../src/_data/site.json');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PATH_PATTERN = /^(?!.*(?:^|\/)\.\.?(?:\/|$))[\w.-]+(?:\/[\w.-]+)*\.md$/;
+
+/**
+ * Netlify/Lambda Function: Page Preview Service
+ *
+ * Renders a markdown document as the published page: through Eleventy with
+ * the site's .eleventy.js, data and content.njk layout (see lib/page-preview).
+ * The HTML is meant for a sandboxed iframe, as the workspace shows it.
+ *
+ * POST /api/preview
+ * Body: { markdown: string, path?: "guides/setup.md", projectId?: string }
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const { markdown, path: filePath = 'preview.md', projectId } = JSON.parse(event.body);
+
+    if (!markdown || typeof markdown !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing markdown content' })
+      };
+    }
+
+    if (typeof filePath !== 'string' || !PATH_PATTERN.test(filePath)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid path: use a relative path to a .md file' })
+      };
+    }
+
+    if (projectId !== undefined) {
+      if (typeof projectId !== 'string' || !SLUG_PATTERN.test(projectId)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: 'Invalid projectId: use lowercase letters, numbers and single hyphens'
+          })
+        };
+      }
+
+      const forbidden = authorizeProject(auth.principal, projectId, headers);
+      if (forbidden) {
+        return forbidden;
+      }
+    }
+
+    const limited = await rateLimit(event, auth.principal, 'validate', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
+
+    let frontmatter;
+    try {
+      frontmatter = normalizeFrontmatter(matter(markdown).data);
+    } catch (err) {
+      return {
+        statusCode: 422,
+        headers,
+        body: JSON.stringify({ error: 'Invalid YAML frontmatter syntax', details: err.message })
+      };
+    }
+
+    const html = await renderPage(markdown, {
+      filePath,
+      sanitize: sanitizeOptions(siteData.sanitize, {
+        projectId: projectId || auth.principal.projectId,
+        frontmatter
+      })
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ html })
+    };
+  } catch (error) {
+    console.error('Preview error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Preview failed',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,154 @@
+const { getBuildStore } = require('./lib/build-store');
+const { authenticate, authorizeProject } = require('./lib/auth');
+
+const BUILD_STATUSES = ['queued', 'building', 'completed', 'failed', 'cancelled', 'retried'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a `from`/`to` query value into an ISO timestamp.
+ * Date-only values cover the whole day (start of day for `from`, end for `to`).
+ * Returns undefined when absent and null when invalid.
+ */
+function parseDateParam(value, endOfDay) {
+  if (!value) return undefined;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Netlify/Lambda Function: Project Build History Service
+ *
+ * Lists a project's build records, newest first, with cursor pagination,
+ * status filters and a createdAt date range.
+ *
+ * GET /api/projects/{projectId}/builds?status=completed,failed&from=2024-01-01&to=2024-01-31&limit=20&cursor=...
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract projectId from path (/api/projects/{projectId}/builds)
+    const segments = event.path.split('/').filter(p => p);
+    const projectId = segments[segments.indexOf('projects') + 1];
+
+    if (!projectId || projectId === 'builds') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Project ID required' })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
+
+    const query = event.queryStringParameters || {};
+    const errors = [];
+
+    const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const status = query.status
+      ? query.status.split(',').map(s => s.trim()).filter(Boolean)
+      : [];
+    const unknownStatuses = status.filter(s => !BUILD_STATUSES.includes(s));
+    if (unknownStatuses.length > 0) {
+      errors.push(`Unknown status: ${unknownStatuses.join(', ')} (allowed: ${BUILD_STATUSES.join(', ')})`);
+    }
+
+    const from = parseDateParam(query.from, false);
+    const to = parseDateParam(query.to, true);
+    if (from === null) errors.push('from must be a date (YYYY-MM-DD) or ISO timestamp');
+    if (to === null) errors.push('to must be a date (YYYY-MM-DD) or ISO timestamp');
+    if (from && to && from > to) errors.push('from must not be after to');
+
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid query parameters', details: errors })
+      };
+    }
+
+    const { items, nextCursor } = await getBuildStore().list({
+      projectId,
+      status,
+      from,
+      to,
+      limit,
+      cursor: query.cursor
+    });
+
+    const serviceUrl = process.env.SERVICE_URL || `https://${event.headers.host}`;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        projectId,
+        builds: items.map(build => ({
+          buildId: build.buildId,
+          status: build.status,
+          title: build.title,
+          slug: build.slug,
+          authorEmail: build.authorEmail,
+          fileSize: build.fileSize,
+          fileCount: build.fileCount || 1,
+          createdAt: build.createdAt,
+          completedAt: build.completedAt || null,
+          pollingUrl: `${serviceUrl}/api/build/${build.buildId}/status`
+        })),
+        pagination: {
+          limit,
+          nextCursor,
+          nextUrl: nextCursor
+            ? `${serviceUrl}/api/projects/${projectId}/builds?${new URLSearchParams({
+              ...query,
+              cursor: nextCursor
+            })}`
+            : null
+        }
+      })
+    };
+  } catch (error) {
+    console.error('Build history error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Build history query failed',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { getWebhookStore } = require('./lib/webhook-store');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { WEBHOOK_EVENTS, validateWebhookUrl } = require('./lib/build-notifications');
+
+const SECRET_PREFIX = 'whsec_';
+const MIN_SECRET_LENGTH = 16;
+const DEFAULT_DELIVERY_LIMIT = 20;
+const MAX_DELIVERY_LIMIT = 100;
+
+/**
+ * Public view of a webhook registration (the secret is only shown on creation).
+ */
+function describeWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Public view of a delivery; the payload is omitted from listings.
+ */
+function describeDelivery({ payload, signature, ttl, ...delivery }) {
+  return delivery;
+}
+
+/**
+ * Netlify/Lambda Function: Project Webhooks Service
+ *
+ * Registers the webhooks a project's builds are reported to when they
+ * complete or fail, and exposes the delivery log.
+ *
+ * GET    /api/projects/{projectId}/webhooks
+ * POST   /api/projects/{projectId}/webhooks              Body: { url, events?, secret? }
+ * DELETE /api/projects/{projectId}/webhooks/{webhookId}
+ * GET    /api/projects/{projectId}/webhooks/deliveries?buildId=...&limit=20
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract projectId and the rest from path (/api/projects/{projectId}/webhooks/...)
+    const segments = event.path.split('/').filter(p => p);
+    const projectIndex = segments.indexOf('projects');
+    const projectId = projectIndex >= 0 ? segments[projectIndex + 1] : undefined;
+    const [, resource] = segments.slice(projectIndex + 2);
+
+    if (!projectId || projectId === 'webhooks') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Project ID required' })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
+
+    const store = getWebhookStore();
+
+    if (event.httpMethod === 'GET' && resource === 'deliveries') {
+      const query = event.queryStringParameters || {};
+      const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_DELIVERY_LIMIT;
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}` })
+        };
+      }
+
+      const deliveries = await store.listDeliveries({ projectId, buildId: query.buildId, limit });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ projectId, deliveries: deliveries.map(describeDelivery) })
+      };
+    }
+
+    if (event.httpMethod === 'GET' && !resource) {
+      const webhooks = await store.listWebhooks(projectId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ projectId, webhooks: webhooks.map(describeWebhook) })
+      };
+    }
+
+    if (event.httpMethod === 'POST' && !resource) {
+      const { url, events = WEBHOOK_EVENTS, secret } = JSON.parse(event.body || '{}');
+      const errors = [];
+
+      const urlError = typeof url === 'string' ? validateWebhookUrl(url) : 'is required';
+      if (urlError) errors.push(`url ${urlError}`);
+
+      if (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+        errors.push(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+      }
+
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+        errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+      }
+
+      if (errors.length > 0) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid webhook', details: errors })
+        };
+      }
+
+      const webhook = await store.createWebhook({
+        webhookId: crypto.randomBytes(6).toString('hex'),
+        projectId,
+        url,
+        events: [...new Set(events)],
+        secret: secret || `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString()
+      });
+
+      console.log(`Registered webhook ${webhook.webhookId} for project ${projectId}`);
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ ...describeWebhook(webhook), secret: webhook.secret })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE' && resource && resource !== 'deliveries') {
+      const deleted = await store.deleteWebhook(projectId, resource);
+
+      if (!deleted) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Webhook not found' })
+        };
+      }
+
+      return { statusCode: 204, headers, body: '' };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  } catch (error) {
+    console.error('Project webhooks error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Webhook request failed',
+        message: error.message
+      })
+    };
+  }
+};
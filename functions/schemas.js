@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { authenticate } = require('./lib/auth');
+const { listSchemas, getSchema, parseSchemaRef } = require('./lib/schema-registry');
+
+/**
+ * Netlify/Lambda Function: Schema Registry Service
+ *
+ * Lists the registered frontmatter schemas and serves individual versions.
+ * A pinned version of a SCHEMA_DIR file never changes, so it is cached
+ * indefinitely. Schemas derived from site.json can change under the same
+ * version, and `name` or `name@latest` can move, so those are cached briefly
+ * and revalidated with an ETag of the content (If-None-Match → 304).
+ *
+ * GET /api/schemas
+ * GET /api/schemas/{name}[@version]
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    // Extract the schema reference from path (/api/schemas/{name}[@version])
+    const segments = event.path.split('/').filter(p => p);
+    const ref = segments[segments.length - 1] === 'schemas'
+      ? undefined
+      : decodeURIComponent(segments[segments.length - 1]);
+
+    if (!ref) {
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Cache-Control': 'public, max-age=300' },
+        body: JSON.stringify({ schemas: listSchemas() })
+      };
+    }
+
+    const parsed = parseSchemaRef(ref);
+    if (!parsed) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid schema reference, expected name or name@x.y.z' })
+      };
+    }
+
+    const schema = getSchema(ref);
+    if (!schema) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: `Schema not found: ${ref}` })
+      };
+    }
+
+    const { source, ...resolved } = schema;
+    const body = JSON.stringify(resolved);
+    const etag = `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 32)}"`;
+    const cacheControl = parsed.version !== 'latest' && source === 'file'
+      ? 'public, max-age=31536000, immutable'
+      : 'public, max-age=300';
+    const cacheHeaders = { ...headers, 'Cache-Control': cacheControl, ETag: etag };
+
+    const ifNoneMatch = event.headers?.['if-none-match'] || event.headers?.['If-None-Match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      return { statusCode: 304, headers: cacheHeaders, body: '' };
+    }
+
+    return {
+      statusCode: 200,
+      headers: cacheHeaders,
+      body
+    };
+  } catch (error) {
+    console.error('Schema registry error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Schema lookup failed',
+        message: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,238 @@
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { rateLimit } = require('./lib/rate-limit');
+const { resolveValidator, validateDocument } = require('./lib/document-validation');
+const { locateError } = require('./lib/error-locations');
+const { checkReferences, pageSlug } = require('./lib/reference-check');
+const { getSiteManifest } = require('./lib/site-manifest');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_FILES = 200;
+
+/**
+ * Files that would be published at the same URL (`guides.md` and
+ * `guides/index.md`) are errors; files sharing a title are warnings.
+ * Returns { [path]: issues[] }.
+ */
+function findDuplicates(documents) {
+  const issues = Object.fromEntries(documents.map(doc => [doc.path, []]));
+  const group = keyOf => documents.reduce((groups, doc) => {
+    const key = keyOf(doc);
+    if (key) {
+      groups.set(key, [...(groups.get(key) || []), doc]);
+    }
+    return groups;
+  }, new Map());
+
+  group(doc => pageSlug(doc.path)).forEach((docs, slug) => {
+    if (docs.length < 2) return;
+    docs.forEach(doc => {
+      const others = docs.filter(other => other !== doc).map(other => other.path);
+      issues[doc.path].push({
+        path: '',
+        message: `Page slug "${slug}" is also used by ${others.join(', ')}`,
+        keyword: 'duplicate-slug',
+        params: { slug, files: others },
+        severity: 'error',
+        ...locateError(doc.markdown, {})
+      });
+    });
+  });
+
+  group(doc => (typeof doc.frontmatter?.title === 'string' ? doc.frontmatter.title.trim().toLowerCase() : null))
+    .forEach(docs => {
+      if (docs.length < 2) return;
+      docs.forEach(doc => {
+        const others = docs.filter(other => other !== doc).map(other => other.path);
+        issues[doc.path].push({
+          path: '/title',
+          message: `Title "${doc.frontmatter.title}" is also used by ${others.join(', ')}`,
+          keyword: 'duplicate-title',
+          params: { title: doc.frontmatter.title, files: others },
+          severity: 'warning',
+          ...locateError(doc.markdown, { instancePath: '/title' })
+        });
+      });
+    });
+
+  return issues;
+}
+
+/**
+ * Netlify/Lambda Function: Batch Validation Service
+ *
+ * Validates many markdown files in one request, with the same schema and
+ * lint rules as /api/validate, plus checks that need the whole batch:
+ * duplicate page slugs and titles and, when `projectId` is given, the
+ * project's links and `parent` references (see lib/reference-check).
+ *
+ * POST /api/validate/batch
+ * Body: { files: { "guides/setup.md": "---\n..." }, projectId?: string,
+ *         schema?: "name@version", section?: string, schemaUrl?: string }
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const { files, projectId, schema, section, schemaUrl } = JSON.parse(event.body);
+
+    if (!files || typeof files !== 'object' || Array.isArray(files)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing required field: files' })
+      };
+    }
+
+    if (projectId !== undefined) {
+      if (typeof projectId !== 'string' || !SLUG_PATTERN.test(projectId)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: 'Invalid projectId: use lowercase letters, numbers and single hyphens'
+          })
+        };
+      }
+
+      const forbidden = authorizeProject(auth.principal, projectId, headers);
+      if (forbidden) {
+        return forbidden;
+      }
+    }
+
+    const limited = await rateLimit(event, auth.principal, 'validate', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
+
+    const entries = Object.entries(files);
+    if (entries.length === 0 || entries.length > MAX_FILES) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `A batch must contain between 1 and ${MAX_FILES} files` })
+      };
+    }
+
+    const invalid = entries.find(([, markdown]) => typeof markdown !== 'string' || markdown.length === 0);
+    if (invalid) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `File content must be a non-empty string: ${invalid[0]}` })
+      };
+    }
+
+    const paths = entries.map(([filePath]) => filePath.replace(/\\/g, '/').replace(/^\.\//, ''));
+    const duplicatePath = paths.find((filePath, i) => paths.indexOf(filePath) !== i);
+    if (duplicatePath) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Duplicate file path: ${duplicatePath}` })
+      };
+    }
+
+    const resolved = await resolveValidator({ schema, section, schemaUrl }, headers);
+    if (resolved.response) {
+      return resolved.response;
+    }
+    const { validate } = resolved;
+
+    const documents = entries.map(([, markdown], i) => ({
+      path: paths[i],
+      markdown,
+      ...validateDocument(markdown, validate)
+    }));
+
+    const duplicates = findDuplicates(documents);
+    const references = projectId
+      ? checkReferences(documents.map(doc => ({
+        path: doc.path,
+        content: doc.markdown,
+        frontmatter: doc.frontmatter || {}
+      })), { projectId, site: getSiteManifest() })
+      : {};
+
+    const byKeyword = {};
+    const failingFiles = [];
+    let errorCount = 0;
+    let warningCount = 0;
+
+    const results = Object.fromEntries(documents.map(doc => {
+      const issues = [...(duplicates[doc.path] || []), ...(references[doc.path] || [])];
+      const errors = [...doc.errors, ...issues.filter(issue => issue.severity === 'error')]
+        .sort((a, b) => (a.line || 0) - (b.line || 0));
+      const warnings = [...doc.warnings, ...issues.filter(issue => issue.severity === 'warning')]
+        .sort((a, b) => (a.line || 0) - (b.line || 0));
+
+      [...errors, ...warnings].forEach(issue => {
+        byKeyword[issue.keyword] = (byKeyword[issue.keyword] || 0) + 1;
+      });
+      errorCount += errors.length;
+      warningCount += warnings.length;
+      if (errors.length > 0) {
+        failingFiles.push(doc.path);
+      }
+
+      return [doc.path, {
+        status: errors.length > 0 ? 'invalid' : 'valid',
+        frontmatter: doc.frontmatter,
+        errors,
+        warnings
+      }];
+    }));
+
+    return {
+      statusCode: failingFiles.length > 0 ? 422 : 200,
+      headers,
+      body: JSON.stringify({
+        status: failingFiles.length > 0 ? 'invalid' : 'valid',
+        schema: validate.schemaRef,
+        files: results,
+        summary: {
+          files: documents.length,
+          valid: documents.length - failingFiles.length,
+          invalid: failingFiles.length,
+          errors: errorCount,
+          warnings: warningCount,
+          byKeyword,
+          failingFiles
+        }
+      })
+    };
+  } catch (error) {
+    console.error('Batch validation error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Batch validation failed',
+        message: error.message
+      })
+    };
+  }
+};
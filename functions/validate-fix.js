@@ -0,0 +1,97 @@
+const { authenticate } = require('./lib/auth');
+const { rateLimit } = require('./lib/rate-limit');
+const { resolveValidator, validateDocument } = require('./lib/document-validation');
+const { applyFixes } = require('./lib/auto-fix');
+
+/**
+ * Netlify/Lambda Function: Frontmatter Fix Service
+ *
+ * Applies every automatic fix /api/validate suggests (closest enum value,
+ * ISO dates, shortened text, unique tags, required properties with a schema
+ * default) and validates the result again. Errors without a fix are left
+ * for the author and come back in `errors`.
+ *
+ * POST /api/validate/fix
+ * Body: { markdown: string, schema?: "name@version", section?: string, schemaUrl?: string }
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const limited = await rateLimit(event, auth.principal, 'validate', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
+
+    const { markdown, schema, section, schemaUrl } = JSON.parse(event.body);
+
+    if (!markdown || typeof markdown !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing markdown content' })
+      };
+    }
+
+    const resolved = await resolveValidator({ schema, section, schemaUrl }, headers);
+    if (resolved.response) {
+      return resolved.response;
+    }
+    const { validate } = resolved;
+
+    const before = validateDocument(markdown, validate);
+    const applied = before.errors
+      .filter(error => error.fix)
+      .map(({ path, keyword, fix }) => ({ path, keyword, ...fix }));
+
+    const fixed = applied.length > 0 ? applyFixes(markdown, applied) : markdown;
+    const after = applied.length > 0 ? validateDocument(fixed, validate) : before;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        status: after.valid ? 'valid' : 'invalid',
+        schema: validate.schemaRef,
+        markdown: fixed,
+        changed: fixed !== markdown,
+        applied,
+        errors: after.errors,
+        warnings: after.warnings
+      })
+    };
+  } catch (error) {
+    console.error('Fix error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Fix failed',
+        message: error.message
+      })
+    };
+  }
+};
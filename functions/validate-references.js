@@ -0,0 +1,149 @@
+const matter = require('gray-matter');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { rateLimit } = require('./lib/rate-limit');
+const { normalizeFrontmatter } = require('./lib/schema-registry');
+const { checkReferences } = require('./lib/reference-check');
+const { getSiteManifest } = require('./lib/site-manifest');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_FILES = 200;
+
+/**
+ * Netlify/Lambda Function: Reference Check Service
+ *
+ * Checks a whole project's internal links, images and `parent` slugs against
+ * its own pages and the existing site, and reports orphan pages and cycles in
+ * the parent hierarchy (see lib/reference-check).
+ *
+ * POST /api/validate/references
+ * Body: { projectId: string, files: { "guides/setup.md": "---\n..." } }
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const { projectId, files } = JSON.parse(event.body);
+
+    if (!projectId || !files || typeof files !== 'object' || Array.isArray(files)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing required fields: projectId, files' })
+      };
+    }
+
+    if (!SLUG_PATTERN.test(projectId)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Invalid projectId: use lowercase letters, numbers and single hyphens'
+        })
+      };
+    }
+
+    const forbidden = authorizeProject(auth.principal, projectId, headers);
+    if (forbidden) {
+      return forbidden;
+    }
+
+    const limited = await rateLimit(event, auth.principal, 'validate', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
+
+    const entries = Object.entries(files);
+    if (entries.length === 0 || entries.length > MAX_FILES) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `A project must contain between 1 and ${MAX_FILES} files` })
+      };
+    }
+
+    const invalid = entries.find(([, content]) => typeof content !== 'string');
+    if (invalid) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `File content must be a string: ${invalid[0]}` })
+      };
+    }
+
+    // Frontmatter errors are /api/validate's job; unparsable files just have no parent
+    const pages = entries.map(([filePath, content]) => {
+      let frontmatter = {};
+      try {
+        frontmatter = normalizeFrontmatter(matter(content).data);
+      } catch (err) {
+        // Ignore invalid YAML here
+      }
+      return { path: filePath.replace(/\\/g, '/').replace(/^\.\//, ''), content, frontmatter };
+    });
+
+    const results = checkReferences(pages, { projectId, site: getSiteManifest() });
+
+    const byKeyword = {};
+    let errorCount = 0;
+    let warningCount = 0;
+    const report = Object.fromEntries(Object.entries(results).map(([filePath, issues]) => {
+      issues.forEach(issue => {
+        byKeyword[issue.keyword] = (byKeyword[issue.keyword] || 0) + 1;
+      });
+      const errors = issues.filter(issue => issue.severity === 'error');
+      const warnings = issues.filter(issue => issue.severity === 'warning');
+      errorCount += errors.length;
+      warningCount += warnings.length;
+      return [filePath, { errors, warnings }];
+    }));
+
+    return {
+      statusCode: errorCount > 0 ? 422 : 200,
+      headers,
+      body: JSON.stringify({
+        status: errorCount > 0 ? 'invalid' : 'valid',
+        projectId,
+        files: report,
+        summary: {
+          files: pages.length,
+          errors: errorCount,
+          warnings: warningCount,
+          byKeyword
+        }
+      })
+    };
+  } catch (error) {
+    console.error('Reference check error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Reference check failed',
+        message: error.message
+      })
+    };
+  }
+};
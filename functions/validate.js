@@ -1,10 +1,11 @@
-const Ajv = require('ajv');
-const addFormats = require('ajv-formats');
-const matter = require('gray-matter');
 const markdownIt = require('markdown-it');
+const { authenticate, authorizeProject } = require('./lib/auth');
+const { rateLimit } = require('./lib/rate-limit');
+const { resolveValidator, validateDocument } = require('./lib/document-validation');
+const { sanitizeHtml, sanitizeOptions } = require('./lib/html-sanitizer');
+const siteData = require('../src/_data/site.json');
 
-const ajv = new Ajv({ allErrors: true });
-addFormats(ajv);
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 
 const md = markdownIt({
   html: true,
@@ -19,13 +20,24 @@ const md = markdownIt({
  * and renders preview HTML.
  * 
  * POST /api/validate
- * Body: { markdown: string, schemaUrl?: string }
+ * Body: { markdown: string, schema?: "name@version", section?: string, schemaUrl?: string,
+ *         projectId?: string }
+ *
+ * `schema` names a schema from the registry (see lib/schema-registry);
+ * `section` selects that section's `frontmatter-<section>` schema; and
+ * `schemaUrl` is only fetched when it matches SCHEMA_REMOTE_ALLOWLIST.
+ * Without any of them the site.json `frontmatter` schema is used, the same
+ * one the workspace validates against.
+ *
+ * The preview is passed through lib/html-sanitizer; `projectId` (default:
+ * the API key's project) selects that project's site.json `sanitize`
+ * settings, such as which origins may be embedded in iframes.
  */
 exports.handler = async (event, context) => {
   // Enable CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -48,7 +60,18 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { markdown, schemaUrl } = JSON.parse(event.body);
+    const auth = await authenticate(event, headers);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const limited = await rateLimit(event, auth.principal, 'validate', headers);
+    if (limited.response) {
+      return limited.response;
+    }
+    Object.assign(headers, limited.headers);
+
+    const { markdown, schema: schemaRef, section, schemaUrl, projectId } = JSON.parse(event.body);
 
     if (!markdown) {
       return {
@@ -60,71 +83,49 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Parse markdown frontmatter
-    let frontmatter, content;
-    try {
-      const parsed = matter(markdown);
-      frontmatter = parsed.data;
-      content = parsed.content;
-    } catch (err) {
-      return {
-        statusCode: 422,
-        headers,
-        body: JSON.stringify({
-          status: 'invalid',
-          errors: [{ 
-            path: 'frontmatter',
-            message: 'Invalid YAML frontmatter syntax',
-            line: 1,
-            details: err.message
-          }]
-        })
-      };
-    }
-
-    // Fetch and validate against schema if provided
-    if (schemaUrl) {
-      let schema;
-      try {
-        const schemaResponse = await fetch(schemaUrl);
-        if (!schemaResponse.ok) {
-          throw new Error(`Schema fetch failed: ${schemaResponse.status}`);
-        }
-        schema = await schemaResponse.json();
-      } catch (err) {
+    if (projectId !== undefined) {
+      if (typeof projectId !== 'string' || !SLUG_PATTERN.test(projectId)) {
         return {
           statusCode: 400,
           headers,
-          body: JSON.stringify({ 
-            error: 'Failed to fetch schema',
-            details: err.message
+          body: JSON.stringify({
+            error: 'Invalid projectId: use lowercase letters, numbers and single hyphens'
           })
         };
       }
 
-      // Validate frontmatter against schema
-      const validate = ajv.compile(schema);
-      const isValid = validate(frontmatter);
-
-      if (!isValid) {
-        return {
-          statusCode: 422,
-          headers,
-          body: JSON.stringify({
-            status: 'invalid',
-            errors: validate.errors.map(err => ({
-              path: err.instancePath || err.schemaPath,
-              message: err.message,
-              keyword: err.keyword,
-              params: err.params
-            }))
-          })
-        };
+      const forbidden = authorizeProject(auth.principal, projectId, headers);
+      if (forbidden) {
+        return forbidden;
       }
     }
 
-    // Render markdown preview
-    const preview = md.render(content);
+    const resolved = await resolveValidator({ schema: schemaRef, section, schemaUrl }, headers);
+    if (resolved.response) {
+      return resolved.response;
+    }
+    const { validate } = resolved;
+
+    const { valid, frontmatter, content, errors, warnings } = validateDocument(markdown, validate);
+
+    if (!valid) {
+      return {
+        statusCode: 422,
+        headers,
+        body: JSON.stringify({
+          status: 'invalid',
+          schema: validate.schemaRef,
+          errors,
+          warnings
+        })
+      };
+    }
+
+    // Render markdown preview; raw HTML in the markdown goes through the allowlist
+    const preview = sanitizeHtml(md.render(content), sanitizeOptions(siteData.sanitize, {
+      projectId: projectId || auth.principal.projectId,
+      frontmatter
+    }));
 
     // Calculate content metrics
     const wordCount = content.split(/\s+/).filter(w => w.length > 0).length;
@@ -135,9 +136,11 @@ exports.handler = async (event, context) => {
       headers,
       body: JSON.stringify({
         status: 'valid',
+        schema: validate.schemaRef,
         frontmatter,
         content,
         preview,
+        warnings,
         metadata: {
           wordCount,
           readingTime,
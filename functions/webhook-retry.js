@@ -0,0 +1,31 @@
+const { retryDueDeliveries } = require('./lib/build-notifications');
+
+/**
+ * Netlify Scheduled Function: Webhook Delivery Retries
+ *
+ * Re-attempts build completion deliveries whose backoff has elapsed.
+ * Scheduled in netlify.toml; can also be invoked manually.
+ */
+exports.handler = async (event, context) => {
+  try {
+    const counts = await retryDueDeliveries();
+
+    if (counts.attempted > 0) {
+      console.log(`Webhook retries: ${counts.delivered} delivered, ${counts.pending} pending, ${counts.failed} failed`);
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(counts)
+    };
+  } catch (error) {
+    console.error('Webhook retry error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Webhook retry failed',
+        message: error.message
+      })
+    };
+  }
+};
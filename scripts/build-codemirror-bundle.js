@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Build script to create a browser-compatible CodeMirror bundle using browserify
+ * Outputs to src/js/vendor/codemirror.js
+ *
+ * Exposes the CodeMirror 6 pieces the workspace Editor is built from
+ * (markdown with YAML frontmatter, diagnostics, search) as window.CodeMirror.
+ */
+
+const browserify = require('browserify');
+const fs = require('fs');
+const path = require('path');
+
+const outputDir = path.join(__dirname, '../src/js/vendor');
+const outputFile = path.join(outputDir, 'codemirror.js');
+
+// Ensure output directory exists
+if (!fs.existsSync(outputDir)) {
+  fs.mkdirSync(outputDir, { recursive: true });
+}
+
+console.log('Building CodeMirror browser bundle...');
+
+// Create browserify bundle
+const b = browserify({
+  entries: [path.join(__dirname, 'codemirror-browser-entry.js')],
+  standalone: 'CodeMirror',
+  builtins: false,
+  commondir: false,
+  // Lezer only reads Buffer and process when Node provides them
+  insertGlobalVars: { Buffer: undefined, process: undefined },
+  // Only declares its CommonJS build in "exports", which browserify ignores
+  packageFilter: (pkg) => pkg.name === '@marijn/find-cluster-break'
+    ? { ...pkg, main: pkg.exports.require }
+    : pkg
+});
+
+// Write bundle to file
+b.bundle()
+  .on('error', (err) => {
+    console.error('Browserify error:', err);
+    process.exit(1);
+  })
+  .pipe(fs.createWriteStream(outputFile))
+  .on('finish', () => {
+    console.log(`✓ CodeMirror bundle created at ${outputFile}`);
+    console.log(`  Bundle size: ${(fs.statSync(outputFile).size / 1024).toFixed(2)} KB`);
+  })
+  .on('error', (err) => {
+    console.error('Write stream error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Build script to create a browser-compatible markdown-it bundle using browserify
+ * Outputs to src/js/vendor/markdown-it.js
+ *
+ * Bundles the markdown-it release Eleventy renders with and the Prism
+ * highlighting of @11ty/eleventy-plugin-syntaxhighlight, so the workspace
+ * preview renders markdown the way the site build does.
+ */
+
+const browserify = require('browserify');
+const fs = require('fs');
+const path = require('path');
+
+const outputDir = path.join(__dirname, '../src/js/vendor');
+const outputFile = path.join(outputDir, 'markdown-it.js');
+
+// Ensure output directory exists
+if (!fs.existsSync(outputDir)) {
+  fs.mkdirSync(outputDir, { recursive: true });
+}
+
+console.log('Building markdown-it browser bundle...');
+
+const eleventyDir = path.dirname(require.resolve('@11ty/eleventy/package.json'));
+
+// Create browserify bundle
+const b = browserify({
+  entries: [path.join(__dirname, 'markdown-it-browser-entry.js')],
+  standalone: 'markdownit',
+  // Eleventy may depend on a different markdown-it than the top-level one,
+  // and markdown-it 13 uses Node's punycode module
+  builtins: {
+    'markdown-it': require.resolve('markdown-it', { paths: [eleventyDir] }),
+    punycode: require.resolve('punycode/')
+  },
+  commondir: false
+});
+
+// Write bundle to file
+b.bundle()
+  .on('error', (err) => {
+    console.error('Browserify error:', err);
+    process.exit(1);
+  })
+  .pipe(fs.createWriteStream(outputFile))
+  .on('finish', () => {
+    console.log(`✓ markdown-it bundle created at ${outputFile}`);
+    console.log(`  Bundle size: ${(fs.statSync(outputFile).size / 1024).toFixed(2)} KB`);
+  })
+  .on('error', (err) => {
+    console.error('Write stream error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Build script to bundle the shared content checks for the workspace using browserify
+ * Outputs to src/js/vendor/workspace-lib.js
+ *
+ * functions/lib/{error-locations,content-lint,auto-fix,reference-check,html-sanitizer}
+ * are the single source for these checks; the bundle runs them in the browser.
+ */
+
+const browserify = require('browserify');
+const fs = require('fs');
+const path = require('path');
+
+const outputDir = path.join(__dirname, '../src/js/vendor');
+const outputFile = path.join(outputDir, 'workspace-lib.js');
+
+// Ensure output directory exists
+if (!fs.existsSync(outputDir)) {
+  fs.mkdirSync(outputDir, { recursive: true });
+}
+
+console.log('Building workspace library bundle...');
+
+// Create browserify bundle
+const b = browserify({
+  entries: [path.join(__dirname, 'workspace-lib-browser-entry.js')],
+  standalone: 'WorkspaceLib',
+  builtins: false,
+  commondir: false
+});
+
+// Write bundle to file
+b.bundle()
+  .on('error', (err) => {
+    console.error('Browserify error:', err);
+    process.exit(1);
+  })
+  .pipe(fs.createWriteStream(outputFile))
+  .on('finish', () => {
+    console.log(`✓ Workspace library bundle created at ${outputFile}`);
+    console.log(`  Bundle size: ${(fs.statSync(outputFile).size / 1024).toFixed(2)} KB`);
+  })
+  .on('error', (err) => {
+    console.error('Write stream error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Build script to create a browser-compatible js-yaml bundle using browserify
+ * Outputs to src/js/vendor/js-yaml.js
+ *
+ * Bundles the js-yaml release gray-matter depends on, so the workspace parses
+ * frontmatter exactly like the API and the Eleventy build.
+ */
+
+const browserify = require('browserify');
+const fs = require('fs');
+const path = require('path');
+
+const outputDir = path.join(__dirname, '../src/js/vendor');
+const outputFile = path.join(outputDir, 'js-yaml.js');
+
+// Ensure output directory exists
+if (!fs.existsSync(outputDir)) {
+  fs.mkdirSync(outputDir, { recursive: true });
+}
+
+console.log('Building js-yaml browser bundle...');
+
+const grayMatterDir = path.dirname(require.resolve('gray-matter/package.json'));
+
+// Create browserify bundle
+const b = browserify({
+  entries: [require.resolve('js-yaml', { paths: [grayMatterDir] })],
+  standalone: 'jsyaml',
+  builtins: false,
+  commondir: false
+});
+
+// Write bundle to file
+b.bundle()
+  .on('error', (err) => {
+    console.error('Browserify error:', err);
+    process.exit(1);
+  })
+  .pipe(fs.createWriteStream(outputFile))
+  .on('finish', () => {
+    console.log(`✓ js-yaml bundle created at ${outputFile}`);
+    console.log(`  Bundle size: ${(fs.statSync(outputFile).size / 1024).toFixed(2)} KB`);
+  })
+  .on('error', (err) => {
+    console.error('Write stream error:', err);
+    process.exit(1);
+  });
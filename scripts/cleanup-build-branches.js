@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Build Branch Cleanup
+ *
+ * Deletes stale `build/*` branches from the GitHub repository used by the
+ * build service. Branches with an open pull request are kept. Uses the same
+ * configuration as the functions (GITHUB_TOKEN, GITHUB_ORG, GITHUB_REPO).
+ *
+ * Usage:
+ *   node scripts/cleanup-build-branches.js [--days <n>] [--dry-run]
+ */
+
+const { getBuildProvider } = require('../functions/lib/build-provider');
+
+async function cleanupBuildBranches(args) {
+  const dryRun = args.includes('--dry-run');
+  const daysIndex = args.indexOf('--days');
+  const olderThanDays = parseInt(
+    daysIndex >= 0 ? args[daysIndex + 1] : (process.env.BUILD_BRANCH_RETENTION_DAYS || '14'),
+    10
+  );
+
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    console.error('Usage: cleanup-build-branches.js [--days <n>] [--dry-run]\n');
+    process.exit(1);
+  }
+
+  console.log(`🧹 ${dryRun ? 'Finding' : 'Deleting'} build branches older than ${olderThanDays} days...\n`);
+
+  const { deleted, kept } = await getBuildProvider('github').cleanupStaleBranches({ olderThanDays, dryRun });
+
+  deleted.forEach(branch => console.log(`   - ${branch}`));
+  console.log(`\n✅ ${deleted.length} branch${deleted.length === 1 ? '' : 'es'} ${dryRun ? 'would be deleted' : 'deleted'}, ${kept.length} kept\n`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  cleanupBuildBranches(process.argv.slice(2)).catch(err => {
+    console.error('❌ Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { cleanupBuildBranches };
@@ -0,0 +1,28 @@
+const { basicSetup } = require('codemirror');
+const { EditorSelection, EditorState, Prec } = require('@codemirror/state');
+const { EditorView, keymap, placeholder } = require('@codemirror/view');
+const { isolateHistory } = require('@codemirror/commands');
+const { markdown } = require('@codemirror/lang-markdown');
+const { yamlFrontmatter } = require('@codemirror/lang-yaml');
+const { lintGutter, setDiagnostics } = require('@codemirror/lint');
+
+const CodeMirror = {
+  basicSetup,
+  EditorSelection,
+  EditorState,
+  Prec,
+  EditorView,
+  keymap,
+  placeholder,
+  isolateHistory,
+  markdown,
+  yamlFrontmatter,
+  lintGutter,
+  setDiagnostics
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.CodeMirror = CodeMirror;
+}
+
+module.exports = CodeMirror;
@@ -14,7 +14,6 @@ const lunr = require('lunr');
 const matter = require('gray-matter');
 
 const SITE_OUTPUT = '_site';
-const SEARCH_INDEX_FILE = path.join(SITE_OUTPUT, 'search-index.json');
 
 function deriveSectionFromPath(filePath) {
   if (!filePath) return 'general';
@@ -23,23 +22,28 @@ function deriveSectionFromPath(filePath) {
   return parts.length > 0 && parts[0] ? parts[0] : 'general';
 }
 
-function generateSearchIndex() {
+/**
+ * Generate the search index for the site rooted at `rootDir`
+ * (defaults to the current working directory).
+ */
+function generateSearchIndex({ rootDir = process.cwd() } = {}) {
   console.log('📚 Generating search index...\n');
 
-  if (!fs.existsSync(SITE_OUTPUT)) {
-    console.error(`❌ Error: Output directory '${SITE_OUTPUT}' does not exist.`);
-    console.error('   Run "npm run build" first to generate the site.\n');
-    process.exit(1);
+  const siteOutput = path.join(rootDir, SITE_OUTPUT);
+  const searchIndexFile = path.join(siteOutput, 'search-index.json');
+
+  if (!fs.existsSync(siteOutput)) {
+    throw new Error(`Output directory '${SITE_OUTPUT}' does not exist. Run "npm run build" first to generate the site.`);
   }
 
   const documents = [];
   const markdownFiles = glob.sync('content/**/*.md', {
-    cwd: process.cwd(),
+    cwd: rootDir,
     ignore: ['**/node_modules/**', '**/_site/**']
   });
 
   const sectionPages = glob.sync('content/**/index.njk', {
-    cwd: process.cwd(),
+    cwd: rootDir,
     ignore: ['**/node_modules/**', '**/_site/**', 'content/search-index.njk']
   });
 
@@ -53,7 +57,7 @@ function generateSearchIndex() {
 
   contentFiles.forEach((file, index) => {
     try {
-      const fileContents = fs.readFileSync(file, 'utf-8');
+      const fileContents = fs.readFileSync(path.join(rootDir, file), 'utf-8');
       const { data: frontmatter, content: body } = matter(fileContents);
 
       // Generate URL from file path
@@ -157,17 +161,19 @@ function generateSearchIndex() {
 
   // Write to file
   fs.writeFileSync(
-    SEARCH_INDEX_FILE, 
+    searchIndexFile, 
     JSON.stringify(indexData, null, 2),
     'utf-8'
   );
 
-  const fileSizeKb = (fs.statSync(SEARCH_INDEX_FILE).size / 1024).toFixed(2);
+  const fileSizeKb = (fs.statSync(searchIndexFile).size / 1024).toFixed(2);
   
   console.log(`\n✅ Search index generated successfully!`);
-  console.log(`   File: ${SEARCH_INDEX_FILE}`);
+  console.log(`   File: ${path.relative(process.cwd(), searchIndexFile)}`);
   console.log(`   Documents: ${documents.length}`);
   console.log(`   Size: ${fileSizeKb} KB\n`);
+
+  return { documentCount: documents.length, file: searchIndexFile };
 }
 
 // Run if called directly
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management
+ *
+ * Creates, rotates, revokes and lists per-project API keys used by the
+ * service functions. Uses the same key store configuration as the functions
+ * (API_KEY_STORE, API_KEY_STORE_FILE, AWS_DYNAMODB_KEYS_TABLE, API_KEY_PEPPER).
+ *
+ * Usage:
+ *   node scripts/manage-api-keys.js create <projectId> [label]
+ *   node scripts/manage-api-keys.js rotate <projectId> [graceSeconds]
+ *   node scripts/manage-api-keys.js revoke <projectId> <keyId>
+ *   node scripts/manage-api-keys.js list <projectId>
+ */
+
+const { createApiKey, rotateApiKey, revokeApiKey, isKeyActive } = require('../functions/lib/auth');
+const { getApiKeyStore } = require('../functions/lib/api-key-store');
+
+function printNewKey(apiKey, record) {
+  console.log(`🔑 API key for project "${record.projectId}" (keyId ${record.keyId}):\n`);
+  console.log(`   ${apiKey}\n`);
+  console.log('   Store it now - only its hash is kept.\n');
+}
+
+async function manageApiKeys(args) {
+  const [command, projectId, extra] = args;
+
+  if (!command || !projectId) {
+    console.error('Usage: manage-api-keys.js <create|rotate|revoke|list> <projectId> [...]\n');
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'create': {
+      const { apiKey, record } = await createApiKey(projectId, { label: extra });
+      printNewKey(apiKey, record);
+      break;
+    }
+
+    case 'rotate': {
+      const graceSeconds = extra ? parseInt(extra, 10) : undefined;
+      const { apiKey, record, expiring, expiresAt } = await rotateApiKey(projectId, { graceSeconds });
+      printNewKey(apiKey, record);
+      if (expiring.length > 0) {
+        console.log(`⏳ Previous keys ${expiring.join(', ')} expire at ${expiresAt}\n`);
+      }
+      break;
+    }
+
+    case 'revoke': {
+      if (!extra) {
+        console.error('Usage: manage-api-keys.js revoke <projectId> <keyId>\n');
+        process.exit(1);
+      }
+      const revoked = await revokeApiKey(projectId, extra);
+      if (!revoked) {
+        console.error(`❌ No key ${extra} found for project "${projectId}"\n`);
+        process.exit(1);
+      }
+      console.log(`✅ Revoked key ${extra}\n`);
+      break;
+    }
+
+    case 'list': {
+      const keys = await getApiKeyStore().listByProject(projectId);
+      console.log(`📋 Keys for project "${projectId}":\n`);
+      if (keys.length === 0) {
+        console.log('   (none)\n');
+      }
+      keys.forEach(key => {
+        const state = key.revokedAt
+          ? `revoked ${key.revokedAt}`
+          : isKeyActive(key)
+            ? (key.expiresAt ? `active, expires ${key.expiresAt}` : 'active')
+            : `expired ${key.expiresAt}`;
+        console.log(`   - ${key.keyId} (${key.label}) created ${key.createdAt} - ${state}`);
+      });
+      console.log('');
+      break;
+    }
+
+    default:
+      console.error(`❌ Unknown command: ${command}\n`);
+      process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  manageApiKeys(process.argv.slice(2)).catch(err => {
+    console.error('❌ Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { manageApiKeys };
@@ -0,0 +1,99 @@
+/**
+ * Browser entry for the workspace markdown-it bundle.
+ *
+ * `markdown-it` resolves to the release Eleventy renders with (see
+ * build-markdown-it-bundle.js), and `highlight` produces the same markup as
+ * @11ty/eleventy-plugin-syntaxhighlight, which .eleventy.js adds to it.
+ * The plugin's own PrismLoader loads languages from disk at runtime, so the
+ * languages are required here instead; unknown languages render unhighlighted.
+ */
+
+const markdownIt = require('markdown-it');
+const Prism = require('prismjs');
+const HighlightLinesGroup = require('@11ty/eleventy-plugin-syntaxhighlight/src/HighlightLinesGroup');
+const getAttributes = require('@11ty/eleventy-plugin-syntaxhighlight/src/getAttributes');
+const PrismAlias = require('@11ty/eleventy-plugin-syntaxhighlight/src/PrismNormalizeAlias');
+
+require('prismjs/components/prism-markup-templating');
+require('prismjs/components/prism-bash');
+require('prismjs/components/prism-diff');
+require('prismjs/components/prism-django');
+require('prismjs/components/prism-json');
+require('prismjs/components/prism-yaml');
+// After yaml, which it highlights frontmatter with
+require('prismjs/components/prism-markdown');
+require('prismjs/components/prism-python');
+require('prismjs/components/prism-typescript');
+require('prismjs/plugins/diff-highlight/prism-diff-highlight');
+
+// The plugin defaults .eleventy.js uses
+const OPTIONS = {
+  lineSeparator: '\n',
+  alwaysWrapLineHighlights: false,
+  preAttributes: {},
+  codeAttributes: {}
+};
+
+function loadLanguage(language) {
+  const diff = language.startsWith('diff-');
+  const aliasedName = PrismAlias(diff ? language.slice('diff-'.length) : language);
+
+  if (!diff) {
+    return Prism.languages[aliasedName];
+  }
+
+  Prism.languages[`diff-${aliasedName}`] = Prism.languages.diff;
+  return Prism.languages[`diff-${aliasedName}`];
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * markdown-it `highlight` option: fences such as ```js or ```js/1-2
+ */
+function highlight(str, language) {
+  if (!language) {
+    // Let markdown-it escape the code
+    return '';
+  }
+
+  const split = language.split('/');
+  language = split.shift();
+
+  let html;
+  if (language === 'text') {
+    html = str;
+  } else {
+    const grammar = loadLanguage(language);
+    html = grammar ? Prism.highlight(str, grammar, language) : escapeHtml(str);
+  }
+
+  const hasHighlightNumbers = split.length > 0;
+  const highlights = new HighlightLinesGroup(split.join('/'), '/');
+  let lines = html.split('\n');
+
+  // Trim last line if it is empty
+  if (lines[lines.length - 1] === '') {
+    lines = lines.slice(0, -1);
+  }
+
+  lines = lines.map((line, j) => (OPTIONS.alwaysWrapLineHighlights || hasHighlightNumbers)
+    ? highlights.getLineMarkup(j, line)
+    : line);
+
+  const context = { content: str, language, options: OPTIONS };
+  const preAttributes = getAttributes(OPTIONS.preAttributes, context);
+  const codeAttributes = getAttributes(OPTIONS.codeAttributes, context);
+
+  return `<pre${preAttributes}><code${codeAttributes}>${lines.join(OPTIONS.lineSeparator)}</code></pre>`;
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.markdownit = markdownIt;
+  globalThis.markdownitHighlight = highlight;
+}
+
+module.exports = markdownIt;
+module.exports.highlight = highlight;
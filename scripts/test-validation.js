@@ -11,9 +11,26 @@ const path = require('path');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 const matter = require('gray-matter');
+const { normalizeFrontmatter } = require('../functions/lib/schema-registry');
 
 const SITE_DATA_PATH = path.join(__dirname, '../src/_data/site.json');
-const EXAMPLE_CONTENT_PATH = path.join(__dirname, '../content/example');
+const EXAMPLE_CONTENT_PATH = path.join(__dirname, '../content/examples');
+
+// Validated when there are no example files; kept in memory, nothing is written
+const FALLBACK_DOCUMENT = `---
+title: Test Document
+category: examples
+layout: content.njk
+tags: [test, sample]
+audience: [developers]
+dateAdded: 2024-11-06
+lastReviewed: 2024-11-06
+---
+
+# Test Content
+
+This is a test markdown document for validation.
+`;
 
 async function testValidation() {
   console.log('🧪 Testing markdown validation...\n');
@@ -35,12 +52,15 @@ async function testValidation() {
   if (fs.existsSync(EXAMPLE_CONTENT_PATH)) {
     testFiles = fs.readdirSync(EXAMPLE_CONTENT_PATH)
       .filter(f => f.endsWith('.md'))
-      .map(f => path.join(EXAMPLE_CONTENT_PATH, f));
+      .map(f => ({
+        name: f,
+        content: fs.readFileSync(path.join(EXAMPLE_CONTENT_PATH, f), 'utf-8')
+      }));
   }
 
   if (testFiles.length === 0) {
-    console.warn('⚠️  No example files found. Creating test markdown...\n');
-    testFiles = [createTestFile()];
+    console.warn('⚠️  No example files found. Using a built-in test document...\n');
+    testFiles = [{ name: 'test-validation.md', content: FALLBACK_DOCUMENT }];
   }
 
   console.log(`📝 Testing ${testFiles.length} file(s)...\n`);
@@ -54,13 +74,12 @@ async function testValidation() {
   let failCount = 0;
 
   // Test each file
-  testFiles.forEach((filePath, index) => {
-    const fileName = path.basename(filePath);
-    console.log(`${index + 1}. Testing: ${fileName}`);
+  testFiles.forEach(({ name, content }, index) => {
+    console.log(`${index + 1}. Testing: ${name}`);
 
     try {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const { data: frontmatter, content: body } = matter(content);
+      // YAML dates parse to Date objects; the schema expects YYYY-MM-DD strings
+      const frontmatter = normalizeFrontmatter(matter(content).data);
 
       const isValid = validate(frontmatter);
 
@@ -100,28 +119,6 @@ async function testValidation() {
   }
 }
 
-function createTestFile() {
-  const testContent = `---
-title: Test Document
-category: example
-layout: content.njk
-tags: [test, sample]
-audience: [General]
-dateAdded: 2024-11-06
-lastReviewed: 2024-11-06
----
-
-# Test Content
-
-This is a test markdown document for validation.
-`;
-
-  const testPath = path.join(__dirname, '../content/test-validation.md');
-  fs.writeFileSync(testPath, testContent, 'utf-8');
-  console.log(`   Created test file: ${testPath}\n`);
-  return testPath;
-}
-
 // Run if called directly
 if (require.main === module) {
   testValidation().catch(err => {
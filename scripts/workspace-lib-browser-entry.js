@@ -0,0 +1,33 @@
+/**
+ * Browser entry for the workspace content checks.
+ *
+ * The workspace validates, fixes, lints and sanitizes with the same modules
+ * as the API, so both always give the same verdict. They are exposed as
+ * `window.WorkspaceLib` for the modules in src/js/workspace.
+ */
+
+const { locateError, locateYamlError, locateValue, locateInsertion } = require('../functions/lib/error-locations');
+const { lintContent, findReferences } = require('../functions/lib/content-lint');
+const { suggestFix, applyFixes } = require('../functions/lib/auto-fix');
+const { checkReferences } = require('../functions/lib/reference-check');
+const { sanitizeHtml, sanitizeOptions } = require('../functions/lib/html-sanitizer');
+
+const WorkspaceLib = {
+  locateError,
+  locateYamlError,
+  locateValue,
+  locateInsertion,
+  lintContent,
+  findReferences,
+  suggestFix,
+  applyFixes,
+  checkReferences,
+  sanitizeHtml,
+  sanitizeOptions
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.WorkspaceLib = WorkspaceLib;
+}
+
+module.exports = WorkspaceLib;
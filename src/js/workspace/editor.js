@@ -1,73 +1,208 @@
 /**
  * Editor Module
- * Simple textarea-based editor (CodeMirror can be added later)
+ * Markdown editor built on CodeMirror 6 (js/vendor/codemirror.js, built by
+ * `npm run bundle:codemirror`): markdown and YAML frontmatter highlighting,
+ * line numbers, bracket matching, search/replace (Ctrl+F) and inline
+ * diagnostics from Validator results, with their fixes as quick actions.
+ * A toolbar and shortcuts apply the formatting commands from formatting.js.
  */
 
+import { FORMATS, describeKey } from './formatting.js';
+
+// From functions/lib via js/vendor/workspace-lib.js (`npm run bundle:workspace-lib`)
+const { applyFixes } = window.WorkspaceLib;
+
 export class Editor {
     constructor(container) {
         this.container = container;
-        this.textarea = null;
+        this.view = null;
         this.currentFile = null;
         this.listeners = new Set();
+        this.updating = false;
         this.init();
     }
 
     init() {
+        const { EditorView } = window.CodeMirror;
+
+        const buttons = FORMATS.map(({ name, label, title, key }) => `
+            <button type="button" class="btn btn-sm format-btn" data-format="${name}"
+                title="${key ? `${title} (${describeKey(key)})` : title}" aria-label="${title}">${label}</button>
+        `).join('');
         this.container.innerHTML = `
-            <textarea 
-                id="markdown-editor" 
-                class="markdown-textarea"
-                placeholder="Start writing markdown..."
-                spellcheck="false"
-            ></textarea>
+            <div class="editor-toolbar" role="toolbar" aria-label="Formatting">${buttons}</div>
+            <div class="editor-view"></div>
         `;
-        
-        this.textarea = this.container.querySelector('#markdown-editor');
-        
-        // Listen for changes
-        this.textarea.addEventListener('input', () => {
-            this.notify('change', this.getValue());
+
+        // Keep the selection in the editor while clicking
+        const toolbar = this.container.querySelector('.editor-toolbar');
+        toolbar.addEventListener('mousedown', e => e.preventDefault());
+        toolbar.addEventListener('click', e => {
+            const button = e.target.closest('[data-format]');
+            if (button) {
+                this.format(button.dataset.format);
+            }
+        });
+
+        this.view = new EditorView({
+            state: this.createState(''),
+            parent: this.container.querySelector('.editor-view')
+        });
+    }
+
+    /**
+     * A fresh document (and undo history) with the editor's extensions
+     */
+    createState(doc) {
+        const {
+            EditorState, EditorView, Prec, keymap, basicSetup, placeholder, markdown, yamlFrontmatter, lintGutter
+        } = window.CodeMirror;
+
+        // Ahead of basicSetup, which binds Mod-i to selecting the syntax node
+        const formatKeys = FORMATS
+            .filter(({ key }) => key)
+            .map(({ name, key }) => ({ key, run: () => this.format(name) }));
+
+        return EditorState.create({
+            doc,
+            extensions: [
+                Prec.high(keymap.of(formatKeys)),
+                basicSetup,
+                yamlFrontmatter({ content: markdown() }),
+                lintGutter(),
+                EditorView.lineWrapping,
+                placeholder('Start writing markdown...'),
+                EditorView.contentAttributes.of({ spellcheck: 'false' }),
+                // Only edits made in the editor are reported; setValue is silent
+                EditorView.updateListener.of(update => {
+                    if (update.docChanged && !this.updating) {
+                        this.notify('change', this.getValue());
+                    }
+                })
+            ]
         });
-        
-        // Auto-resize
-        this.textarea.style.cssText = `
-            width: 100%;
-            height: 100%;
-            padding: 1rem;
-            border: none;
-            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-            font-size: 14px;
-            line-height: 1.6;
-            resize: none;
-            outline: none;
-            background: #fff;
-            color: #333;
-        `;
     }
 
+    /**
+     * Replace the content, changing only the part that differs so the
+     * cursor and undo history survive (frontmatter sync, fixes)
+     */
     setValue(content) {
-        if (this.textarea) {
-            this.textarea.value = content || '';
+        if (!this.view) return;
+
+        const current = this.getValue();
+        const next = content || '';
+        if (current === next) return;
+
+        let from = 0;
+        while (from < current.length && from < next.length && current[from] === next[from]) {
+            from++;
+        }
+        let end = 0;
+        while (end < current.length - from && end < next.length - from
+            && current[current.length - 1 - end] === next[next.length - 1 - end]) {
+            end++;
+        }
+
+        this.updating = true;
+        try {
+            this.view.dispatch({
+                changes: { from, to: current.length - end, insert: next.slice(from, next.length - end) }
+            });
+        } finally {
+            this.updating = false;
         }
     }
 
+    /**
+     * Apply a formatting command from formatting.js to every selection,
+     * as a single undo step
+     */
+    format(name) {
+        const command = FORMATS.find(entry => entry.name === name);
+        if (!this.view || !command) return false;
+
+        const { isolateHistory } = window.CodeMirror;
+        const { state } = this.view;
+        this.view.dispatch(state.update(state.changeByRange(range => command.run(state, range)), {
+            annotations: isolateHistory.of('full'),
+            scrollIntoView: true,
+            userEvent: 'input.format'
+        }));
+        this.view.focus();
+        return true;
+    }
+
     getValue() {
-        return this.textarea ? this.textarea.value : '';
+        return this.view ? this.view.state.doc.toString() : '';
     }
 
     setFile(file) {
         this.currentFile = file;
-        this.setValue(file ? file.content : '');
+        if (this.view) {
+            this.view.setState(this.createState(file ? file.content : ''));
+        }
     }
 
     clear() {
-        this.setValue('');
-        this.currentFile = null;
+        this.setFile(null);
+    }
+
+    /**
+     * Document offset of a 1-based line and column, clamped to the document
+     */
+    offset(line, column) {
+        const { doc } = this.view.state;
+        const docLine = doc.line(Math.min(Math.max(line, 1), doc.lines));
+        return Math.min(docLine.from + Math.max(column, 1) - 1, docLine.to);
+    }
+
+    /**
+     * Select a { line, column, endLine, endColumn } range (1-based)
+     */
+    selectRange({ line, column, endLine = line, endColumn = column }) {
+        if (!this.view) return;
+
+        this.view.dispatch({
+            selection: { anchor: this.offset(line, column), head: this.offset(endLine, endColumn) },
+            scrollIntoView: true
+        });
+        this.view.focus();
+    }
+
+    /**
+     * Show Validator errors and warnings inline. Issues without a location
+     * (whole-document errors) only appear in the validation panel.
+     */
+    setDiagnostics(issues) {
+        if (!this.view) return;
+
+        const { setDiagnostics } = window.CodeMirror;
+        const diagnostics = issues
+            .filter(issue => issue.line)
+            .map(issue => ({
+                from: this.offset(issue.line, issue.column || 1),
+                to: this.offset(issue.endLine || issue.line, issue.endColumn || issue.column || 1),
+                severity: issue.severity === 'warning' ? 'warning' : 'error',
+                source: issue.keyword,
+                message: issue.path ? `${issue.path}: ${issue.message}` : issue.message,
+                actions: issue.fix ? [{
+                    name: 'Fix',
+                    apply: () => {
+                        const fixed = applyFixes(this.getValue(), [issue.fix]);
+                        this.setValue(fixed);
+                        this.notify('change', fixed);
+                    }
+                }] : []
+            }))
+            .sort((a, b) => a.from - b.from);
+
+        this.view.dispatch(setDiagnostics(this.view.state, diagnostics));
     }
 
     focus() {
-        if (this.textarea) {
-            this.textarea.focus();
+        if (this.view) {
+            this.view.focus();
         }
     }
 
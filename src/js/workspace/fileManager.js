@@ -7,6 +7,7 @@ export class FileManager {
     constructor() {
         this.files = new Map();
         this.currentFile = null;
+        this.projectId = null;
         this.listeners = new Set();
         this.loadFromStorage();
     }
@@ -111,6 +112,22 @@ export class FileManager {
         return this.currentFile ? this.getFile(this.currentFile) : null;
     }
 
+    /**
+     * Set the project identifier used for builds
+     */
+    setProjectId(projectId) {
+        this.projectId = projectId || null;
+        this.saveToStorage();
+        this.notify('projectIdChanged', { projectId: this.projectId });
+    }
+
+    /**
+     * Get the project identifier used for builds
+     */
+    getProjectId() {
+        return this.projectId;
+    }
+
     /**
      * Clear all files
      */
@@ -136,6 +153,7 @@ export class FileManager {
         return {
             version: '1.0.0',
             exported: new Date().toISOString(),
+            projectId: this.projectId,
             files
         };
     }
@@ -145,6 +163,8 @@ export class FileManager {
      */
     importProject(data) {
         this.clear();
+        this.projectId = data.projectId || null;
+        this.saveToStorage();
         
         Object.entries(data.files || {}).forEach(([path, fileData]) => {
             this.addFile(path, fileData.content, fileData.metadata);
@@ -0,0 +1,197 @@
+/**
+ * Formatting Module
+ * Markdown formatting commands for the editor toolbar and shortcuts. Each
+ * command turns one selection range of a CodeMirror state into
+ * { changes, range } for EditorState.changeByRange, so every cursor is
+ * formatted and the whole edit is one undo step.
+ */
+
+const HEADING = /^#{1,6} /;
+const LIST_ITEM = /^(?:[-*+]|\d+[.)]) /;
+const TABLE = '| Column 1 | Column 2 |\n| -------- | -------- |\n| Cell     | Cell     |';
+
+/**
+ * The lines a range covers; a selection ending at the start of a line
+ * does not include that line
+ */
+function selectedLines(state, range) {
+    const first = state.doc.lineAt(range.from).number;
+    let last = state.doc.lineAt(range.to).number;
+    if (last > first && range.to === state.doc.line(last).from) {
+        last--;
+    }
+
+    const lines = [];
+    for (let number = first; number <= last; number++) {
+        lines.push(state.doc.line(number));
+    }
+    return lines;
+}
+
+/**
+ * Wrap the selection in `marker`, or unwrap it when it already is wrapped.
+ * An empty selection inserts `placeholder` and selects it.
+ */
+function wrapInline(marker, placeholder) {
+    return (state, range) => {
+        const { EditorSelection } = window.CodeMirror;
+        const before = state.sliceDoc(range.from - marker.length, range.from);
+        const after = state.sliceDoc(range.to, range.to + marker.length);
+
+        if (!range.empty && before === marker && after === marker) {
+            return {
+                changes: [
+                    { from: range.from - marker.length, to: range.from },
+                    { from: range.to, to: range.to + marker.length }
+                ],
+                range: EditorSelection.range(range.from - marker.length, range.to - marker.length)
+            };
+        }
+
+        const text = range.empty ? placeholder : state.sliceDoc(range.from, range.to);
+        const start = range.from + marker.length;
+        return {
+            changes: { from: range.from, to: range.to, insert: `${marker}${text}${marker}` },
+            range: EditorSelection.range(start, start + text.length)
+        };
+    };
+}
+
+/**
+ * Give every selected non-blank line `prefix(index)`, replacing what
+ * `replace` matches at its start. When all of them already match `pattern`,
+ * the prefixes are removed instead.
+ */
+function toggleLinePrefix(pattern, prefix, replace = pattern) {
+    return (state, range) => {
+        const { EditorSelection } = window.CodeMirror;
+        const lines = selectedLines(state, range);
+        const content = lines.filter(line => line.text.trim());
+        const remove = content.length > 0 && content.every(line => pattern.test(line.text));
+
+        const changes = state.changes((content.length > 0 ? content : lines).map((line, index) => {
+            const existing = (line.text.match(replace) || [''])[0];
+            return { from: line.from, to: line.from + existing.length, insert: remove ? '' : prefix(index) };
+        }));
+
+        // A cursor stays in its text; a selection grows to the whole lines
+        if (range.empty) {
+            return { changes, range: EditorSelection.cursor(changes.mapPos(range.head, 1)) };
+        }
+        return {
+            changes,
+            range: EditorSelection.range(changes.mapPos(lines[0].from, -1), changes.mapPos(lines[lines.length - 1].to, 1))
+        };
+    };
+}
+
+function heading(level) {
+    const marker = `${'#'.repeat(level)} `;
+    return toggleLinePrefix(new RegExp(`^${marker}`), () => marker, HEADING);
+}
+
+/**
+ * `[text](https://)`: selects the URL to type over, or the link text when
+ * there was no selection
+ */
+function link(state, range) {
+    const { EditorSelection } = window.CodeMirror;
+    const text = range.empty ? 'link text' : state.sliceDoc(range.from, range.to);
+    const url = 'https://';
+    const textStart = range.from + 1;
+    const urlStart = textStart + text.length + 2;
+
+    return {
+        changes: { from: range.from, to: range.to, insert: `[${text}](${url})` },
+        range: range.empty
+            ? EditorSelection.range(textStart, textStart + text.length)
+            : EditorSelection.range(urlStart, urlStart + url.length)
+    };
+}
+
+/**
+ * Fence the selected lines, or open an empty block on a blank line
+ */
+function codeBlock(state, range) {
+    const { EditorSelection } = window.CodeMirror;
+    const lines = selectedLines(state, range);
+    const from = lines[0].from;
+    const to = lines[lines.length - 1].to;
+
+    if (lines.length === 1 && !lines[0].text.trim()) {
+        return {
+            changes: { from, to, insert: '```\n\n```' },
+            range: EditorSelection.cursor(from + 4)
+        };
+    }
+
+    const changes = state.changes([
+        { from, insert: '```\n' },
+        { from: to, insert: '\n```' }
+    ]);
+    return {
+        changes,
+        range: EditorSelection.range(changes.mapPos(range.anchor, 1), changes.mapPos(range.head, -1))
+    };
+}
+
+/**
+ * Insert a two-column table after the selection, separated from the
+ * surrounding text by blank lines, with the first header selected
+ */
+function table(state, range) {
+    const { EditorSelection } = window.CodeMirror;
+    const lines = selectedLines(state, range);
+    const line = lines[lines.length - 1];
+    const next = line.number < state.doc.lines ? state.doc.line(line.number + 1) : null;
+
+    let from = line.to;
+    let before = '\n\n';
+    if (!line.text.trim()) {
+        from = line.from;
+        const previous = line.number > 1 ? state.doc.line(line.number - 1) : null;
+        before = previous && previous.text.trim() ? '\n' : '';
+    }
+    const after = next && next.text.trim() ? '\n' : '';
+    const start = from + before.length + 2;
+
+    return {
+        changes: { from, to: line.text.trim() ? from : line.to, insert: `${before}${TABLE}${after}` },
+        range: EditorSelection.range(start, start + 'Column 1'.length)
+    };
+}
+
+/**
+ * Toolbar buttons and shortcuts, in toolbar order
+ */
+export const FORMATS = [
+    { name: 'bold', label: 'B', title: 'Bold', key: 'Mod-b', run: wrapInline('**', 'bold text') },
+    { name: 'italic', label: 'I', title: 'Italic', key: 'Mod-i', run: wrapInline('_', 'italic text') },
+    { name: 'heading1', label: 'H1', title: 'Heading 1', key: 'Mod-Alt-1', run: heading(1) },
+    { name: 'heading2', label: 'H2', title: 'Heading 2', key: 'Mod-Alt-2', run: heading(2) },
+    { name: 'heading3', label: 'H3', title: 'Heading 3', key: 'Mod-Alt-3', run: heading(3) },
+    {
+        name: 'bulletList', label: '•', title: 'Bulleted list', key: 'Mod-Shift-8',
+        run: toggleLinePrefix(/^[-*+] /, () => '- ', LIST_ITEM)
+    },
+    {
+        name: 'numberedList', label: '1.', title: 'Numbered list', key: 'Mod-Shift-7',
+        run: toggleLinePrefix(/^\d+[.)] /, index => `${index + 1}. `, LIST_ITEM)
+    },
+    { name: 'quote', label: '❝', title: 'Blockquote', key: 'Mod-Shift-9', run: toggleLinePrefix(/^> ?/, () => '> ') },
+    { name: 'link', label: '🔗', title: 'Link', key: 'Mod-k', run: link },
+    { name: 'codeBlock', label: '{ }', title: 'Code block', key: 'Mod-Alt-c', run: codeBlock },
+    { name: 'table', label: '▦', title: 'Table', key: null, run: table }
+];
+
+/**
+ * Shortcut as shown in tooltips: "Mod-Shift-8" becomes "Ctrl+Shift+8"
+ * (or "⌘+Shift+8" on macOS)
+ */
+export function describeKey(key) {
+    const mod = /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+    return key
+        .split('-')
+        .map(part => part === 'Mod' ? mod : part.length === 1 ? part.toUpperCase() : part)
+        .join('+');
+}
@@ -0,0 +1,76 @@
+/**
+ * Frontmatter Module
+ * Splits markdown into YAML frontmatter and body with the same rules as
+ * gray-matter, which the API and the Eleventy build use, and parses the YAML
+ * with the same js-yaml release (js/vendor/js-yaml.js, built by
+ * `npm run bundle:yaml`). The workspace therefore validates and previews
+ * exactly what gets built: block lists, nested objects, multi-line strings,
+ * quoted commas and colons in values all parse as they do on the server.
+ */
+
+const OPEN = '---';
+const CLOSE = '\n---';
+
+// YAML dates become YYYY-MM-DD strings, as normalizeFrontmatter does on the server
+function normalize(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+    return Object.fromEntries(Object.entries(data).map(([key, value]) =>
+        [key, value instanceof Date ? value.toISOString().slice(0, 10) : value]
+    ));
+}
+
+/**
+ * Parse the frontmatter of a markdown document.
+ * Returns { frontmatter, content, hasFrontmatter, error }: `frontmatter` is {}
+ * when there is no frontmatter block and null when its YAML does not parse,
+ * in which case `error` is the js-yaml exception (with its `mark` position).
+ */
+export function parseFrontmatter(markdown) {
+    const input = (markdown || '').replace(/^\uFEFF/, '');
+
+    // A fourth dash means a horizontal rule, not a delimiter
+    if (!input.startsWith(OPEN) || input.charAt(OPEN.length) === '-') {
+        return { frontmatter: {}, content: input, hasFrontmatter: false, error: null };
+    }
+
+    let str = input.slice(OPEN.length);
+
+    // `---yaml` names the language; only YAML is supported
+    const rawLanguage = str.slice(0, str.search(/\r?\n/));
+    const language = rawLanguage.trim();
+    if (language) {
+        str = str.slice(rawLanguage.length);
+    }
+
+    let closeIndex = str.indexOf(CLOSE);
+    if (closeIndex === -1) {
+        closeIndex = str.length;
+    }
+
+    let content = '';
+    if (closeIndex < str.length) {
+        content = str.slice(closeIndex + CLOSE.length);
+        if (content[0] === '\r') content = content.slice(1);
+        if (content[0] === '\n') content = content.slice(1);
+    }
+
+    const yaml = str.slice(0, closeIndex);
+    if (yaml.replace(/^\s*#[^\n]+/gm, '').trim() === '') {
+        return { frontmatter: {}, content, hasFrontmatter: true, error: null };
+    }
+
+    try {
+        if (language && language !== 'yaml') {
+            throw new Error(`Unsupported frontmatter language "${language}"`);
+        }
+        if (!window.jsyaml) {
+            throw new Error('YAML parser not loaded');
+        }
+
+        const data = window.jsyaml.safeLoad(yaml);
+        return { frontmatter: normalize(data) ?? {}, content, hasFrontmatter: true, error: null };
+    } catch (err) {
+        return { frontmatter: null, content, hasFrontmatter: true, error: err };
+    }
+}
@@ -1,56 +1,95 @@
 /**
  * Preview Module
- * Renders markdown to HTML using markdown-it (CDN)
+ * Renders markdown to HTML with the site build's markdown-it and syntax
+ * highlighting (js/vendor/markdown-it.js, built by `npm run bundle:markdown`),
+ * sanitized against the site.json `sanitize` allowlist before it reaches the page
  */
 
+import { parseFrontmatter } from './frontmatter.js';
+
+// From functions/lib via js/vendor/workspace-lib.js (`npm run bundle:workspace-lib`)
+const { sanitizeHtml, sanitizeOptions } = window.WorkspaceLib;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 export class Preview {
     constructor(container) {
         this.container = container;
         this.md = null;
+        this.sanitizeConfig = {};
         this.init();
     }
 
     async init() {
-        // Load markdown-it from CDN
+        // Sanitizer settings (allowed iframe origins) from site.json
+        try {
+            const sitePrefix = document.body?.dataset?.sitePrefix || '/';
+            const normalizedPrefix = sitePrefix.endsWith('/') ? sitePrefix : `${sitePrefix}/`;
+            const response = await fetch(`${normalizedPrefix}site.json`);
+            const siteData = await response.json();
+            this.sanitizeConfig = siteData.sanitize || {};
+        } catch (err) {
+            console.error('Failed to load sanitizer settings:', err);
+        }
+
         if (!window.markdownit) {
             await this.loadMarkdownIt();
         }
-        
+
+        // Eleventy's markdown options, with the syntaxhighlight plugin's highlighter
         this.md = window.markdownit({
             html: true,
-            linkify: true,
-            typographer: true,
-            breaks: true
+            highlight: window.markdownitHighlight
         });
     }
 
     async loadMarkdownIt() {
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/markdown-it@13/dist/markdown-it.min.js';
+            const sitePrefix = (document.body && document.body.dataset && document.body.dataset.sitePrefix) || '/';
+            const normalizedPrefix = sitePrefix.endsWith('/') ? sitePrefix : `${sitePrefix}/`;
+            script.src = `${normalizedPrefix}js/vendor/markdown-it.js`;
             script.onload = resolve;
-            script.onerror = reject;
+            script.onerror = () => reject(new Error('Failed to load markdown-it bundle'));
+            script.async = true;
             document.head.appendChild(script);
         });
     }
 
-    render(markdown) {
+    /**
+     * Render markdown; `projectId` selects that project's sanitizer settings
+     */
+    render(markdown, { projectId = null } = {}) {
         if (!this.md) {
-            this.container.innerHTML = '<p class="text-muted">Loading preview...</p>';
+            this.renderMessage('Loading preview...');
             return;
         }
+        this.container.classList.remove('page-mode');
 
         try {
             // Extract frontmatter
-            const { frontmatter, content } = this.parseFrontmatter(markdown);
+            const { frontmatter, content, hasFrontmatter, error } = parseFrontmatter(markdown);
             
-            // Render markdown
-            const html = this.md.render(content);
+            // Render markdown, keeping only allowlisted HTML
+            const html = sanitizeHtml(
+                this.md.render(content),
+                sanitizeOptions(this.sanitizeConfig, { projectId, frontmatter })
+            );
             
             // Display with frontmatter info
             let output = '';
             
-            if (frontmatter) {
+            if (error) {
+                output += '<div class="preview-frontmatter">';
+                output += `<p class="text-muted">Invalid YAML frontmatter${error.mark ? ` (line ${error.mark.line + 1})` : ''}</p>`;
+                output += '</div>';
+            } else if (hasFrontmatter) {
                 output += '<div class="preview-frontmatter">';
                 output += '<h4>Frontmatter</h4>';
                 output += '<table class="frontmatter-table">';
@@ -63,7 +102,7 @@ export class Preview {
                     } else if (typeof value === 'object') {
                         displayValue = JSON.stringify(value);
                     }
-                    output += `<tr><td class="fm-key">${key}</td><td class="fm-value">${displayValue}</td></tr>`;
+                    output += `<tr><td class="fm-key">${escapeHtml(key)}</td><td class="fm-value">${escapeHtml(displayValue)}</td></tr>`;
                 });
                 
                 output += '</tbody>';
@@ -75,52 +114,37 @@ export class Preview {
             
             this.container.innerHTML = output;
         } catch (err) {
-            this.container.innerHTML = `
-                <div class="preview-error">
-                    <h4>Preview Error</h4>
-                    <p>${err.message}</p>
-                </div>
-            `;
+            this.renderError(err.message);
         }
     }
 
-    parseFrontmatter(markdown) {
-        const match = markdown.match(/^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/);
-        
-        if (!match) {
-            return { frontmatter: null, content: markdown };
-        }
+    /**
+     * Show a full page from /api/preview. The iframe is sandboxed without
+     * scripts or same-origin access, so the page cannot reach the workspace.
+     */
+    renderPage(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'page-preview-frame';
+        frame.title = 'Page preview';
+        frame.setAttribute('sandbox', '');
+        frame.srcdoc = html;
 
-        try {
-            // Simple YAML parser (just key: value pairs)
-            const frontmatterText = match[1];
-            const frontmatter = {};
-            
-            frontmatterText.split('\n').forEach(line => {
-                const colonIndex = line.indexOf(':');
-                if (colonIndex > 0) {
-                    const key = line.substring(0, colonIndex).trim();
-                    let value = line.substring(colonIndex + 1).trim();
-                    
-                    // Parse arrays
-                    if (value.startsWith('[') && value.endsWith(']')) {
-                        value = value.slice(1, -1).split(',').map(v => v.trim().replace(/['"]/g, ''));
-                    }
-                    // Remove quotes
-                    else if ((value.startsWith('"') && value.endsWith('"')) || 
-                             (value.startsWith("'") && value.endsWith("'"))) {
-                        value = value.slice(1, -1);
-                    }
-                    
-                    frontmatter[key] = value;
-                }
-            });
-            
-            return { frontmatter, content: match[2] };
-        } catch (err) {
-            console.error('Frontmatter parse error:', err);
-            return { frontmatter: null, content: markdown };
-        }
+        this.container.classList.add('page-mode');
+        this.container.replaceChildren(frame);
+    }
+
+    renderMessage(message) {
+        this.container.innerHTML = `<p class="text-muted">${escapeHtml(message)}</p>`;
+    }
+
+    renderError(message) {
+        this.container.classList.remove('page-mode');
+        this.container.innerHTML = `
+            <div class="preview-error">
+                <h4>Preview Error</h4>
+                <p>${escapeHtml(message)}</p>
+            </div>
+        `;
     }
 
     clear() {
@@ -3,11 +3,20 @@
  * Validates markdown frontmatter against JSON schema using AJV
  */
 
+import { parseFrontmatter } from './frontmatter.js';
+
+// From functions/lib via js/vendor/workspace-lib.js (`npm run bundle:workspace-lib`)
+const { locateError, locateYamlError, lintContent, suggestFix } = window.WorkspaceLib;
+
 export class Validator {
     constructor() {
         this.schema = null;
+        this.lintRules = {};
+        this.sections = [];
+        this.sitePages = null;
         this.ajv = null;
         this.validate = null;
+        this.sectionValidators = {};
         this.init();
     }
 
@@ -19,6 +28,8 @@ export class Validator {
             const response = await fetch(`${normalizedPrefix.replace(/\/\/+$/, '/') }site.json`);
             const siteData = await response.json();
             this.schema = siteData.frontmatterSchema;
+            this.lintRules = siteData.contentLint || {};
+            this.sections = siteData.sections || [];
         } catch (err) {
             console.error('Failed to load schema:', err);
         }
@@ -43,6 +54,28 @@ export class Validator {
         }
     }
 
+    /**
+     * URL paths of the published site's pages, from its search index.
+     * Used to resolve links from project files to the rest of the site.
+     */
+    async getSitePages() {
+        if (this.sitePages) return this.sitePages;
+
+        try {
+            const sitePrefix = document.body?.dataset?.sitePrefix || '/';
+            const normalizedPrefix = sitePrefix.endsWith('/') ? sitePrefix : `${sitePrefix}/`;
+            const response = await fetch(`${normalizedPrefix}search-index.json`);
+            const index = await response.json();
+            const documents = Array.isArray(index) ? index : (index.documents || []);
+            this.sitePages = documents.map(doc => doc.url).filter(Boolean);
+        } catch (err) {
+            console.error('Failed to load site pages:', err);
+            return [];
+        }
+
+        return this.sitePages;
+    }
+
     async loadAjv() {
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
@@ -56,92 +89,100 @@ export class Validator {
         });
     }
 
-    validateMarkdown(markdown) {
+    /**
+     * Section of a project file: its first folder, when that names a
+     * site.json section (`docs/setup.md` -> `docs`), or null.
+     */
+    sectionFor(filePath) {
+        const segments = (filePath || '').split('/');
+        if (segments.length < 2) return null;
+        return this.sections.some(section => section.id === segments[0]) ? segments[0] : null;
+    }
+
+    /**
+     * Compiled schema for a section, combined the way
+     * functions/lib/schema-registry.js builds `frontmatter-<sectionId>`
+     * (the `section` option of /api/validate); the base schema without one.
+     */
+    getValidate(section) {
+        const config = section && this.sections.find(s => s.id === section);
+        if (!config || !this.ajv) return this.validate;
+
+        if (!this.sectionValidators[section]) {
+            this.sectionValidators[section] = this.ajv.compile({
+                allOf: [
+                    this.schema,
+                    { type: 'object', properties: { category: { const: config.id } } },
+                    ...(config.frontmatterSchema ? [config.frontmatterSchema] : [])
+                ]
+            });
+        }
+        return this.sectionValidators[section];
+    }
+
+    /**
+     * Validate a document against the base schema, or against `section`'s
+     * schema (see sectionFor).
+     */
+    validateMarkdown(markdown, { section = null } = {}) {
         if (!this.validate) {
             return {
                 valid: false,
-                errors: [{ message: 'Validator not initialized' }]
+                errors: [{ message: 'Validator not initialized', severity: 'error' }],
+                warnings: []
             };
         }
 
         try {
-            const { frontmatter } = this.parseFrontmatter(markdown);
-            
-            if (!frontmatter) {
+            const { frontmatter, error } = parseFrontmatter(markdown);
+
+            // Same shape as /api/validate, which parses with gray-matter
+            if (error) {
                 return {
                     valid: false,
-                    errors: [{ message: 'No frontmatter found' }]
+                    errors: [{
+                        path: 'frontmatter',
+                        message: 'Invalid YAML frontmatter syntax',
+                        keyword: 'yaml',
+                        severity: 'error',
+                        ...locateYamlError(markdown, error),
+                        details: error.message
+                    }],
+                    warnings: []
                 };
             }
 
-            const valid = this.validate(frontmatter);
-            
-            if (valid) {
-                return { valid: true, errors: [] };
-            }
+            const validate = this.getValidate(section);
+            const schemaErrors = validate(frontmatter)
+                ? []
+                : validate.errors.map(err => {
+                    const fix = suggestFix(markdown, err, { frontmatter, schema: validate.schema });
+                    return {
+                        path: err.instancePath,
+                        message: err.message,
+                        keyword: err.keyword,
+                        params: err.params,
+                        severity: 'error',
+                        ...locateError(markdown, err),
+                        ...(fix ? { fix } : {})
+                    };
+                });
+
+            // Body lint rules report errors and warnings in the same shape
+            const issues = lintContent(markdown, { frontmatter, rules: this.lintRules });
+            const errors = [...schemaErrors, ...issues.filter(issue => issue.severity === 'error')];
 
             return {
-                valid: false,
-                errors: this.validate.errors.map(err => ({
-                    path: err.instancePath,
-                    message: err.message,
-                    keyword: err.keyword,
-                    params: err.params
-                }))
+                valid: errors.length === 0,
+                errors,
+                warnings: issues.filter(issue => issue.severity === 'warning')
             };
         } catch (err) {
             return {
                 valid: false,
-                errors: [{ message: err.message }]
+                errors: [{ message: err.message, severity: 'error' }],
+                warnings: []
             };
         }
     }
-
-    parseFrontmatter(markdown) {
-        const match = markdown.match(/^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/);
-        
-        if (!match) {
-            return { frontmatter: null, content: markdown };
-        }
-
-        try {
-            const frontmatterText = match[1];
-            const frontmatter = {};
-            
-            frontmatterText.split('\n').forEach(line => {
-                const colonIndex = line.indexOf(':');
-                if (colonIndex > 0) {
-                    const key = line.substring(0, colonIndex).trim();
-                    let value = line.substring(colonIndex + 1).trim();
-                    
-                    // Parse arrays
-                    if (value.startsWith('[') && value.endsWith(']')) {
-                        value = value.slice(1, -1).split(',').map(v => v.trim().replace(/['"]/g, ''));
-                    }
-                    // Remove quotes
-                    else if ((value.startsWith('"') && value.endsWith('"')) || 
-                             (value.startsWith("'") && value.endsWith("'"))) {
-                        value = value.slice(1, -1);
-                    }
-                    // Parse integers
-                    else if (/^\d+$/.test(value)) {
-                        value = parseInt(value, 10);
-                    }
-                    // Parse booleans
-                    else if (value === 'true') {
-                        value = true;
-                    } else if (value === 'false') {
-                        value = false;
-                    }
-                    
-                    frontmatter[key] = value;
-                }
-            });
-            
-            return { frontmatter, content: match[2] };
-        } catch (err) {
-            console.error('Frontmatter parse error:', err);
-            return { frontmatter: null, content: markdown };
-        }
-    }
 }
@@ -7,8 +7,37 @@ import { FileManager } from './fileManager.js';
 import { Editor } from './editor.js';
 import { Preview } from './preview.js';
 import { Validator } from './validator.js';
+import { parseFrontmatter } from './frontmatter.js';
 import { FrontmatterEditor } from './frontmatterEditor.js';
 
+// From functions/lib via js/vendor/workspace-lib.js (`npm run bundle:workspace-lib`)
+const { checkReferences, applyFixes } = window.WorkspaceLib;
+
+const API_BASE = document.body?.dataset?.apiBase || '/api';
+const API_KEY_STORAGE_KEY = 'twelvety-api-key';
+const BUILD_POLL_INTERVAL = 3000;
+const BUILD_POLL_MAX_ATTEMPTS = 200;
+const BUILD_PROGRESS = {
+    submitting: { percent: 10, text: 'Submitting build...' },
+    queued: { percent: 25, text: 'Queued, waiting for a runner...' },
+    building: { percent: 60, text: 'Building site...' },
+    completed: { percent: 100, text: 'Build completed' },
+    failed: { percent: 100, text: 'Build failed' },
+    cancelled: { percent: 100, text: 'Build cancelled' },
+    retried: { percent: 100, text: 'Build was retried' }
+};
+
+const RETRYABLE_STATUSES = ['completed', 'failed', 'cancelled'];
+const PAGE_PREVIEW_DELAY = 1000;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 class Workspace {
     constructor() {
         this.fileManager = new FileManager();
@@ -17,8 +46,12 @@ class Workspace {
         this.validator = new Validator();
         this.frontmatterEditor = null;
         this.currentTab = 'editor';
+        this.previewMode = 'markdown';
+        this.pagePreviewTimeout = null;
         this.hasUnsavedChanges = false;
         this.editorSyncEnabled = true;
+        this.currentBuild = null;
+        this.buildPollTimeout = null;
         
         this.init();
     }
@@ -56,6 +89,21 @@ class Workspace {
         // Render initial state
         this.renderFileTree();
         this.updateUI();
+        this.loadBuildHistory();
+        this.registerServiceWorker();
+    }
+
+    /**
+     * Cache the workspace for offline use (see src/workspace-sw.js)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        const sitePrefix = document.body?.dataset?.sitePrefix || '/';
+        const normalizedPrefix = sitePrefix.endsWith('/') ? sitePrefix : `${sitePrefix}/`;
+        navigator.serviceWorker
+            .register(`${normalizedPrefix}workspace-sw.js`, { scope: `${normalizedPrefix}workspace/` })
+            .catch(err => console.error('Service worker registration failed:', err));
     }
 
     setupEventListeners() {
@@ -150,12 +198,78 @@ class Workspace {
             validateAllBtn.addEventListener('click', () => this.validateAllFiles());
         }
 
+        // Shortcuts: Ctrl+S saves, Ctrl+Shift+V validates all files
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 's' && !e.shiftKey) {
+                e.preventDefault();
+                this.saveCurrentFile();
+            } else if (key === 'v' && e.shiftKey) {
+                e.preventDefault();
+                this.validateAllFiles();
+            }
+        });
+
         // Build button
         const buildBtn = document.getElementById('build-btn');
         if (buildBtn) {
             buildBtn.addEventListener('click', () => this.triggerBuild());
         }
 
+        const cancelBuildBtn = document.getElementById('cancel-build-btn');
+        if (cancelBuildBtn) {
+            cancelBuildBtn.addEventListener('click', () => this.cancelBuild());
+        }
+
+        const retryBuildBtn = document.getElementById('retry-build-btn');
+        if (retryBuildBtn) {
+            retryBuildBtn.addEventListener('click', () => this.retryBuild());
+        }
+
+        // Download and site preview buttons
+        const downloadBtn = document.getElementById('download-btn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadBuild());
+        }
+
+        const previewSiteBtn = document.getElementById('preview-site-btn');
+        if (previewSiteBtn) {
+            previewSiteBtn.addEventListener('click', () => this.openBuiltSite());
+        }
+
+        // Preview: quick markdown render, or the published page from /api/preview
+        const pagePreviewBtn = document.getElementById('page-preview-btn');
+        if (pagePreviewBtn) {
+            pagePreviewBtn.addEventListener('click', () => this.togglePagePreview());
+        }
+
+        const refreshPreviewBtn = document.getElementById('refresh-preview-btn');
+        if (refreshPreviewBtn) {
+            refreshPreviewBtn.addEventListener('click', () => {
+                if (this.editor) {
+                    this.updatePreview(this.editor.getValue());
+                }
+            });
+        }
+
+        // Build history
+        const refreshHistoryBtn = document.getElementById('refresh-history-btn');
+        if (refreshHistoryBtn) {
+            refreshHistoryBtn.addEventListener('click', () => this.loadBuildHistory());
+        }
+
+        const buildHistoryList = document.getElementById('build-history-list');
+        if (buildHistoryList) {
+            buildHistoryList.addEventListener('click', (e) => {
+                const item = e.target.closest('.build-history-item');
+                if (item) {
+                    this.openBuild(item.dataset.buildId);
+                }
+            });
+        }
+
         // File tree clicks
         const fileTree = document.getElementById('file-tree');
         if (fileTree) {
@@ -292,9 +406,7 @@ Start writing your content here...
         this.editorSyncEnabled = false;
         
         const yaml = this.frontmatterEditor.generateYAML(frontmatter);
-        const currentMarkdown = this.editor.getValue();
-        const contentMatch = currentMarkdown.match(/^---\s*\n[\s\S]*?\n---\s*\n([\s\S]*)$/);
-        const content = contentMatch ? contentMatch[1] : currentMarkdown;
+        const { content } = parseFrontmatter(this.editor.getValue());
         
         const newMarkdown = `---\n${yaml}\n---\n${content}`;
         this.editor.setValue(newMarkdown);
@@ -317,41 +429,9 @@ Start writing your content here...
         clearTimeout(this.editorSyncTimeout);
         this.editorSyncTimeout = setTimeout(() => {
             try {
-                const match = markdown.match(/^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/);
-                if (match) {
-                    const frontmatterText = match[1];
-                    const frontmatter = {};
-                    
-                    frontmatterText.split('\n').forEach(line => {
-                        const colonIndex = line.indexOf(':');
-                        if (colonIndex > 0) {
-                            const key = line.substring(0, colonIndex).trim();
-                            let value = line.substring(colonIndex + 1).trim();
-                            
-                            // Parse arrays
-                            if (value.startsWith('[') && value.endsWith(']')) {
-                                value = value.slice(1, -1).split(',').map(v => v.trim().replace(/['"]/g, ''));
-                            }
-                            // Remove quotes
-                            else if ((value.startsWith('"') && value.endsWith('"')) || 
-                                     (value.startsWith("'") && value.endsWith("'"))) {
-                                value = value.slice(1, -1);
-                            }
-                            // Parse integers
-                            else if (/^\d+$/.test(value)) {
-                                value = parseInt(value, 10);
-                            }
-                            // Parse booleans
-                            else if (value === 'true') {
-                                value = true;
-                            } else if (value === 'false') {
-                                value = false;
-                            }
-                            
-                            frontmatter[key] = value;
-                        }
-                    });
-                    
+                // Leave the form alone while the YAML does not parse
+                const { frontmatter, hasFrontmatter, error } = parseFrontmatter(markdown);
+                if (hasFrontmatter && !error) {
                     this.frontmatterEditor.setData(frontmatter);
                 }
             } catch (err) {
@@ -364,6 +444,8 @@ Start writing your content here...
         if (event === 'fileAdded' || event === 'fileDeleted' || event === 'filesCleared') {
             this.renderFileTree();
             this.updateUI();
+        } else if (event === 'projectIdChanged') {
+            this.loadBuildHistory();
         }
     }
 
@@ -375,14 +457,72 @@ Start writing your content here...
     }
 
     updatePreview(markdown) {
-        if (this.preview) {
-            this.preview.render(markdown);
+        if (!this.preview) return;
+
+        if (this.previewMode === 'page') {
+            // Server renders are slower and rate limited, so wait for a pause in typing
+            clearTimeout(this.pagePreviewTimeout);
+            this.pagePreviewTimeout = setTimeout(() => this.renderPagePreview(markdown), PAGE_PREVIEW_DELAY);
+        } else {
+            this.preview.render(markdown, { projectId: this.fileManager.getProjectId() });
+        }
+    }
+
+    togglePagePreview() {
+        this.previewMode = this.previewMode === 'page' ? 'markdown' : 'page';
+
+        const pagePreviewBtn = document.getElementById('page-preview-btn');
+        if (pagePreviewBtn) {
+            pagePreviewBtn.classList.toggle('active', this.previewMode === 'page');
+        }
+
+        if (this.editor) {
+            this.updatePreview(this.editor.getValue());
+        }
+    }
+
+    /**
+     * Render the document with the site's Eleventy layouts (POST /api/preview)
+     */
+    async renderPagePreview(markdown) {
+        const currentFile = this.fileManager.getCurrentFile();
+        this.preview.renderMessage('Rendering page...');
+
+        try {
+            const response = await this.apiFetch(`${API_BASE}/preview`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    markdown,
+                    path: currentFile && currentFile.path.endsWith('.md') ? currentFile.path : undefined,
+                    projectId: this.fileManager.getProjectId() || undefined
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details || result.message || result.error || `HTTP ${response.status}`);
+            }
+
+            // Typing may have switched modes while the request was in flight
+            if (this.previewMode === 'page') {
+                this.preview.renderPage(result.html);
+            }
+        } catch (err) {
+            console.error('Page preview failed:', err);
+            this.preview.renderError(err.message);
         }
     }
 
     async validateFile(markdown) {
-        const result = await this.validator.validateMarkdown(markdown);
+        const section = this.validator.sectionFor(this.fileManager.getCurrentFile()?.path);
+        const result = await this.validator.validateMarkdown(markdown, { section });
         this.displayValidationResults(result);
+
+        // Underline the issues unless the document changed while validating
+        if (this.editor && this.editor.getValue() === markdown) {
+            this.editor.setDiagnostics([...result.errors, ...(result.warnings || [])]);
+        }
     }
 
     displayValidationResults(result) {
@@ -400,18 +540,53 @@ Start writing your content here...
         }
 
         if (validationResults) {
-            if (result.valid) {
+            const issues = [...result.errors, ...(result.warnings || [])];
+
+            if (issues.length === 0) {
                 validationResults.innerHTML = '<p class="text-muted">✓ No validation errors</p>';
             } else {
-                let html = '';
-                result.errors.forEach(err => {
+                const fixes = issues.filter(err => err.fix).map(err => err.fix);
+                let html = fixes.length > 0
+                    ? `<button type="button" id="fix-all-btn" class="btn btn-sm btn-block fix-all">🔧 Fix all (${fixes.length})</button>`
+                    : '';
+                issues.forEach((err, index) => {
+                    const location = err.line
+                        ? `<button type="button" class="error-location" data-error-index="${index}">Line ${err.line}:${err.column}</button>`
+                        : '';
+                    const suggestion = err.fix
+                        ? `<div class="fix-suggestion">Fix: ${escapeHtml(err.fix.description)}</div>`
+                        : '';
+                    const className = err.severity === 'warning' ? 'validation-warning' : 'validation-error';
                     html += `
-                        <div class="validation-error">
+                        <div class="${className}">
+                            ${location}
                             <strong>${err.path || 'Frontmatter'}</strong>: ${err.message}
+                            ${suggestion}
                         </div>
                     `;
                 });
                 validationResults.innerHTML = html;
+
+                // Rewrite the offending values in the editor, then revalidate via the change event
+                const fixAllBtn = document.getElementById('fix-all-btn');
+                if (fixAllBtn) {
+                    fixAllBtn.addEventListener('click', () => {
+                        if (!this.editor) return;
+                        const fixed = applyFixes(this.editor.getValue(), fixes);
+                        this.editor.setValue(fixed);
+                        this.editor.notify('change', fixed);
+                    });
+                }
+
+                // Jump to the offending frontmatter or body in the editor
+                validationResults.querySelectorAll('.error-location').forEach(btn => {
+                    btn.addEventListener('click', () => {
+                        if (this.editor) {
+                            this.switchTab('editor');
+                            this.editor.selectRange(issues[btn.dataset.errorIndex]);
+                        }
+                    });
+                });
             }
         }
     }
@@ -420,22 +595,70 @@ Start writing your content here...
         const files = this.fileManager.getFilesByExtension('.md');
         let allValid = true;
         let errorCount = 0;
+        let warningCount = 0;
 
         for (const file of files) {
-            const result = await this.validator.validateMarkdown(file.content);
+            const result = await this.validator.validateMarkdown(file.content, {
+                section: this.validator.sectionFor(file.path)
+            });
+            warningCount += (result.warnings || []).length;
             if (!result.valid) {
                 allValid = false;
                 errorCount += result.errors.length;
             }
         }
 
+        // Links, images and parent slugs across the project and the site
+        const references = checkReferences(files.map(file => ({
+            path: file.path,
+            content: file.content,
+            frontmatter: parseFrontmatter(file.content).frontmatter || {}
+        })), {
+            projectId: this.fileManager.getProjectId(),
+            site: { pages: await this.validator.getSitePages(), assets: null }
+        });
+        const referenceIssues = Object.entries(references)
+            .flatMap(([path, issues]) => issues.map(issue => ({ ...issue, file: path })));
+
+        referenceIssues.forEach(issue => {
+            if (issue.severity === 'warning') {
+                warningCount++;
+            } else {
+                allValid = false;
+                errorCount++;
+            }
+        });
+
         const validationResults = document.getElementById('validation-results');
         if (validationResults) {
+            let html;
             if (allValid) {
-                validationResults.innerHTML = `<p class="text-muted">✓ All ${files.length} files are valid</p>`;
+                const warningNote = warningCount > 0 ? ` (${warningCount} warnings)` : '';
+                html = `<p class="text-muted">✓ All ${files.length} files are valid${warningNote}</p>`;
             } else {
-                validationResults.innerHTML = `<p class="validation-error">✗ Found ${errorCount} errors in ${files.length} files</p>`;
+                html = `<p class="validation-error">✗ Found ${errorCount} errors in ${files.length} files</p>`;
             }
+
+            referenceIssues.forEach((issue, index) => {
+                const className = issue.severity === 'warning' ? 'validation-warning' : 'validation-error';
+                html += `
+                    <div class="${className}">
+                        <button type="button" class="error-location" data-reference-index="${index}">${issue.file}:${issue.line}</button>
+                        ${issue.message}
+                    </div>
+                `;
+            });
+            validationResults.innerHTML = html;
+
+            // Open the file at the broken reference
+            validationResults.querySelectorAll('[data-reference-index]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const issue = referenceIssues[btn.dataset.referenceIndex];
+                    this.openFile(issue.file);
+                    this.switchTab('editor');
+                    this.editor.selectRange(issue);
+                });
+            });
         }
 
         // Enable/disable build button
@@ -498,7 +721,7 @@ Start writing your content here...
             exportBtn.disabled = !hasFiles;
         }
         if (buildBtn) {
-            buildBtn.disabled = !hasFiles;
+            buildBtn.disabled = !hasFiles || this.isBuildRunning();
         }
     }
 
@@ -514,25 +737,411 @@ Start writing your content here...
     }
 
     async triggerBuild() {
-        // TODO: Implement build API call
-        console.log('Build triggered');
-        
+        const files = this.fileManager.getFilesByExtension('.md');
+        if (files.length === 0 || this.isBuildRunning()) return;
+
+        const projectId = this.ensureProjectId();
+        if (!projectId) return;
+
+        // Make sure the build includes what is currently in the editor
+        if (this.hasUnsavedChanges) {
+            this.saveCurrentFile();
+        }
+
+        const payload = {
+            projectId,
+            files: Object.fromEntries(files.map(file => [file.path, file.content])),
+            metadata: this.getBuildMetadata(files)
+        };
+
+        this.stopBuildPolling();
+        this.currentBuild = { status: 'submitting' };
+        this.renderBuildState(this.currentBuild);
+
+        try {
+            const response = await this.apiFetch(`${API_BASE}/build`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || `Build request failed (${response.status})`);
+            }
+
+            this.currentBuild = { ...data, status: data.status || 'queued' };
+            this.renderBuildState(this.currentBuild);
+            this.pollBuildStatus(data.pollingUrl || `${API_BASE}/build/${data.buildId}/status`);
+            this.loadBuildHistory();
+        } catch (err) {
+            console.error('Build trigger failed:', err);
+            this.currentBuild = { status: 'failed', error: err.message };
+            this.renderBuildState(this.currentBuild);
+        }
+    }
+
+    /**
+     * Fetch from the service API with the project's API key.
+     * On 401 the user is asked for a key once and the request is retried.
+     */
+    async apiFetch(url, options = {}, retry = true) {
+        const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+        const headers = { ...(options.headers || {}) };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401 && retry) {
+            const newKey = prompt('This action requires an API key for your project:');
+            if (newKey && newKey.trim()) {
+                localStorage.setItem(API_KEY_STORAGE_KEY, newKey.trim());
+                return this.apiFetch(url, options, false);
+            }
+        }
+
+        return response;
+    }
+
+    ensureProjectId() {
+        let projectId = this.fileManager.getProjectId();
+        if (projectId) return projectId;
+
+        projectId = prompt('Enter a project ID for this site (lowercase, hyphenated):', 'my-project');
+        if (!projectId) return null;
+
+        projectId = projectId.trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+        if (!projectId) return null;
+
+        this.fileManager.setProjectId(projectId);
+        return projectId;
+    }
+
+    getBuildMetadata(files) {
+        const indexFile = files.find(f => /(^|\/)index\.md$/.test(f.path)) || files[0];
+        const { frontmatter } = parseFrontmatter(indexFile.content);
+
+        return {
+            title: frontmatter?.title || indexFile.path,
+            slug: indexFile.path.replace(/\.md$/, ''),
+            fileCount: files.length
+        };
+    }
+
+    pollBuildStatus(pollingUrl, attempt = 0) {
+        if (attempt >= BUILD_POLL_MAX_ATTEMPTS) {
+            this.currentBuild = {
+                ...this.currentBuild,
+                status: 'failed',
+                error: 'Timed out waiting for build status'
+            };
+            this.renderBuildState(this.currentBuild);
+            return;
+        }
+
+        this.buildPollTimeout = setTimeout(async () => {
+            try {
+                const response = await this.apiFetch(pollingUrl);
+                const data = await response.json().catch(() => ({}));
+
+                // A just-created build may not be readable yet, keep polling
+                if (response.status === 404 && attempt < 5) {
+                    this.pollBuildStatus(pollingUrl, attempt + 1);
+                    return;
+                }
+
+                if (!response.ok) {
+                    throw new Error(data.message || data.error || `Status check failed (${response.status})`);
+                }
+
+                this.currentBuild = { ...this.currentBuild, ...data };
+                this.renderBuildState(this.currentBuild);
+
+                if (data.status === 'queued' || data.status === 'building') {
+                    this.pollBuildStatus(pollingUrl, attempt + 1);
+                } else {
+                    this.loadBuildHistory();
+                }
+            } catch (err) {
+                console.error('Build status check failed:', err);
+                this.currentBuild = { ...this.currentBuild, status: 'failed', error: err.message };
+                this.renderBuildState(this.currentBuild);
+            }
+        }, BUILD_POLL_INTERVAL);
+    }
+
+    stopBuildPolling() {
+        clearTimeout(this.buildPollTimeout);
+        this.buildPollTimeout = null;
+    }
+
+    isBuildRunning() {
+        const status = this.currentBuild?.status;
+        return status === 'submitting' || status === 'queued' || status === 'building';
+    }
+
+    renderBuildState(build) {
+        const buildStatus = document.getElementById('build-status');
         const buildProgress = document.getElementById('build-progress');
+        const progressFill = buildProgress?.querySelector('.progress-fill');
+        const progressText = buildProgress?.querySelector('.progress-text');
         const downloadSection = document.getElementById('download-section');
-        
+        const progress = BUILD_PROGRESS[build.status] || BUILD_PROGRESS.queued;
+
         if (buildProgress) {
-            buildProgress.removeAttribute('hidden');
+            buildProgress.toggleAttribute('hidden', !this.isBuildRunning());
+        }
+        if (progressFill) {
+            progressFill.style.width = `${progress.percent}%`;
+        }
+        if (progressText) {
+            progressText.textContent = progress.text;
         }
 
-        // Simulate build progress
-        setTimeout(() => {
-            if (buildProgress) {
-                buildProgress.setAttribute('hidden', '');
+        if (buildStatus) {
+            buildStatus.innerHTML = '';
+
+            const summary = document.createElement('p');
+            summary.className = build.status === 'failed' ? 'validation-error' : 'text-muted';
+            summary.textContent = build.status === 'failed'
+                ? `✗ ${this.getBuildFailureReason(build)}`
+                : build.buildId
+                    ? `${progress.text} (${build.buildId.substring(0, 8)})`
+                    : progress.text;
+            buildStatus.appendChild(summary);
+
+            if (build.workflow?.url) {
+                const link = document.createElement('a');
+                link.href = build.workflow.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = 'View workflow run';
+                buildStatus.appendChild(link);
+            }
+
+            if (build.pullRequest?.url) {
+                const link = document.createElement('a');
+                link.href = build.pullRequest.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = build.pullRequest.merged
+                    ? `Pull request #${build.pullRequest.number} (merged)`
+                    : `Pull request #${build.pullRequest.number}`;
+                buildStatus.appendChild(link);
+            }
+        }
+
+        if (downloadSection) {
+            downloadSection.toggleAttribute('hidden', build.status !== 'completed');
+        }
+
+        const cancelBuildBtn = document.getElementById('cancel-build-btn');
+        if (cancelBuildBtn) {
+            cancelBuildBtn.toggleAttribute('hidden', !build.buildId || !this.isBuildRunning());
+        }
+
+        const retryBuildBtn = document.getElementById('retry-build-btn');
+        if (retryBuildBtn) {
+            retryBuildBtn.toggleAttribute('hidden', !build.buildId || !RETRYABLE_STATUSES.includes(build.status));
+        }
+
+        const downloadBtn = document.getElementById('download-btn');
+        if (downloadBtn) {
+            downloadBtn.disabled = !build.urls?.download;
+        }
+
+        const previewSiteBtn = document.getElementById('preview-site-btn');
+        if (previewSiteBtn) {
+            previewSiteBtn.disabled = !build.urls?.site;
+        }
+
+        this.updateUI();
+    }
+
+    getBuildFailureReason(build) {
+        if (build.error) return build.error;
+
+        const conclusion = build.workflow?.conclusion;
+        if (conclusion) return `Workflow finished with conclusion "${conclusion}"`;
+
+        return BUILD_PROGRESS.failed.text;
+    }
+
+    async loadBuildHistory() {
+        const list = document.getElementById('build-history-list');
+        const projectId = this.fileManager.getProjectId();
+        if (!list) return;
+
+        if (!projectId) {
+            this.renderBuildHistory([]);
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`${API_BASE}/projects/${encodeURIComponent(projectId)}/builds?limit=20`);
+            if (!response.ok) {
+                throw new Error(`Build history request failed (${response.status})`);
             }
-            if (downloadSection) {
-                downloadSection.removeAttribute('hidden');
+            const data = await response.json();
+            this.renderBuildHistory(data.builds || []);
+        } catch (err) {
+            console.warn('Failed to load build history:', err);
+            list.innerHTML = '<li class="text-muted">Build history unavailable</li>';
+        }
+    }
+
+    renderBuildHistory(builds) {
+        const list = document.getElementById('build-history-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (builds.length === 0) {
+            list.innerHTML = '<li class="text-muted">No builds yet</li>';
+            return;
+        }
+
+        builds.forEach(build => {
+            const item = document.createElement('li');
+            item.className = 'build-history-item';
+            item.classList.toggle('active', build.buildId === this.currentBuild?.buildId);
+            item.dataset.buildId = build.buildId;
+            item.dataset.pollingUrl = build.pollingUrl;
+            item.title = build.buildId;
+
+            const title = document.createElement('span');
+            title.textContent = build.title || build.slug || build.buildId.substring(0, 8);
+
+            const meta = document.createElement('span');
+            meta.className = 'build-history-meta';
+            meta.textContent = `${new Date(build.createdAt).toLocaleString()} · ${build.fileCount} file${build.fileCount === 1 ? '' : 's'}`;
+
+            const status = document.createElement('span');
+            status.className = `status-badge ${build.status}`;
+            status.textContent = build.status;
+
+            item.append(title, meta, status);
+            list.appendChild(item);
+        });
+    }
+
+    async openBuild(buildId) {
+        if (!buildId) return;
+
+        const item = document.querySelector(`.build-history-item[data-build-id="${buildId}"]`);
+        const pollingUrl = item?.dataset.pollingUrl || `${API_BASE}/build/${buildId}/status`;
+
+        this.stopBuildPolling();
+
+        try {
+            const response = await this.apiFetch(pollingUrl);
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || `Status check failed (${response.status})`);
+            }
+
+            this.currentBuild = data;
+            this.renderBuildState(this.currentBuild);
+
+            document.querySelectorAll('.build-history-item').forEach(el => {
+                el.classList.toggle('active', el.dataset.buildId === buildId);
+            });
+
+            if (this.isBuildRunning()) {
+                this.pollBuildStatus(pollingUrl);
             }
-        }, 2000);
+        } catch (err) {
+            console.error('Failed to open build:', err);
+            this.currentBuild = { buildId, status: 'failed', error: err.message };
+            this.renderBuildState(this.currentBuild);
+        }
+    }
+
+    async cancelBuild() {
+        const buildId = this.currentBuild?.buildId;
+        if (!buildId) return;
+
+        try {
+            const response = await this.apiFetch(`${API_BASE}/build/${buildId}/cancel`, { method: 'POST' });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || `Cancel failed (${response.status})`);
+            }
+
+            this.stopBuildPolling();
+            this.currentBuild = { ...this.currentBuild, ...data };
+            this.renderBuildState(this.currentBuild);
+            this.loadBuildHistory();
+        } catch (err) {
+            console.error('Build cancel failed:', err);
+            alert(`Cancel failed: ${err.message}`);
+        }
+    }
+
+    async retryBuild() {
+        const buildId = this.currentBuild?.buildId;
+        if (!buildId) return;
+
+        this.stopBuildPolling();
+
+        try {
+            const response = await this.apiFetch(`${API_BASE}/build/${buildId}/retry`, { method: 'POST' });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.message || data.error || `Retry failed (${response.status})`);
+            }
+
+            this.currentBuild = { ...data, status: data.status || 'queued' };
+            this.renderBuildState(this.currentBuild);
+            this.pollBuildStatus(data.pollingUrl || `${API_BASE}/build/${data.buildId}/status`);
+            this.loadBuildHistory();
+        } catch (err) {
+            console.error('Build retry failed:', err);
+            alert(`Retry failed: ${err.message}`);
+        }
+    }
+
+    async downloadBuild() {
+        const url = this.currentBuild?.urls?.download;
+        if (!url) return;
+
+        const downloadBtn = document.getElementById('download-btn');
+        if (downloadBtn) downloadBtn.disabled = true;
+
+        try {
+            // Fetched rather than navigated to so the API key can be sent
+            const response = await this.apiFetch(url);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || data.error || `Download failed (${response.status})`);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${this.currentBuild.buildId}.zip`;
+            const objectUrl = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = objectUrl;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(objectUrl);
+        } catch (err) {
+            console.error('Download failed:', err);
+            alert(`Download failed: ${err.message}`);
+        } finally {
+            if (downloadBtn) downloadBtn.disabled = false;
+        }
+    }
+
+    openBuiltSite() {
+        const url = this.currentBuild?.urls?.site;
+        if (url) {
+            window.open(url, '_blank', 'noopener');
+        }
     }
 }
 
@@ -0,0 +1,92 @@
+/**
+ * Workspace Service Worker
+ * Keeps the workspace usable offline: the page, its styles, scripts, vendor
+ * bundles and site data are cached on install and refreshed from the network
+ * whenever it is reachable (network first, cache as fallback). API calls
+ * (validation, builds, page previews) and downloads always go to the network.
+ *
+ * Served from the site root so it may control /workspace/; registered by
+ * js/workspace/workspace.js. Bump CACHE_VERSION when PRECACHE changes.
+ */
+
+const CACHE_VERSION = 3;
+const CACHE_NAME = `twelvety-workspace-v${CACHE_VERSION}`;
+
+// The site root, including any path prefix (this file lives there)
+const BASE = new URL('./', self.location).pathname;
+
+const PRECACHE = [
+    'workspace/',
+    'site.json',
+    'search-index.json',
+    'assets/favicon.svg',
+    'assets/logo.svg',
+    'css/main.css',
+    'css/variables.css',
+    'css/base.css',
+    'css/header.css',
+    'css/content.css',
+    'css/search.css',
+    'css/workspace.css',
+    'js/theme.js',
+    'js/search.js',
+    'js/filters.js',
+    'js/vendor/lunr.js',
+    'js/vendor/js-yaml.js',
+    'js/vendor/ajv-bundle.js',
+    'js/vendor/markdown-it.js',
+    'js/vendor/codemirror.js',
+    'js/vendor/workspace-lib.js',
+    'js/workspace/workspace.js',
+    'js/workspace/fileManager.js',
+    'js/workspace/editor.js',
+    'js/workspace/formatting.js',
+    'js/workspace/preview.js',
+    'js/workspace/validator.js',
+    'js/workspace/frontmatter.js',
+    'js/workspace/frontmatterEditor.js'
+].map(path => `${BASE}${path}`);
+
+// Never served from the cache
+const NETWORK_ONLY = ['api/', 'download/', '.netlify/'].map(path => `${BASE}${path}`);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('twelvety-workspace-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (NETWORK_ONLY.some(path => url.pathname.startsWith(path))) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached || Response.error()))
+    );
+});
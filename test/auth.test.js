@@ -0,0 +1,84 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores({ AUTH_DISABLED: 'false', API_KEY_PEPPER: 'pepper' });
+after(cleanup);
+
+const { handler: build } = require('../functions/build');
+const {
+  authenticate, createApiKey, rotateApiKey, revokeApiKey, hashApiKey
+} = require('../functions/lib/auth');
+const { getApiKeyStore } = require('../functions/lib/api-key-store');
+
+function withAuthorization(value) {
+  return { headers: value === undefined ? {} : { authorization: value } };
+}
+
+async function rejection(value) {
+  const { response } = await authenticate(withAuthorization(value), {});
+  return { statusCode: response.statusCode, headers: response.headers, body: JSON.parse(response.body) };
+}
+
+test('asks for a Bearer key when the header is missing or malformed', async () => {
+  for (const value of [undefined, '', 'Bearer', 'Basic dXNlcjpwYXNz', 'Bearer two parts', 'twk_no_scheme']) {
+    const { statusCode, headers, body } = await rejection(value);
+
+    assert.equal(statusCode, 401, value);
+    assert.equal(body.code, 'missing_api_key');
+    assert.match(headers['WWW-Authenticate'], /^Bearer realm="twelvety", error="missing_api_key"$/);
+  }
+});
+
+test('rejects unknown, revoked and expired keys', async () => {
+  assert.equal((await rejection('Bearer twk_unknown')).body.code, 'invalid_api_key');
+
+  const revoked = await createApiKey('docs');
+  await revokeApiKey('docs', revoked.record.keyId);
+  assert.equal((await rejection(`Bearer ${revoked.apiKey}`)).body.code, 'revoked_api_key');
+
+  const expired = await createApiKey('docs', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.equal((await rejection(`Bearer ${expired.apiKey}`)).body.code, 'expired_api_key');
+});
+
+test('identifies the project of a valid key', async () => {
+  const { apiKey, record } = await createApiKey('docs', { label: 'ci' });
+  const { principal } = await authenticate(withAuthorization(`bearer ${apiKey}`), {});
+
+  assert.deepEqual(principal, { anonymous: false, projectId: 'docs', keyId: record.keyId });
+});
+
+test('stores keys only as peppered hashes', async () => {
+  const { apiKey, record } = await createApiKey('hashed');
+  const expected = crypto.createHmac('sha256', 'pepper').update(apiKey).digest('hex');
+
+  assert.equal(record.keyHash, expected);
+  assert.equal(hashApiKey(apiKey), expected);
+  assert.notEqual(hashApiKey(apiKey, 'other-pepper'), expected);
+  assert.equal((await getApiKeyStore().getByHash(expected)).projectId, 'hashed');
+  assert.ok(!fs.readFileSync(process.env.API_KEY_STORE_FILE, 'utf-8').includes(apiKey));
+});
+
+test('keeps rotated keys working until their grace period ends', async () => {
+  const previous = await createApiKey('rotating');
+  const rotated = await rotateApiKey('rotating', { graceSeconds: 60 });
+
+  assert.deepEqual(rotated.expiring, [previous.record.keyId]);
+  assert.ok((await authenticate(withAuthorization(`Bearer ${previous.apiKey}`), {})).principal);
+  assert.ok((await authenticate(withAuthorization(`Bearer ${rotated.apiKey}`), {})).principal);
+  assert.equal((await getApiKeyStore().getByHash(previous.record.keyHash)).expiresAt, rotated.expiresAt);
+});
+
+test('refuses keys for another project with 403', async () => {
+  const { apiKey } = await createApiKey('docs');
+  const body = { projectId: 'other', files: { 'guide.md': '---\ntitle: Guide\n---\n' } };
+
+  const forbidden = await build(postEvent('/api/build', body, { authorization: `Bearer ${apiKey}` }));
+  assert.equal(forbidden.statusCode, 403);
+  assert.equal(JSON.parse(forbidden.body).code, 'project_scope');
+
+  const anonymous = await build(postEvent('/api/build', body));
+  assert.equal(anonymous.statusCode, 401);
+});
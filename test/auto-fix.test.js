@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const matter = require('gray-matter');
+const { getValidator, normalizeFrontmatter } = require('../functions/lib/schema-registry');
+const { suggestFix, applyFixes } = require('../functions/lib/auto-fix');
+
+const validate = getValidator('frontmatter');
+
+function parse(markdown) {
+  return normalizeFrontmatter(matter(markdown).data);
+}
+
+/**
+ * Validate, apply every suggested fix, then parse the result again
+ */
+function fixDocument(markdown) {
+  const frontmatter = parse(markdown);
+  assert.equal(validate(frontmatter), false, 'the document should start out invalid');
+
+  const fixes = validate.errors.map(error => suggestFix(markdown, error, { frontmatter, schema: validate.schema }));
+  const fixed = applyFixes(markdown, fixes);
+  return { fixes, fixed, frontmatter: parse(fixed) };
+}
+
+function doc(lines) {
+  return `---\n${lines.join('\n')}\n---\n\n# Page\n`;
+}
+
+test('fixes enum, const and date errors into a valid document', () => {
+  const { fixed, frontmatter } = fixDocument(doc([
+    'title: Page',
+    'category: Doc',
+    'layout: content',
+    'dateAdded: 2024/3/7'
+  ]));
+
+  assert.equal(validate(frontmatter), true, JSON.stringify(validate.errors));
+  assert.equal(frontmatter.category, 'docs');
+  assert.equal(frontmatter.layout, 'content.njk');
+  assert.equal(frontmatter.dateAdded, '2024-03-07');
+  assert.match(fixed, /^# Page$/m);
+});
+
+test('adds missing required properties from the schema', () => {
+  const { frontmatter } = fixDocument(doc(['title: Page', 'category: docs']));
+  assert.equal(frontmatter.layout, 'content.njk');
+});
+
+test('removes duplicate tags and keeps the rest of the list', () => {
+  const { frontmatter } = fixDocument(doc([
+    'title: Page',
+    'category: docs',
+    'layout: content.njk',
+    'tags: [Getting Started, api, Getting Started]'
+  ]));
+
+  assert.deepEqual(frontmatter.tags, ['getting-started', 'api']);
+});
+
+test('leaves values without a safe fix alone', () => {
+  const markdown = doc(['title: Page', 'category: docs', 'layout: content.njk', 'dateAdded: 03/07/2024']);
+  const { fixes, fixed } = fixDocument(markdown);
+
+  assert.deepEqual(fixes, [null]);
+  assert.equal(fixed, markdown);
+});
+
+test('quotes tags that would split or change meaning in a flow list', () => {
+  const { fixes, fixed, frontmatter } = fixDocument(doc([
+    'title: Page',
+    'category: docs',
+    'layout: content.njk',
+    'tags: [Foo Bar, foo-bar, "a, b", "a, b", "@team", "@team"]'
+  ]));
+
+  assert.deepEqual(fixes[0].value, ['foo-bar', 'a,-b', '@team']);
+  assert.deepEqual(frontmatter.tags, fixes[0].value);
+  assert.match(fixed, /^tags: \[foo-bar, "a,-b", "@team"\]$/m);
+});
+
+test('replaces a whole folded or literal block scalar', () => {
+  const long = 'A description that keeps going well past the limit of one hundred and sixty characters, '
+    + 'so that the maxLength fix has to shorten it at a word boundary before it fits.';
+
+  for (const indicator of ['>', '|-', '>2']) {
+    const { fixes, fixed, frontmatter } = fixDocument(doc([
+      'title: Page',
+      'category: docs',
+      'layout: content.njk',
+      `description: ${indicator}`,
+      `  ${long.slice(0, 90)}`,
+      `  ${long.slice(90)}`,
+      'status: draft'
+    ]));
+
+    assert.equal(validate(frontmatter), true, JSON.stringify(validate.errors));
+    assert.equal(frontmatter.description, fixes[0].value);
+    assert.equal(frontmatter.status, 'draft');
+    assert.doesNotMatch(fixed, /^ {2}\S/m, 'the continuation lines are replaced too');
+  }
+});
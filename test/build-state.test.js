@@ -0,0 +1,161 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores({ RATE_LIMIT_BUILD_BURST: '20' });
+after(cleanup);
+
+const { handler: cancel } = require('../functions/build-cancel');
+const { handler: retry } = require('../functions/build-retry');
+const { getBuildProvider } = require('../functions/lib/build-provider');
+const { getBuildStore } = require('../functions/lib/build-store');
+
+async function createBuild(fields) {
+  return getBuildStore().create({
+    buildId: uuidv4(),
+    projectId: 'docs',
+    provider: 'local',
+    createdAt: new Date().toISOString(),
+    files: ['content/docs/guide.md'],
+    ...fields
+  });
+}
+
+async function call(handler, buildId, action) {
+  const response = await handler(postEvent(`/api/build/${buildId}/${action}`, ''));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('cancels queued and running builds', async () => {
+  for (const status of ['queued', 'building']) {
+    const build = await createBuild({ status });
+    const { statusCode, body } = await call(cancel, build.buildId, 'cancel');
+
+    assert.equal(statusCode, 200);
+    assert.equal(body.status, 'cancelled');
+
+    const record = await getBuildStore().get(build.buildId);
+    assert.equal(record.status, 'cancelled');
+    assert.equal(record.completedAt, body.cancelledAt);
+  }
+});
+
+test('refuses to cancel finished builds', async () => {
+  for (const status of ['completed', 'failed', 'cancelled', 'retried']) {
+    const build = await createBuild({ status });
+    const { statusCode, body } = await call(cancel, build.buildId, 'cancel');
+
+    assert.equal(statusCode, 409);
+    assert.equal(body.status, status);
+    assert.equal((await getBuildStore().get(build.buildId)).status, status);
+  }
+});
+
+test('returns 404 for unknown builds', async () => {
+  assert.equal((await call(cancel, uuidv4(), 'cancel')).statusCode, 404);
+  assert.equal((await call(retry, uuidv4(), 'retry')).statusCode, 404);
+});
+
+test('retries a finished build as a new record linked to the original', async (t) => {
+  const providerRetry = t.mock.method(getBuildProvider('local'), 'retry', async () => ({}));
+  const original = await createBuild({ status: 'failed', workingCopy: '/tmp/working-copy', title: 'Docs' });
+
+  const { statusCode, body } = await call(retry, original.buildId, 'retry');
+
+  assert.equal(statusCode, 202);
+  assert.equal(body.retryOf, original.buildId);
+  assert.equal(body.attempt, 2);
+  assert.equal(providerRetry.mock.callCount(), 1);
+
+  const store = getBuildStore();
+  const retried = await store.get(original.buildId);
+  assert.equal(retried.status, 'retried');
+  assert.equal(retried.retriedBy, body.buildId);
+
+  const build = await store.get(body.buildId);
+  assert.equal(build.status, 'queued');
+  assert.equal(build.retryOf, original.buildId);
+  assert.equal(build.title, 'Docs');
+});
+
+test('refuses to retry a build twice, while it runs, or without sources', async () => {
+  const store = getBuildStore();
+
+  const retried = await createBuild({ status: 'retried', retriedBy: 'next', workingCopy: '/tmp/working-copy' });
+  const twice = await call(retry, retried.buildId, 'retry');
+  assert.equal(twice.statusCode, 409);
+  assert.equal(twice.body.retriedBy, 'next');
+
+  const running = await createBuild({ status: 'building', workingCopy: '/tmp/working-copy' });
+  assert.equal((await call(retry, running.buildId, 'retry')).statusCode, 409);
+  assert.equal((await store.get(running.buildId)).status, 'building');
+
+  const uncommitted = await createBuild({ status: 'failed' });
+  assert.equal((await call(retry, uncommitted.buildId, 'retry')).statusCode, 409);
+  assert.equal((await store.get(uncommitted.buildId)).status, 'failed');
+});
+
+test('keeps the original retryable when the retry cannot start', async (t) => {
+  t.mock.method(getBuildProvider('local'), 'retry', async () => {
+    throw new Error('Dispatch failed');
+  });
+  const original = await createBuild({ status: 'failed', workingCopy: '/tmp/working-copy' });
+
+  const { statusCode, body } = await call(retry, original.buildId, 'retry');
+  assert.equal(statusCode, 500);
+  assert.equal(body.message, 'Dispatch failed');
+
+  const store = getBuildStore();
+  const restored = await store.get(original.buildId);
+  assert.equal(restored.status, 'failed');
+  assert.equal(restored.retriedBy, null);
+
+  const { items } = await store.list({ projectId: 'docs', status: ['failed'] });
+  const attempt = items.find(item => item.retryOf === original.buildId);
+  assert.equal(attempt.error, 'Dispatch failed');
+
+  t.mock.restoreAll();
+  t.mock.method(getBuildProvider('local'), 'retry', async () => ({}));
+  assert.equal((await call(retry, original.buildId, 'retry')).statusCode, 202);
+});
+
+test('does not copy the pull request onto the retry', async (t) => {
+  t.mock.method(getBuildProvider('local'), 'retry', async () => ({}));
+  const original = await createBuild({
+    status: 'failed',
+    workingCopy: '/tmp/working-copy',
+    pullRequest: { number: 7, state: 'open', autoMerge: true, merged: false }
+  });
+
+  const { body } = await call(retry, original.buildId, 'retry');
+  assert.equal((await getBuildStore().get(body.buildId)).pullRequest, undefined);
+});
+
+test('starts one retry when the same build is retried concurrently', async (t) => {
+  const providerRetry = t.mock.method(getBuildProvider('local'), 'retry', async () => ({}));
+  const original = await createBuild({ status: 'failed', workingCopy: '/tmp/working-copy' });
+
+  const results = await Promise.all([1, 2, 3].map(() => call(retry, original.buildId, 'retry')));
+
+  assert.deepEqual(results.map(result => result.statusCode).sort(), [202, 409, 409]);
+  assert.equal(providerRetry.mock.callCount(), 1);
+  const started = results.find(result => result.statusCode === 202).body.buildId;
+  assert.equal((await getBuildStore().get(original.buildId)).retriedBy, started);
+  assert.ok(results.filter(result => result.statusCode === 409).every(result => result.body.retriedBy === started));
+});
+
+test('keeps the result of a build that finishes while it is cancelled', async (t) => {
+  const store = getBuildStore();
+  const build = await createBuild({ status: 'building' });
+  t.mock.method(getBuildProvider('local'), 'cancel', async () => {
+    await store.update(build.buildId, { status: 'completed', notifiedAt: new Date().toISOString() });
+    return {};
+  });
+
+  const { statusCode, body } = await call(cancel, build.buildId, 'cancel');
+
+  assert.equal(statusCode, 409);
+  assert.equal(body.status, 'completed');
+  assert.equal((await store.get(build.buildId)).status, 'completed');
+});
@@ -0,0 +1,71 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores();
+after(cleanup);
+
+const { handler } = require('../functions/build');
+const { getBuildProvider } = require('../functions/lib/build-provider');
+const { getBuildStore } = require('../functions/lib/build-store');
+
+const PAGE = '---\ntitle: Page\n---\n\n# Page\n';
+
+async function submit(body) {
+  const response = await handler(postEvent('/api/build', body));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('rejects paths that are not lowercase slug .md files', async () => {
+  const { statusCode, body } = await submit({
+    projectId: 'docs',
+    files: {
+      'guide.md': PAGE,
+      '../escape.md': PAGE,
+      'Upper/Case.md': PAGE,
+      'notes.txt': PAGE,
+      'empty.md': ''
+    }
+  });
+
+  assert.equal(statusCode, 400);
+  assert.equal(body.error, 'Invalid files');
+  assert.deepEqual(body.errors.map(error => error.path), ['../escape.md', 'Upper/Case.md', 'notes.txt', 'empty.md']);
+});
+
+test('rejects the same file submitted under two spellings', async () => {
+  const { statusCode, body } = await submit({
+    projectId: 'docs',
+    files: { 'guide.md': PAGE, './guide.md': PAGE }
+  });
+
+  assert.equal(statusCode, 400);
+  assert.deepEqual(body.errors, [{ path: './guide.md', message: 'Duplicate file path' }]);
+});
+
+test('rejects an invalid projectId and an empty build', async () => {
+  assert.equal((await submit({ projectId: 'Docs!', files: { 'guide.md': PAGE } })).statusCode, 400);
+
+  const empty = await submit({ projectId: 'docs', files: {} });
+  assert.equal(empty.statusCode, 400);
+  assert.match(empty.body.error, /between 1 and 200 files/);
+});
+
+test('queues valid files under the project directory', async (t) => {
+  const start = t.mock.method(getBuildProvider('local'), 'start', async () => ({}));
+
+  const { statusCode, body } = await submit({
+    projectId: 'docs',
+    files: { 'guide.md': PAGE, 'nested/page.md': PAGE },
+    metadata: { title: 'Docs' }
+  });
+
+  assert.equal(statusCode, 202);
+  assert.deepEqual(body.files, ['content/docs/guide.md', 'content/docs/nested/page.md']);
+  assert.equal(start.mock.callCount(), 1);
+  assert.deepEqual(Object.keys(start.mock.calls[0].arguments[0].files), body.files);
+
+  const record = await getBuildStore().get(body.buildId);
+  assert.equal(record.status, 'queued');
+  assert.equal(record.fileCount, 2);
+});
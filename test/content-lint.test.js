@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { lintContent } = require('../functions/lib/content-lint');
+const site = require('../src/_data/site.json');
+
+const rules = site.contentLint;
+
+function lint(lines, options = {}) {
+  return lintContent(lines.join('\n'), { rules, ...options });
+}
+
+function keywords(issues) {
+  return issues.map(issue => `${issue.keyword}@${issue.line}`);
+}
+
+test('reports body lines with the frontmatter offset', () => {
+  const issues = lint([
+    '---',
+    'title: Getting Started',
+    'category: docs',
+    '---',
+    '',
+    '# Getting Started',
+    '',
+    '### Too deep',
+    '',
+    '![](shot.png)'
+  ], { frontmatter: { title: 'Getting Started' } });
+
+  assert.deepEqual(keywords(issues), ['heading-increment@8', 'image-alt@10']);
+  assert.deepEqual(issues[1], {
+    path: 'body',
+    message: 'Image has no alt text',
+    keyword: 'image-alt',
+    params: {},
+    severity: 'error',
+    line: 10,
+    column: 1,
+    endLine: 10,
+    endColumn: 14
+  });
+});
+
+test('counts setext headings and ignores headings in code', () => {
+  const issues = lint([
+    'Getting Started',
+    '===============',
+    '',
+    '```',
+    '# Not a heading',
+    '```',
+    '',
+    'Second title',
+    '============',
+    '',
+    'Section',
+    '-------'
+  ], { frontmatter: { title: 'Getting started' } });
+
+  assert.deepEqual(keywords(issues), ['single-h1@8']);
+});
+
+test('checks the H1 against the title and the missing H1 at the body start', () => {
+  const mismatch = lint(['---', 'title: Install', '---', '# Setup *guide*'], { frontmatter: { title: 'Install' } });
+  assert.deepEqual(keywords(mismatch), ['h1-matches-title@4']);
+  assert.match(mismatch[0].message, /H1 "Setup guide" does not match title "Install"/);
+
+  const missing = lint(['---', 'title: Install', '---', '', 'Text only.'], { frontmatter: { title: 'Install' } });
+  assert.deepEqual(keywords(missing), ['single-h1@4']);
+});
+
+test('applies configured severities and turns rules off', () => {
+  const markdown = ['# Page', '', '<div>raw</div> and [](/empty)', '', '`<span>` is code'];
+
+  assert.deepEqual(
+    lint(markdown).map(issue => [issue.keyword, issue.severity]),
+    [['no-html', 'warning'], ['empty-link', 'error']]
+  );
+  assert.deepEqual(lint(markdown, { rules: { ...rules, 'no-html': 'off', 'empty-link': 'warning' } }).map(issue => [issue.keyword, issue.severity]), [['empty-link', 'warning']]);
+});
+
+test('limits body lines and words', () => {
+  const issues = lint(['---', 'title: Page', '---', '# Page', 'one two', 'three four'], {
+    rules: { 'max-lines': { severity: 'error', max: 2 }, 'max-words': { severity: 'warning', max: 3 } }
+  });
+
+  assert.deepEqual(keywords(issues), ['max-words@5', 'max-lines@6']);
+  assert.deepEqual(issues[1].params, { max: 2, count: 3 });
+});
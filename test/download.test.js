@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { test, after } = require('node:test');
+const AWS = require('aws-sdk');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { useTempStores } = require('./helpers');
+
+const cleanup = useTempStores({ DOWNLOAD_MAX_BYTES: String(5 * 1024 * 1024) });
+const outputRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'twelvety-output-'));
+after(() => {
+  cleanup();
+  fs.rmSync(outputRoot, { recursive: true, force: true });
+});
+
+const { handler } = require('../functions/download');
+const { getBuildStore } = require('../functions/lib/build-store');
+
+/**
+ * A completed build whose output holds `files` (name → content)
+ */
+async function buildWithOutput(files, fields = {}) {
+  const buildId = uuidv4();
+  const outputDir = path.join(outputRoot, buildId);
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(outputDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, name), content);
+  }
+
+  return getBuildStore().create({
+    buildId,
+    projectId: 'docs',
+    status: 'completed',
+    createdAt: new Date().toISOString(),
+    completedAt: new Date().toISOString(),
+    outputDir,
+    ...fields
+  });
+}
+
+function download(buildId, format) {
+  return handler({
+    httpMethod: 'GET',
+    path: `/download/${buildId}`,
+    headers: {},
+    queryStringParameters: format ? { format } : {}
+  });
+}
+
+function leftoverTempFiles(buildId) {
+  return fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`twelvety-download-${buildId}`));
+}
+
+test('returns small archives in the response body', async () => {
+  const build = await buildWithOutput({ 'index.html': '<h1>Home</h1>', 'docs/guide/index.html': '<h1>Guide</h1>' });
+
+  for (const [format, magic] of [['zip', 'PK'], ['tar.gz', '\x1f\x8b']]) {
+    const response = await download(build.buildId, format);
+    const archive = Buffer.from(response.body, 'base64');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.isBase64Encoded, true);
+    assert.equal(response.headers['Content-Length'], String(archive.length));
+    assert.equal(archive.subarray(0, 2).toString('latin1'), magic);
+  }
+  assert.deepEqual(leftoverTempFiles(build.buildId), []);
+});
+
+test('refuses archives too large for the response body without a bucket', async () => {
+  const build = await buildWithOutput({ 'video.bin': crypto.randomBytes(4.5 * 1024 * 1024) });
+  const response = await download(build.buildId);
+
+  assert.equal(response.statusCode, 413);
+  assert.match(JSON.parse(response.body).error, /AWS_BUCKET_NAME/);
+  assert.deepEqual(leftoverTempFiles(build.buildId), []);
+});
+
+test('refuses output over DOWNLOAD_MAX_BYTES before archiving it', async () => {
+  const build = await buildWithOutput({ 'a.bin': Buffer.alloc(3 * 1024 * 1024), 'b.bin': Buffer.alloc(3 * 1024 * 1024) });
+  const response = await download(build.buildId);
+
+  assert.equal(response.statusCode, 413);
+  assert.deepEqual(JSON.parse(response.body), {
+    error: 'Build output is too large to download',
+    size: 6 * 1024 * 1024,
+    limit: 5 * 1024 * 1024
+  });
+});
+
+test('reports missing output and unfinished builds', async () => {
+  const missing = await buildWithOutput({});
+  assert.equal((await download(missing.buildId)).statusCode, 404);
+
+  const running = await buildWithOutput({ 'index.html': '' }, { status: 'building' });
+  assert.equal((await download(running.buildId)).statusCode, 409);
+});
+
+/**
+ * An S3 client over `objects` (key → Buffer) that records uploads and how
+ * many object streams are open at once
+ */
+function fakeS3(objects) {
+  const s3 = { open: 0, maxOpen: 0, uploads: {}, listed: 0 };
+  const request = result => ({ promise: async () => result() });
+
+  Object.assign(s3, {
+    listObjectsV2: ({ Prefix }) => request(() => {
+      s3.listed++;
+      const keys = Object.keys(objects).filter(key => key.startsWith(Prefix));
+      return { Contents: keys.map(Key => ({ Key, Size: objects[Key].length })), IsTruncated: false };
+    }),
+    getObject: ({ Key }) => ({
+      promise: () => { throw new Error('Objects must be streamed'); },
+      createReadStream: () => {
+        s3.open++;
+        s3.maxOpen = Math.max(s3.maxOpen, s3.open);
+        const chunks = [objects[Key].subarray(0, 4), objects[Key].subarray(4)];
+        return Readable.from(chunks).on('end', () => { s3.open--; });
+      }
+    }),
+    headObject: ({ Key }) => request(() => {
+      if (!objects[Key]) throw Object.assign(new Error('Not Found'), { code: 'NotFound' });
+      return {};
+    }),
+    upload: ({ Key, Body }) => request(async () => {
+      const chunks = [];
+      for await (const chunk of Body) chunks.push(chunk);
+      objects[Key] = s3.uploads[Key] = Buffer.concat(chunks);
+      return {};
+    }),
+    getSignedUrlPromise: async (operation, { Key }) => `https://bucket.example.com/${Key}?signed`
+  });
+  return s3;
+}
+
+test('streams S3 output into an archive stored in the bucket', async (t) => {
+  t.after(() => { delete process.env.AWS_BUCKET_NAME; });
+  process.env.AWS_BUCKET_NAME = 'twelvety-archives';
+
+  const build = await buildWithOutput({}, { outputDir: undefined });
+  const prefix = `archives/docs/${build.buildId}/`;
+  const s3 = fakeS3({
+    [`${prefix}index.html`]: Buffer.from('<h1>Home from S3</h1>'),
+    [`${prefix}docs/guide/index.html`]: Buffer.from('<h1>Guide from S3</h1>'),
+    [`${prefix}search-index.json`]: Buffer.from('{"documents":[]}')
+  });
+  t.mock.method(AWS, 'S3', function () { return s3; });
+
+  const response = await download(build.buildId, 'tar.gz');
+  const downloadKey = `downloads/docs/${build.buildId}.tar.gz`;
+
+  assert.equal(response.statusCode, 302);
+  assert.equal(response.headers.Location, `https://bucket.example.com/${downloadKey}?signed`);
+  assert.equal(s3.maxOpen, 1);
+
+  const tar = zlib.gunzipSync(s3.uploads[downloadKey]).toString('latin1');
+  for (const [name, content] of [['index.html', 'Home from S3'], ['docs/guide/index.html', 'Guide from S3']]) {
+    assert.ok(tar.includes(name), name);
+    assert.ok(tar.includes(content), content);
+  }
+  assert.deepEqual(leftoverTempFiles(build.buildId), []);
+
+  // The stored archive is reused
+  assert.equal((await download(build.buildId, 'tar.gz')).statusCode, 302);
+  assert.equal(s3.listed, 1);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const matter = require('gray-matter');
+const { getValidator, normalizeFrontmatter } = require('../functions/lib/schema-registry');
+const { locateError, locateYamlError } = require('../functions/lib/error-locations');
+
+const validate = getValidator('frontmatter');
+
+function doc(lines) {
+  return `---\n${lines.join('\n')}\n---\n\n# Page\n`;
+}
+
+/**
+ * Validate a document and locate the error at `instancePath`
+ */
+function locate(markdown, instancePath, keyword) {
+  const frontmatter = normalizeFrontmatter(matter(markdown).data);
+  assert.equal(validate(frontmatter), false, 'the document should be invalid');
+
+  const error = validate.errors.find(e => e.instancePath === instancePath && (!keyword || e.keyword === keyword));
+  assert.ok(error, `no ${keyword || ''} error at "${instancePath}": ${JSON.stringify(validate.errors)}`);
+  return locateError(markdown, error);
+}
+
+test('points at the value of the failing property', () => {
+  const markdown = doc(['title: Page', 'category: Doc   # comment', 'layout: content.njk']);
+
+  assert.deepEqual(locate(markdown, '/category', 'enum'), {
+    line: 3,
+    column: 11,
+    endLine: 3,
+    endColumn: 14
+  });
+});
+
+test('points at items of flow and block lists', () => {
+  const flow = doc(['title: Page', 'category: docs', 'layout: content.njk', 'audience: [developers, "robots"]']);
+  assert.deepEqual(locate(flow, '/audience/1'), { line: 5, column: 24, endLine: 5, endColumn: 32 });
+
+  const block = doc(['title: Page', 'category: docs', 'layout: content.njk', 'audience:', '  - developers', '  - robots']);
+  assert.deepEqual(locate(block, '/audience/1'), { line: 7, column: 5, endLine: 7, endColumn: 11 });
+});
+
+test('points at the key of unknown properties and the opening fence for missing ones', () => {
+  const markdown = doc(['title: Page', 'category: docs', 'colour: red']);
+
+  assert.deepEqual(
+    locateError(markdown, { instancePath: '', keyword: 'additionalProperties', params: { additionalProperty: 'colour' } }),
+    { line: 4, column: 1, endLine: 4, endColumn: 7 }
+  );
+  assert.deepEqual(locate(markdown, '', 'required'), { line: 1, column: 1, endLine: 1, endColumn: 4 });
+});
+
+test('maps YAML syntax errors to the line they occur on', () => {
+  const markdown = doc(['title: Page', 'category: [docs', 'layout: content.njk']);
+
+  let error;
+  try {
+    matter(markdown);
+  } catch (err) {
+    error = err;
+  }
+  assert.ok(error?.mark, 'gray-matter should throw a YAML error with a mark');
+
+  const location = locateYamlError(markdown, error);
+  assert.ok(location.line >= 3 && location.line <= 5, `unexpected line ${location.line}`);
+  assert.ok(location.column >= 1 && location.endColumn > location.column);
+});
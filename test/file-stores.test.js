@@ -0,0 +1,77 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempStores } = require('./helpers');
+
+const cleanup = useTempStores();
+after(cleanup);
+
+const { FileBuildStore } = require('../functions/lib/build-store');
+const { FileWebhookStore } = require('../functions/lib/webhook-store');
+const { FileApiKeyStore } = require('../functions/lib/api-key-store');
+
+const COUNT = 20;
+const indexes = Array.from({ length: COUNT }, (_, index) => index);
+
+test('concurrent build record updates all land', async () => {
+  const directory = process.env.BUILD_STORE_DIR;
+  const store = new FileBuildStore({ directory });
+  await store.create({ buildId: 'concurrent', status: 'queued' });
+
+  await Promise.all(indexes.map(index => store.update('concurrent', { [`field${index}`]: index })));
+
+  const record = await store.get('concurrent');
+  indexes.forEach(index => assert.equal(record[`field${index}`], index));
+  assert.deepEqual(fs.readdirSync(directory), ['concurrent.json']);
+});
+
+test('concurrent webhook deliveries are all recorded', async () => {
+  const store = new FileWebhookStore({ file: process.env.WEBHOOK_STORE_FILE });
+  const createdAt = new Date().toISOString();
+
+  await Promise.all(indexes.map(index => store.createDelivery({
+    deliveryId: `delivery-${index}`, projectId: 'docs', status: 'pending', createdAt
+  })));
+  await Promise.all(indexes.map(index => store.updateDelivery(`delivery-${index}`, { status: 'delivered' })));
+
+  const deliveries = await store.listDeliveries({ projectId: 'docs', limit: COUNT * 2 });
+  assert.equal(deliveries.length, COUNT);
+  assert.ok(deliveries.every(delivery => delivery.status === 'delivered'));
+  assert.equal(fs.statSync(process.env.WEBHOOK_STORE_FILE).mode & 0o777, 0o600);
+});
+
+test('concurrent API key writes are all kept', async () => {
+  const store = new FileApiKeyStore({ file: process.env.API_KEY_STORE_FILE });
+
+  await Promise.all(indexes.map(index => store.create({ keyHash: `hash-${index}`, projectId: 'docs' })));
+  await Promise.all(indexes.map(index => store.update(`hash-${index}`, { lastUsedAt: String(index) })));
+
+  const keys = await store.listByProject('docs');
+  assert.equal(keys.length, COUNT);
+  assert.ok(keys.every(key => key.lastUsedAt === key.keyHash.replace('hash-', '')));
+  assert.deepEqual(
+    fs.readdirSync(path.dirname(process.env.API_KEY_STORE_FILE)).filter(name => name.endsWith('.tmp')),
+    []
+  );
+});
+
+test('lists the builds of a project newest first, a page at a time', async () => {
+  const store = new FileBuildStore({ directory: process.env.BUILD_STORE_DIR });
+  for (const [buildId, projectId, createdAt] of [
+    ['first', 'docs', '2024-01-01T00:00:00.000Z'],
+    ['second', 'docs', '2024-01-02T00:00:00.000Z'],
+    ['third', 'docs', '2024-01-03T00:00:00.000Z'],
+    ['other', 'blog', '2024-01-04T00:00:00.000Z']
+  ]) {
+    await store.create({ buildId, projectId, status: 'queued', createdAt });
+  }
+
+  const page = await store.list({ projectId: 'docs', limit: 2 });
+  assert.deepEqual(page.items.map(record => record.buildId), ['third', 'second']);
+
+  const next = await store.list({ projectId: 'docs', limit: 2, cursor: page.nextCursor });
+  assert.deepEqual(next.items.map(record => record.buildId), ['first']);
+  assert.equal(next.nextCursor, null);
+  assert.equal(await store.update('missing', { status: 'failed' }), null);
+});
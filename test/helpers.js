@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test Helpers
+ *
+ * Each test file runs in its own process, so the environment is set up
+ * before the functions are required: file and memory stores in a fresh
+ * temporary directory, the local build provider and no authentication.
+ * Returns a cleanup function that removes the directory.
+ */
+function useTempStores(env = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'twelvety-test-'));
+
+  Object.assign(process.env, {
+    AUTH_DISABLED: 'true',
+    BUILD_PROVIDER: 'local',
+    BUILD_STORE: 'file',
+    BUILD_STORE_DIR: path.join(directory, 'builds'),
+    WEBHOOK_STORE: 'file',
+    WEBHOOK_STORE_FILE: path.join(directory, 'webhooks.json'),
+    API_KEY_STORE: 'file',
+    API_KEY_STORE_FILE: path.join(directory, 'api-keys.json'),
+    RATE_LIMIT_STORE: 'memory',
+    LOCAL_BUILD_DIR: path.join(directory, 'local-builds')
+  }, env);
+
+  return () => fs.rmSync(directory, { recursive: true, force: true });
+}
+
+/**
+ * A Netlify function event for a JSON POST.
+ */
+function postEvent(eventPath, body, headers = {}) {
+  return {
+    httpMethod: 'POST',
+    path: eventPath,
+    headers: { host: 'localhost:8888', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  };
+}
+
+module.exports = { useTempStores, postEvent };
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, sanitizeOptions } = require('../functions/lib/html-sanitizer');
+
+test('keeps allowed markup', () => {
+  const html = '<h2 id="intro">Intro</h2><p>Some <strong>bold</strong> and <a href="/docs/">a link</a>.</p>';
+  assert.equal(sanitizeHtml(html), html);
+});
+
+test('removes scripts and styles with their content', () => {
+  assert.equal(
+    sanitizeHtml('<p>Before</p><script>alert(1)</script><style>p { color: red }</style><p>After</p>'),
+    '<p>Before</p><p>After</p>'
+  );
+});
+
+test('keeps the text of unknown elements', () => {
+  assert.equal(sanitizeHtml('<p><blink>Hello</blink> <marquee>world</marquee></p>'), '<p>Hello world</p>');
+});
+
+test('drops event handlers, style and unknown attributes', () => {
+  assert.equal(
+    sanitizeHtml('<p onclick="alert(1)" style="color: red" data-x="1" class="note">Text</p>'),
+    '<p class="note">Text</p>'
+  );
+  assert.equal(sanitizeHtml('<img src="/a.png" onerror="alert(1)" alt="A">'), '<img src="/a.png" alt="A">');
+});
+
+test('drops unsafe URLs, including entity-encoded ones', () => {
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(sanitizeHtml('<a href="java&#115;cript:alert(1)">x</a>'), '<a>x</a>');
+  assert.equal(sanitizeHtml('<img src="data:text/html,<script>">'), '<img>');
+  assert.equal(sanitizeHtml('<a href="mailto:team@example.com">x</a>'), '<a href="mailto:team@example.com">x</a>');
+});
+
+test('only keeps iframes from allowed https origins', () => {
+  const embed = '<iframe src="https://www.youtube.com/embed/abc"></iframe>';
+  assert.equal(sanitizeHtml(embed), '');
+  assert.equal(sanitizeHtml(embed, { iframeOrigins: ['https://www.youtube.com'] }), embed);
+  assert.equal(
+    sanitizeHtml('<iframe src="http://www.youtube.com/embed/abc"></iframe>', { iframeOrigins: ['https://www.youtube.com'] }),
+    ''
+  );
+});
+
+test('resolves iframe origins from the sanitize config', () => {
+  const options = sanitizeOptions({ iframeOrigins: ['https://player.vimeo.com'] });
+  assert.deepEqual(options.iframeOrigins, ['https://player.vimeo.com']);
+});
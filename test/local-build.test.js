@@ -0,0 +1,76 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores({ LOCAL_BUILD_SOURCE: path.join(__dirname, '..') });
+after(cleanup);
+
+const { handler: cancel } = require('../functions/build-cancel');
+const { getBuildProvider } = require('../functions/lib/build-provider');
+const { getBuildStore } = require('../functions/lib/build-store');
+const { renderPage } = require('../functions/lib/page-preview');
+
+const PAGE = '---\ntitle: Local\nlayout: content.njk\n---\n\n# Local\n';
+
+async function waitFor(check) {
+  while (!await check()) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function build(buildId, files) {
+  await getBuildStore().create({ buildId, projectId: 'docs', status: 'queued', files: Object.keys(files) });
+  await getBuildProvider('local').run({ buildId, files });
+  return getBuildStore().get(buildId);
+}
+
+test('builds in the working copy without changing the server directory', async (t) => {
+  const chdir = t.mock.method(process, 'chdir');
+  const cwd = process.cwd();
+  const [record, html] = await Promise.all([
+    build('local-build', { 'content/docs/local.md': PAGE }),
+    renderPage('---\ntitle: Preview\n---\n\n# Preview\n')
+  ]);
+
+  assert.equal(record.status, 'completed', record.error);
+  assert.ok(fs.existsSync(path.join(record.outputDir, 'docs/local/index.html')));
+  assert.match(html, /<h1[^>]*>Preview<\/h1>/);
+  assert.equal(chdir.mock.callCount(), 0);
+  assert.equal(process.cwd(), cwd);
+});
+
+test('records the Eleventy error when a build fails', async () => {
+  const record = await build('broken-build', {
+    'content/docs/broken.md': '---\ntitle: Broken\nlayout: missing.njk\n---\n\n# Broken\n'
+  });
+
+  assert.equal(record.status, 'failed');
+  assert.match(record.error, /^Eleventy failed: .*layout that does not exist: missing\.njk/);
+  assert.doesNotMatch(record.error, /stack trace|\[11ty\]/);
+});
+
+test('cancelling stops the running build and drops the queued one', async () => {
+  const provider = getBuildProvider('local');
+  const store = getBuildStore();
+  for (const buildId of ['running-build', 'waiting-build']) {
+    await store.create({ buildId, projectId: 'docs', provider: 'local', status: 'queued', files: ['content/docs/local.md'] });
+    await provider.start({ buildId, files: { 'content/docs/local.md': PAGE } });
+  }
+
+  await waitFor(async () => (await store.get('running-build')).status === 'building');
+  for (const buildId of ['running-build', 'waiting-build']) {
+    assert.equal((await cancel(postEvent(`/api/build/${buildId}/cancel`, ''))).statusCode, 200);
+  }
+  await waitFor(() => provider.jobs.size === 0);
+
+  const running = await store.get('running-build');
+  const waiting = await store.get('waiting-build');
+  assert.equal(running.status, 'cancelled');
+  assert.equal(running.outputDir, undefined);
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.ok(!fs.existsSync(path.join(process.env.LOCAL_BUILD_DIR, 'running-build/_site/docs/local/index.html')));
+  assert.equal(waiting.status, 'cancelled');
+  assert.equal(waiting.startedAt, undefined);
+});
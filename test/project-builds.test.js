@@ -0,0 +1,53 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores } = require('./helpers');
+
+const cleanup = useTempStores();
+after(cleanup);
+
+const { handler } = require('../functions/project-builds');
+const { getBuildStore } = require('../functions/lib/build-store');
+
+async function history(projectId, query = {}) {
+  const response = await handler({
+    httpMethod: 'GET',
+    path: `/api/projects/${projectId}/builds`,
+    headers: { host: 'localhost:8888' },
+    queryStringParameters: query
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('lists the builds of a project newest first, filtered and a page at a time', async () => {
+  const store = getBuildStore();
+  for (const [buildId, status, createdAt] of [
+    ['jan-1', 'completed', '2024-01-01T10:00:00.000Z'],
+    ['jan-15', 'failed', '2024-01-15T10:00:00.000Z'],
+    ['jan-31', 'completed', '2024-01-31T23:00:00.000Z'],
+    ['feb-1', 'completed', '2024-02-01T10:00:00.000Z']
+  ]) {
+    await store.create({ buildId, projectId: 'docs', status, createdAt });
+  }
+  await store.create({ buildId: 'other', projectId: 'blog', status: 'completed', createdAt: '2024-01-20T10:00:00.000Z' });
+
+  const { statusCode, body } = await history('docs', { status: 'completed', from: '2024-01-01', to: '2024-01-31', limit: '1' });
+
+  assert.equal(statusCode, 200);
+  assert.deepEqual(body.builds.map(build => build.buildId), ['jan-31']);
+  assert.equal(body.builds[0].pollingUrl, 'https://localhost:8888/api/build/jan-31/status');
+
+  const next = await history('docs', Object.fromEntries(new URL(body.pagination.nextUrl).searchParams));
+  assert.deepEqual(next.body.builds.map(build => build.buildId), ['jan-1']);
+  assert.equal(next.body.pagination.nextCursor, null);
+});
+
+test('rejects unknown statuses, bad dates and out-of-range limits', async () => {
+  const { statusCode, body } = await history('docs', { status: 'done', from: 'yesterday', to: '2024-01-01', limit: '500' });
+
+  assert.equal(statusCode, 400);
+  assert.equal(body.details.length, 3);
+  assert.match(body.details.join('\n'), /Unknown status: done/);
+
+  const reversed = await history('docs', { from: '2024-02-01', to: '2024-01-01' });
+  assert.deepEqual(reversed.body.details, ['from must not be after to']);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describePullRequest } = require('../functions/lib/pull-request');
+
+function describe(files) {
+  return describePullRequest({
+    buildId: 'build-1',
+    projectId: 'docs',
+    title: 'Docs',
+    files,
+    metadata: { author: 'writer@example.com' },
+    autoMerge: false
+  });
+}
+
+function titleCell(body, filePath) {
+  const row = body.split('\n').find(line => line.startsWith(`| \`${filePath}\``));
+  return row.split(' | ').slice(1).join(' | ').replace(/ \|$/, '');
+}
+
+test('lists each file with its title', () => {
+  const { title, body } = describe({
+    'content/docs/guide.md': '---\ntitle: Guide | Intro\n---\n# Guide\n',
+    'content/docs/untitled.md': '# Untitled\n'
+  });
+
+  assert.equal(title, 'Publish docs: Docs');
+  assert.equal(titleCell(body, 'content/docs/guide.md'), 'Guide \\| Intro');
+  assert.equal(titleCell(body, 'content/docs/untitled.md'), '—');
+});
+
+test('describes files whose title is not a string', () => {
+  const { body } = describe({
+    'content/docs/number.md': '---\ntitle: 123\n---\n',
+    'content/docs/zero.md': '---\ntitle: 0\n---\n',
+    'content/docs/date.md': '---\ntitle: 2024-01-01\n---\n',
+    'content/docs/list.md': '---\ntitle: [a, b]\n---\n'
+  });
+
+  assert.equal(titleCell(body, 'content/docs/number.md'), '123');
+  assert.equal(titleCell(body, 'content/docs/zero.md'), '0');
+  assert.equal(titleCell(body, 'content/docs/date.md'), '2024-01-01');
+  assert.equal(titleCell(body, 'content/docs/list.md'), 'a,b');
+  assert.match(body, /files do not match the frontmatter schema/);
+});
@@ -0,0 +1,66 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores({ BUILD_QUOTA_MONTHLY: '2', RATE_LIMIT_BUILD_BURST: '20' });
+after(cleanup);
+
+const { handler } = require('../functions/build');
+const { getBuildProvider } = require('../functions/lib/build-provider');
+const { getBuildQuota, MemoryCounterStore, DynamoCounterStore } = require('../functions/lib/rate-limit');
+
+const PAGE = '---\ntitle: Page\n---\n\n# Page\n';
+
+async function submit(projectId) {
+  const response = await handler(postEvent('/api/build', { projectId, files: { 'guide.md': PAGE } }));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('memory reservations stop at the limit and can be released', async () => {
+  const counters = new MemoryCounterStore();
+  const results = await Promise.all([1, 2, 3].map(() => counters.reserve('quota', { limit: 2 })));
+
+  assert.deepEqual(results, [1, 2, null]);
+  await counters.release('quota');
+  assert.equal(await counters.get('quota'), 1);
+  assert.equal(await counters.reserve('quota', { limit: 2 }), 2);
+});
+
+test('concurrent builds cannot exceed the monthly quota', async (t) => {
+  t.mock.method(getBuildProvider('local'), 'start', async () => ({}));
+
+  const results = await Promise.all([1, 2, 3].map(() => submit('concurrent')));
+
+  assert.deepEqual(results.map(result => result.statusCode).sort(), [202, 202, 429]);
+  assert.equal(results.find(result => result.statusCode === 429).body.code, 'quota_exceeded');
+  assert.equal((await getBuildQuota('concurrent')).used, 2);
+});
+
+test('a build that fails to start gives its quota slot back', async (t) => {
+  const start = t.mock.method(getBuildProvider('local'), 'start', async () => {
+    throw new Error('Provider unavailable');
+  });
+
+  assert.equal((await submit('released')).statusCode, 500);
+  assert.equal((await getBuildQuota('released')).used, 0);
+
+  start.mock.mockImplementation(async () => ({}));
+  assert.equal((await submit('released')).statusCode, 202);
+  assert.equal((await submit('released')).statusCode, 202);
+  assert.equal((await submit('released')).statusCode, 429);
+});
+
+test('a DynamoDB bucket that stays contended limits the request instead of failing', async () => {
+  const counters = new DynamoCounterStore({ tableName: 'rate-limits', region: 'us-east-1' });
+  const conflict = Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+  let puts = 0;
+  counters.client = {
+    get: () => ({ promise: async () => ({ Item: { tokens: 3, updatedAt: Date.now() } }) }),
+    put: () => ({ promise: async () => { puts++; throw conflict; } })
+  };
+
+  const result = await counters.takeToken('rate:build:key:1', { capacity: 5, refillPerSecond: 1 });
+
+  assert.equal(puts, 4);
+  assert.deepEqual(result, { allowed: false, remaining: 0, retryAfter: 1 });
+});
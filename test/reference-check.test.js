@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkReferences } = require('../functions/lib/reference-check');
+
+/**
+ * A project file; `frontmatter` is written into the content as well so
+ * issue locations point at real lines.
+ */
+function page(path, body, frontmatter = {}) {
+  const yaml = Object.entries(frontmatter).map(([key, value]) => `${key}: ${value}`);
+  return {
+    path,
+    content: ['---', 'title: Page', ...yaml, '---', '', body].join('\n'),
+    frontmatter: { title: 'Page', ...frontmatter }
+  };
+}
+
+function keywords(results) {
+  return Object.fromEntries(Object.entries(results)
+    .map(([path, issues]) => [path, issues.map(issue => issue.keyword)]));
+}
+
+test('resolves relative links from nested pages the way a browser does', () => {
+  const results = checkReferences([
+    page('index.md', '# Home\n\n[Intro](guides/intro/)'),
+    page('guides/intro.md', [
+      '# Intro',
+      '[Setup](../setup/) [Home](../../) [Anchor](#top) [External](https://example.com/x)',
+      '[Source](setup.md)',
+      '[Absolute source](/docs/guides/setup.md)'
+    ].join('\n')),
+    page('guides/setup.md', '# Setup\n\n![Diagram](../diagram.png) ![Missing](missing.png)'),
+    { path: 'guides/diagram.png', content: '', frontmatter: {} }
+  ], { projectId: 'docs', site: { pages: ['/'], assets: [] } });
+
+  assert.deepEqual(keywords(results), {
+    'index.md': [],
+    'guides/intro.md': ['broken-link', 'broken-link'],
+    'guides/setup.md': ['broken-image'],
+    'guides/diagram.png': []
+  });
+
+  const [relative, absolute] = results['guides/intro.md'];
+  assert.equal(relative.params.target, '/docs/guides/intro/setup.md');
+  assert.equal(relative.line, 7);
+  assert.doesNotMatch(relative.message, /instead/);
+  assert.match(absolute.message, /link to the page URL \/docs\/guides\/setup\/ instead/);
+  assert.equal(results['guides/setup.md'][0].params.target, '/docs/guides/setup/missing.png');
+});
+
+test('leaves images outside the project alone when site assets are unknown', () => {
+  const results = checkReferences([page('index.md', '# Home\n\n![Logo](/img/logo.png)')], { site: { assets: null } });
+  assert.deepEqual(results, { 'index.md': [] });
+});
+
+test('reports parent cycles on every page in the loop', () => {
+  const results = checkReferences([
+    page('a.md', '# A', { parent: 'b' }),
+    page('b.md', '# B', { parent: 'c' }),
+    page('c.md', '# C', { parent: 'a' })
+  ]);
+
+  assert.deepEqual(keywords(results), { 'a.md': ['parent-cycle'], 'b.md': ['parent-cycle'], 'c.md': ['parent-cycle'] });
+  assert.match(results['a.md'][0].message, /a → b → c → a/);
+  assert.equal(results['a.md'][0].line, 3);
+});
+
+test('requires parents to name exactly one page', () => {
+  const results = checkReferences([
+    page('index.md', '# Home\n\n[Guide](guides/setup/) [API](api/setup/)'),
+    page('guides/setup.md', '# Setup'),
+    page('api/setup.md', '# Setup'),
+    page('ambiguous.md', '# Ambiguous', { parent: 'setup' }),
+    page('full-slug.md', '# Full slug', { parent: 'guides/setup' }),
+    page('site-page.md', '# Site page', { parent: '/docs/quick-start/' }),
+    page('unknown.md', '# Unknown', { parent: 'nowhere' })
+  ], { projectId: 'docs', site: { pages: ['/docs/quick-start/'] } });
+
+  assert.deepEqual(results['full-slug.md'], []);
+  assert.deepEqual(results['site-page.md'], []);
+  assert.deepEqual(keywords(results)['ambiguous.md'], ['broken-parent']);
+  assert.match(results['ambiguous.md'][0].message, /matches several pages/);
+  assert.match(results['unknown.md'][0].message, /"nowhere" does not match any page/);
+});
+
+test('warns about pages nothing links to', () => {
+  const files = [
+    page('index.md', '# Home\n\n[Linked](linked/)'),
+    page('linked.md', '# Linked\n\n[Self](../linked/)'),
+    page('child.md', '# Child', { parent: 'linked' }),
+    page('lonely.md', '# Lonely\n\n[Home](../)')
+  ];
+  const results = checkReferences(files);
+
+  assert.deepEqual(keywords(results), { 'index.md': [], 'linked.md': [], 'child.md': [], 'lonely.md': ['orphan-page'] });
+  assert.equal(results['lonely.md'][0].severity, 'warning');
+  assert.deepEqual(checkReferences([page('lonely.md', '# Lonely')]), { 'lonely.md': [] });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores } = require('./helpers');
+
+const schemaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twelvety-schemas-'));
+fs.writeFileSync(path.join(schemaDir, 'frontmatter@0.9.0.json'), JSON.stringify({ type: 'object' }));
+
+const cleanup = useTempStores({
+  SCHEMA_DIR: schemaDir,
+  SCHEMA_REMOTE_ALLOWLIST: 'https://schemas.example.com/twelvety, https://cdn.example.com/shared/'
+});
+after(() => {
+  cleanup();
+  fs.rmSync(schemaDir, { recursive: true, force: true });
+});
+
+const { handler } = require('../functions/schemas');
+const { isRemoteSchemaAllowed } = require('../functions/lib/schema-registry');
+const siteData = require('../src/_data/site.json');
+
+function get(ref, headers = {}) {
+  return handler({ httpMethod: 'GET', path: `/api/schemas/${encodeURIComponent(ref)}`, headers });
+}
+
+test('caches pinned schema files indefinitely', async () => {
+  const response = await get('frontmatter@0.9.0');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Cache-Control'], 'public, max-age=31536000, immutable');
+  assert.deepEqual(JSON.parse(response.body).schema, { type: 'object' });
+});
+
+test('revalidates schemas that come from site.json', async () => {
+  for (const ref of [`frontmatter@${siteData.frontmatterSchemaVersion}`, 'frontmatter', 'frontmatter-docs']) {
+    const response = await get(ref);
+
+    assert.equal(response.statusCode, 200, ref);
+    assert.equal(response.headers['Cache-Control'], 'public, max-age=300', ref);
+    assert.match(response.headers.ETag, /^"[0-9a-f]+"$/);
+    assert.equal(JSON.parse(response.body).source, undefined);
+
+    const revalidated = await get(ref, { 'if-none-match': response.headers.ETag });
+    assert.equal(revalidated.statusCode, 304);
+    assert.equal(revalidated.body, '');
+  }
+});
+
+test('matches allowlisted schema paths by whole segments', () => {
+  assert.equal(isRemoteSchemaAllowed('https://schemas.example.com/twelvety'), true);
+  assert.equal(isRemoteSchemaAllowed('https://schemas.example.com/twelvety/page.json'), true);
+  assert.equal(isRemoteSchemaAllowed('https://cdn.example.com/shared/page.json'), true);
+
+  assert.equal(isRemoteSchemaAllowed('https://schemas.example.com/twelvety-private/page.json'), false);
+  assert.equal(isRemoteSchemaAllowed('https://schemas.example.com/twelvetyx.json'), false);
+  assert.equal(isRemoteSchemaAllowed('https://cdn.example.com/shared-other/page.json'), false);
+  assert.equal(isRemoteSchemaAllowed('https://schemas.example.com/twelvety/../admin.json'), false);
+  assert.equal(isRemoteSchemaAllowed('http://schemas.example.com/twelvety/page.json'), false);
+  assert.equal(isRemoteSchemaAllowed('https://schemas.example.com.evil.test/twelvety/page.json'), false);
+});
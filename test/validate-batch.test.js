@@ -0,0 +1,78 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores();
+after(cleanup);
+
+const { handler } = require('../functions/validate-batch');
+
+function page(title, body = '') {
+  return `---\ntitle: ${title}\ncategory: docs\nlayout: content.njk\n---\n\n# ${title}\n${body}`;
+}
+
+async function validate(body) {
+  const response = await handler(postEvent('/api/validate/batch', body));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('validates every file and summarizes the batch', async () => {
+  const { statusCode, body } = await validate({
+    files: {
+      'setup.md': page('Setup'),
+      'broken.md': '---\ntitle: Broken\ncategory: Doc\nlayout: content.njk\n---\n\n# Broken\n'
+    }
+  });
+
+  assert.equal(statusCode, 422);
+  assert.equal(body.files['setup.md'].status, 'valid');
+  assert.equal(body.files['broken.md'].status, 'invalid');
+  assert.deepEqual(body.summary.failingFiles, ['broken.md']);
+  assert.equal(body.summary.byKeyword.enum, 1);
+});
+
+test('reports pages published at the same slug as errors on each file', async () => {
+  const { statusCode, body } = await validate({
+    files: {
+      'guides.md': page('Guides'),
+      'guides/index.md': page('Guide index'),
+      'other.md': page('Other')
+    }
+  });
+
+  assert.equal(statusCode, 422);
+  assert.deepEqual(body.summary.failingFiles, ['guides.md', 'guides/index.md']);
+
+  const [issue] = body.files['guides.md'].errors;
+  assert.equal(issue.keyword, 'duplicate-slug');
+  assert.deepEqual(issue.params, { slug: 'guides', files: ['guides/index.md'] });
+  assert.equal(issue.line, 1);
+  assert.deepEqual(body.files['guides/index.md'].errors[0].params.files, ['guides.md']);
+  assert.equal(body.files['other.md'].status, 'valid');
+});
+
+test('warns about titles shared by several files, ignoring case', async () => {
+  const { statusCode, body } = await validate({
+    files: {
+      'a.md': page('Getting Started'),
+      'b.md': page('getting started '),
+      'c.md': page('Reference')
+    }
+  });
+
+  assert.equal(statusCode, 200);
+  const [warning] = body.files['a.md'].warnings.filter(w => w.keyword === 'duplicate-title');
+  assert.deepEqual(warning.params, { title: 'Getting Started', files: ['b.md'] });
+  assert.equal(warning.path, '/title');
+  assert.equal(warning.line, 2);
+  assert.equal(body.summary.byKeyword['duplicate-title'], 2);
+  assert.deepEqual(body.files['c.md'].warnings, []);
+});
+
+test('rejects empty batches and the same path twice', async () => {
+  assert.equal((await validate({ files: {} })).statusCode, 400);
+
+  const { statusCode, body } = await validate({ files: { 'a.md': page('A'), './a.md': page('A') } });
+  assert.equal(statusCode, 400);
+  assert.equal(body.error, 'Duplicate file path: a.md');
+});
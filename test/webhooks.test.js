@@ -0,0 +1,219 @@
+const dns = require('node:dns');
+const http = require('node:http');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempStores, postEvent } = require('./helpers');
+
+const cleanup = useTempStores({ GITHUB_WEBHOOK_SECRET: 'github-secret' });
+after(cleanup);
+
+const { handler: githubWebhook } = require('../functions/github-webhook');
+const { signPayload, validateWebhookUrl, attemptDelivery } = require('../functions/lib/build-notifications');
+const { finishBuild } = require('../functions/lib/build-lifecycle');
+const { getBuildStore } = require('../functions/lib/build-store');
+const { getWebhookStore } = require('../functions/lib/webhook-store');
+
+function githubEvent(body, signature) {
+  return postEvent('/api/webhooks/github', body, {
+    'x-github-event': 'ping',
+    'x-hub-signature-256': signature
+  });
+}
+
+test('signs payloads with a sha256 HMAC of the body', () => {
+  assert.equal(
+    signPayload('{"event":"build.completed"}', 'secret'),
+    'sha256=013f7943b9302129da10ea570dcc82d2640e0fcf93be1725fe6e3c3d9ff38ae3'
+  );
+  assert.notEqual(signPayload('body', 'secret'), signPayload('body', 'other'));
+});
+
+test('accepts GitHub deliveries signed with the webhook secret', async () => {
+  const body = JSON.stringify({ zen: 'Keep it logically awesome.' });
+  const response = await githubWebhook(githubEvent(body, signPayload(body, 'github-secret')));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(JSON.parse(response.body), { status: 'pong' });
+});
+
+test('rejects GitHub deliveries with a missing or wrong signature', async () => {
+  const body = JSON.stringify({ zen: 'Keep it logically awesome.' });
+
+  for (const signature of [undefined, 'sha1=abc', signPayload(body, 'wrong-secret'), signPayload(`${body} `, 'github-secret')]) {
+    const response = await githubWebhook(githubEvent(body, signature));
+    assert.equal(response.statusCode, 401);
+    assert.equal(JSON.parse(response.body).code, 'invalid_signature');
+  }
+});
+
+test('records workflow runs on their build and ignores stale deliveries', async () => {
+  await getBuildStore().create({ buildId: 'run-build', projectId: 'docs', status: 'queued' });
+  const deliver = async (run) => {
+    const body = JSON.stringify({ action: run.status, workflow_run: { id: 7, head_branch: 'build/run-build', html_url: 'https://github.test/run/7', ...run } });
+    const response = await githubWebhook(postEvent('/api/webhooks/github', body, {
+      'x-github-event': 'workflow_run',
+      'x-hub-signature-256': signPayload(body, 'github-secret')
+    }));
+    return JSON.parse(response.body);
+  };
+
+  assert.equal((await deliver({ status: 'in_progress', run_started_at: '2024-01-01T10:00:00Z' })).buildStatus, 'building');
+  assert.equal((await deliver({
+    status: 'completed',
+    conclusion: 'success',
+    run_started_at: '2024-01-01T10:00:00Z',
+    updated_at: '2024-01-01T10:02:00Z'
+  })).buildStatus, 'completed');
+  assert.equal((await deliver({ status: 'in_progress' })).reason, 'Stale event');
+
+  const record = await getBuildStore().get('run-build');
+  assert.equal(record.status, 'completed');
+  assert.equal(record.durationMs, 120000);
+  assert.equal(record.workflowUrl, 'https://github.test/run/7');
+});
+
+test('accepts https callback URLs', () => {
+  assert.equal(validateWebhookUrl('https://example.com/hooks/build'), null);
+  assert.equal(validateWebhookUrl('https://93.184.216.34/hooks/build'), null);
+});
+
+test('rejects relative, plain http and non-web callback URLs', () => {
+  assert.equal(validateWebhookUrl('/hooks/build'), 'must be an absolute URL');
+  assert.equal(validateWebhookUrl('http://example.com/hooks/build'), 'must use https');
+  assert.equal(validateWebhookUrl('ftp://example.com/hooks/build'), 'must use https');
+});
+
+test('rejects private, loopback and link-local callback URLs', () => {
+  for (const url of [
+    'http://localhost:3000/hooks',
+    'https://localhost/hooks',
+    'https://127.0.0.1/hooks',
+    'https://10.1.2.3/hooks',
+    'https://172.20.0.1/hooks',
+    'https://192.168.1.10/hooks',
+    'https://169.254.169.254/latest/meta-data',
+    'https://198.18.0.1/hooks',
+    'https://[::1]/hooks',
+    'https://[fd12::1]/hooks',
+    'https://[fe80::1]/hooks',
+    'https://[::ffff:10.0.0.1]/hooks',
+    'https://[64:ff9b::a9fe:a9fe]/hooks'
+  ]) {
+    assert.ok(validateWebhookUrl(url), url);
+  }
+});
+
+test('allows http to localhost only in development', (t) => {
+  t.after(() => { delete process.env.NODE_ENV; });
+  process.env.NODE_ENV = 'development';
+
+  assert.equal(validateWebhookUrl('http://localhost:3000/hooks'), null);
+  assert.equal(validateWebhookUrl('http://[::1]:3000/hooks'), null);
+  assert.equal(validateWebhookUrl('http://example.com/hooks'), 'must use https');
+  assert.ok(validateWebhookUrl('https://10.1.2.3/hooks'));
+});
+
+function createDelivery(deliveryId, url) {
+  return getWebhookStore().createDelivery({
+    deliveryId,
+    projectId: 'docs',
+    buildId: 'build-1',
+    url,
+    event: 'build.completed',
+    payload: '{}',
+    signature: signPayload('{}', 'secret'),
+    status: 'pending',
+    attempts: 0,
+    history: [],
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Answer lookups of every host name with `addresses`
+ */
+function mockLookup(t, addresses) {
+  return t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    process.nextTick(callback, null, addresses);
+  });
+}
+
+test('refuses deliveries to hosts that resolve to private addresses', async (t) => {
+  mockLookup(t, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+  const attempted = await attemptDelivery(await createDelivery('rebound', 'https://rebound.example.com/hooks'));
+
+  assert.equal(attempted.status, 'pending');
+  assert.match(attempted.lastError, /non-public address \(10\.0\.0\.5\)/);
+});
+
+test('refuses deliveries to NAT64 and benchmarking addresses', async (t) => {
+  for (const address of ['198.18.0.1', '64:ff9b::a9fe:a9fe']) {
+    t.mock.restoreAll();
+    mockLookup(t, [{ address, family: address.includes(':') ? 6 : 4 }]);
+
+    const attempted = await attemptDelivery(await createDelivery(`nat-${address}`, 'https://nat.example.com/hooks'));
+    assert.match(attempted.lastError, /non-public address/, address);
+  }
+});
+
+test('connects to the address it checked, without resolving the host again', async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.headers);
+    req.resume();
+    req.on('end', () => res.writeHead(204).end());
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    delete process.env.NODE_ENV;
+    server.close();
+  });
+  // Loopback receivers are only allowed in development
+  process.env.NODE_ENV = 'development';
+  const lookup = mockLookup(t, [{ address: '127.0.0.1', family: 4 }]);
+
+  const url = `http://receiver.test:${server.address().port}/hooks`;
+  const attempted = await attemptDelivery(await createDelivery('pinned', url));
+
+  assert.equal(attempted.status, 'delivered', attempted.lastError);
+  assert.equal(lookup.mock.callCount(), 1);
+  assert.equal(lookup.mock.calls[0].arguments[0], 'receiver.test');
+  assert.equal(received.length, 1);
+  assert.equal(received[0]['x-twelvety-delivery'], 'pinned');
+});
+
+test('delivers each finished build once, however often it is finished', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+  await getWebhookStore().createWebhook({
+    webhookId: 'hook-1',
+    projectId: 'site',
+    url: 'https://hooks.example.com/twelvety',
+    secret: 'whsec_0123456789abcdef',
+    events: ['build.completed'],
+    createdAt: new Date().toISOString()
+  });
+  const build = await getBuildStore().create({
+    buildId: 'finished-build',
+    projectId: 'site',
+    provider: 'local',
+    status: 'completed',
+    createdAt: new Date().toISOString(),
+    completedAt: new Date().toISOString()
+  });
+
+  // Status polling, the GitHub webhook and a retried request at the same time
+  await Promise.all([finishBuild(build), finishBuild(build), finishBuild({ ...build })]);
+  // A caller holding a copy read before the build was claimed
+  await finishBuild(build);
+
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(fetch.mock.calls[0].arguments[0], 'https://hooks.example.com/twelvety');
+  assert.ok((await getBuildStore().get(build.buildId)).notifiedAt);
+
+  const deliveries = await getWebhookStore().listDeliveries({ projectId: 'site', buildId: build.buildId });
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].status, 'delivered');
+  assert.equal(deliveries[0].attempts, 1);
+});